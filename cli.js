@@ -0,0 +1,514 @@
+'use strict'
+
+/**
+ * TracMarket — CLI
+ *
+ * Maps `market <command> [args] [--flags]` terminal lines onto TracMarketProtocol
+ * commands and prints the results with Market's display helpers. Flags use dashes
+ * on the command line and map to the protocol's snake_case fields
+ * (`--min-price` → `min_price`).
+ */
+
+const Market = require('./market')
+
+// Split a command line into words, keeping "quoted strings" together.
+function tokenize (line) {
+  const words = []
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g
+  let m
+  while ((m = re.exec(line)) !== null) words.push(m[1] ?? m[2] ?? m[3])
+  return words
+}
+
+// `--min-price 5` → { min_price: '5' }; a flag without a value is `true`.
+function parseArgs (words) {
+  const args = { _: [] }
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i]
+    if (!word.startsWith('--')) {
+      args._.push(word)
+      continue
+    }
+    const name = word.slice(2).replace(/-/g, '_')
+    const next = words[i + 1]
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+  return args
+}
+
+function num (value) {
+  return value === undefined ? undefined : Number(value)
+}
+
+// Drop unset fields so the protocol's own defaults apply.
+function compact (cmd) {
+  return Object.fromEntries(Object.entries(cmd).filter(([, v]) => v !== undefined))
+}
+
+// Point the user at the next page by repeating their command with the new cursor.
+function printMore (line, cursor) {
+  if (!cursor) return
+  const base = line.replace(/\s--cursor\s+\S+/, '').trim()
+  console.log(`  … more: ${base} --cursor ${cursor}`)
+}
+
+const listCommand = mine => ({
+  usage: `market ${mine ? 'my' : 'list'} [--category <c>] [--min-price <n>] [--max-price <n>] [--keyword <w>] [--sort newest|oldest|price_asc|price_desc|updated] [--limit <n>] [--cursor <c>]${mine ? '' : ' [--remote]'}`,
+  numeric: ['min_price', 'max_price', 'limit'],
+  build: args => ({
+    op: 'listing_list',
+    category: args.category,
+    min_price: num(args.min_price),
+    max_price: num(args.max_price),
+    keyword: args.keyword,
+    sort: args.sort,
+    limit: num(args.limit),
+    cursor: args.cursor,
+    mine: mine || args.mine === true || undefined
+  }),
+  print: (result, line) => {
+    console.log(Market.formatListings(result.data))
+    printMore(line, result.cursor)
+  },
+  // `--remote` also asks connected peers; runs on Market since answers arrive as
+  // sidechannel messages. Results are ranked by relevance, so --sort and --cursor don't apply.
+  remote: mine ? undefined : async (market, args) => {
+    const { items, peers } = await market.remoteSearch({
+      category: args.category,
+      minPrice: num(args.min_price),
+      maxPrice: num(args.max_price),
+      keywords: args.keyword,
+      limit: num(args.limit)
+    })
+    console.log(Market.formatListings(items))
+    console.log(`  (${peers} peer${peers === 1 ? '' : 's'} answered)`)
+    return { ok: true, data: items, peers }
+  }
+})
+
+const done = result => console.log(`✓ ${result.message}`)
+const fail = result => {
+  console.log(`✗ ${result.error}`)
+  return result
+}
+
+// Offer moves name the offer by listing and offer ID, like the deal channel does.
+const offerMove = (op, verb) => ({
+  usage: `market ${verb} <listingId> <offerId>`,
+  build: args => ({ op, listing_id: args._[0], offer_id: args._[1] }),
+  print: done
+})
+
+const COMMANDS = {
+  post: {
+    usage: 'market post "<title>" "<description>" <price> [<category>] [--tags "<t,…>"] [--currency <c>] [--ttl <seconds>] [--return-days <n>] [--return-conditions "<text>"]',
+    numeric: ['ttl', 'return_days'],
+    positional: [2],
+    build: args => ({
+      op: 'listing_post',
+      title: args._[0],
+      desc: args._[1],
+      price: num(args._[2]),
+      category: args._[3],
+      tags: typeof args.tags === 'string' ? args.tags : undefined,
+      currency: typeof args.currency === 'string' ? args.currency : undefined,
+      ttl: num(args.ttl),
+      return_policy: args.return_days !== undefined
+        ? { window_days: num(args.return_days), conditions: typeof args.return_conditions === 'string' ? args.return_conditions : undefined }
+        : undefined
+    }),
+    print: result => {
+      const l = result.data
+      console.log(`✓ Listing ${l.id} posted: "${l.title}" — ${l.price} ${l.currency} [${l.category}]`)
+      console.log(`  Returns: ${Market.formatReturnPolicy(l.returnPolicy)}`)
+    }
+  },
+  edit: {
+    usage: 'market edit <listingId> [--price <n>] [--desc "<text>"]',
+    numeric: ['price'],
+    build: args => ({
+      op: 'listing_update',
+      id: args._[0],
+      price: num(args.price),
+      desc: typeof args.desc === 'string' ? args.desc : undefined
+    }),
+    print: done
+  },
+  remove: {
+    usage: 'market remove <listingId>',
+    build: args => ({ op: 'listing_remove', id: args._[0] }),
+    print: done
+  },
+  renew: {
+    usage: 'market renew <listingId> [--ttl <seconds>]',
+    numeric: ['ttl'],
+    build: args => ({ op: 'listing_renew', id: args._[0], ttl: num(args.ttl) }),
+    print: done
+  },
+  list: listCommand(false),
+  my: listCommand(true),
+  search: {
+    usage: 'market search "<query>" [--category <c>] [--min-price <n>] [--max-price <n>] [--limit <n>]',
+    numeric: ['min_price', 'max_price', 'limit'],
+    build: args => ({
+      op: 'listing_search',
+      q: args._.map(w => /\s/.test(w) ? `"${w}"` : w).join(' '), // keep phrases quoted
+      category: args.category,
+      min_price: num(args.min_price),
+      max_price: num(args.max_price),
+      limit: num(args.limit)
+    }),
+    print: result => {
+      console.log(Market.formatListings(result.data))
+      if (result.total > result.data.length) console.log(`  … ${result.total - result.data.length} more (raise --limit)`)
+    }
+  },
+  'save-search': {
+    usage: 'market save-search [--name <n>] [--category <c>] [--min-price <n>] [--max-price <n>] [--keywords "<words>"]',
+    numeric: ['min_price', 'max_price'],
+    build: args => ({
+      op: 'search_save',
+      name: args.name,
+      category: args.category,
+      min_price: num(args.min_price),
+      max_price: num(args.max_price),
+      keywords: args.keywords
+    }),
+    print: done
+  },
+  searches: {
+    usage: 'market searches',
+    build: () => ({ op: 'search_list' }),
+    print: result => {
+      if (!result.data.length) return console.log('  (no saved searches)')
+      for (const s of result.data) {
+        const price = s.minPrice !== null || s.maxPrice !== null ? ` ${s.minPrice ?? 0}–${s.maxPrice ?? '∞'}` : ''
+        console.log(`  ${s.id.padEnd(9)} ${s.name ? `${s.name}: ` : ''}[${s.category || 'any'}]${price}${s.keywords ? ` "${s.keywords}"` : ''}`)
+      }
+    }
+  },
+  unsave: {
+    usage: 'market unsave <searchId>',
+    build: args => ({ op: 'search_delete', search_id: args._[0] }),
+    print: done
+  },
+  watch: {
+    usage: 'market watch <listingId>',
+    build: args => ({ op: 'watch_add', listing_id: args._[0] }),
+    print: done
+  },
+  unwatch: {
+    usage: 'market unwatch <listingId>',
+    build: args => ({ op: 'watch_remove', listing_id: args._[0] }),
+    print: done
+  },
+  watching: {
+    usage: 'market watching',
+    build: () => ({ op: 'watch_list' }),
+    print: result => {
+      if (!result.data.length) return console.log('  (not watching any listings)')
+      for (const w of result.data) {
+        const l = w.listing
+        console.log(`  ${w.listingId.padEnd(9)} ${l ? `${String(l.price).padStart(6)} ${(l.currency || 'TNK').padEnd(4)}  ${l.status.padEnd(8)} "${l.title}"` : '(gone)'}`)
+      }
+    }
+  },
+  sync: {
+    usage: 'market sync',
+    // Runs on Market rather than the protocol: answers arrive as sidechannel messages.
+    action: market => {
+      market.syncCatalog()
+      console.log('✓ Asked peers on tracmarket for their catalog — new listings print as they arrive')
+      return { ok: true }
+    }
+  },
+  view: {
+    usage: 'market view <listingId> [<offerId>]',
+    // A listing with our offers on it; given an offer, its chat thread too, which is
+    // then marked read.
+    action: async (market, args) => {
+      const [listingId, offerId] = args._
+      if (!listingId) {
+        console.log(`Usage: ${COMMANDS.view.usage}`)
+        return null
+      }
+      const listing = await market.protocol.handle({ op: 'listing_get', id: listingId })
+      if (!listing.ok) return fail(listing)
+      console.log(Market.formatListing(listing.data))
+
+      if (!offerId) {
+        const offers = await market.protocol.handle({ op: 'offer_list', listing_id: listingId })
+        const inbox = await market.protocol.handle({ op: 'deal_inbox', listing_id: listingId })
+        const unread = new Map(inbox.data.map(t => [t.offerId, t.unread]))
+        const mine = offers.data.filter(o => o.buyer === market.address || o.seller === market.address)
+        for (const o of mine) {
+          const count = o.messageCount ? `  ${o.messageCount} msg${unread.get(o.id) ? `, ${unread.get(o.id)} unread` : ''}` : ''
+          console.log(`  ${o.id.padEnd(9)} ${String(o.amount).padStart(6)} TNK  ${o.status.padEnd(9)}${count}`)
+        }
+        return listing
+      }
+
+      const thread = await market.protocol.handle({ op: 'deal_thread', listing_id: listingId, offer_id: offerId, limit: 100 })
+      if (!thread.ok) return fail(thread)
+      console.log(Market.formatThread(thread.data, market.address))
+      if (thread.sealed) console.log(`  (messages stay sealed until the seller can be reached: ${thread.sealed})`)
+      if (thread.unread) await market.protocol.handle({ op: 'deal_read', listing_id: listingId, offer_id: offerId })
+      return thread
+    }
+  },
+  offer: {
+    usage: 'market offer <listingId> <price> [--note "<text>"] [--ttl <seconds>]',
+    numeric: ['ttl'],
+    positional: [1],
+    build: args => ({
+      op: 'offer_send',
+      listing_id: args._[0],
+      amount: num(args._[1]),
+      note: typeof args.note === 'string' ? args.note : undefined,
+      ttl: num(args.ttl)
+    }),
+    print: done
+  },
+  counter: {
+    usage: 'market counter <listingId> <offerId> <price> [--ttl <seconds>]',
+    numeric: ['ttl'],
+    positional: [2],
+    build: args => ({ op: 'offer_counter', listing_id: args._[0], offer_id: args._[1], amount: num(args._[2]), ttl: num(args.ttl) }),
+    print: done
+  },
+  accept: offerMove('offer_accept', 'accept'),
+  decline: offerMove('offer_decline', 'decline'),
+  withdraw: offerMove('offer_withdraw', 'withdraw'),
+  offers: {
+    usage: 'market offers',
+    // Open offers on our own listings, marking the ones waiting on us.
+    action: async market => {
+      const listings = await market.protocol.handle({ op: 'listing_list', mine: true, limit: 100 })
+      if (!listings.ok) return fail(listings)
+      const open = []
+      for (const listing of listings.data) {
+        const offers = await market.protocol.handle({ op: 'offer_list', listing_id: listing.id })
+        for (const o of offers.data) {
+          if (o.status === 'pending' || o.status === 'countered') open.push({ ...o, title: listing.title })
+        }
+      }
+      if (!open.length) console.log('  (no open offers on your listings)')
+      for (const o of open) {
+        console.log(`  ${o.listingId.padEnd(9)} ${o.id.padEnd(9)} ${String(o.amount).padStart(6)} TNK  from ${o.buyer.slice(0, 12)}…  ${o.status}${o.turn === market.address ? '  ← your move' : ''}  "${o.title}"`)
+      }
+      return { ok: true, data: open }
+    }
+  },
+  msg: {
+    usage: 'market msg <listingId> <offerId> "<text>"',
+    build: args => ({ op: 'deal_message', listing_id: args._[0], offer_id: args._[1], text: args._.slice(2).join(' ') }),
+    print: done
+  },
+  inbox: {
+    usage: 'market inbox [--unread]',
+    build: args => ({ op: 'deal_inbox', unread_only: args.unread === true || undefined }),
+    print: result => {
+      if (!result.data.length) return console.log('  (no conversations)')
+      for (const t of result.data) {
+        console.log(`  ${t.listingId.padEnd(9)} ${t.offerId.padEnd(9)} ${t.status.padEnd(9)} ${t.counterparty.slice(0, 12)}…  ${t.messages} msg${t.unread ? `, ${t.unread} unread` : ''}`)
+      }
+    }
+  },
+  deal: {
+    usage: 'market deal <dealId>',
+    build: args => ({ op: 'deal_get', id: args._[0] }),
+    print: result => console.log(Market.formatDeal(result.data))
+  },
+  ship: {
+    usage: 'market ship <dealId> [--tracking "<text>"]',
+    build: args => ({ op: 'deal_ship', deal_id: args._[0], tracking: typeof args.tracking === 'string' ? args.tracking : undefined }),
+    print: done
+  },
+  received: {
+    usage: 'market received <dealId>',
+    build: args => ({ op: 'deal_confirm_received', deal_id: args._[0] }),
+    print: done
+  },
+  complete: {
+    usage: 'market complete <dealId>',
+    build: args => ({ op: 'deal_complete', deal_id: args._[0] }),
+    print: done
+  },
+  return: {
+    usage: 'market return <dealId> "<reason>"',
+    build: args => ({ op: 'return_request', deal_id: args._[0], reason: args._.slice(1).join(' ') }),
+    print: done
+  },
+  'return-approve': {
+    usage: 'market return-approve <dealId> <refundAmount> [--note "<text>"]',
+    positional: [1],
+    build: args => ({
+      op: 'return_approve',
+      deal_id: args._[0],
+      refund_amount: num(args._[1]),
+      note: typeof args.note === 'string' ? args.note : undefined
+    }),
+    print: done
+  },
+  'return-deny': {
+    usage: 'market return-deny <dealId> [--note "<text>"]',
+    build: args => ({ op: 'return_deny', deal_id: args._[0], note: typeof args.note === 'string' ? args.note : undefined }),
+    print: done
+  },
+  cancel: {
+    usage: 'market cancel <dealId> ["<reason>"]',
+    build: args => ({ op: 'deal_cancel_request', deal_id: args._[0], reason: args._.slice(1).join(' ') || undefined }),
+    print: done
+  },
+  'cancel-confirm': {
+    usage: 'market cancel-confirm <dealId>',
+    build: args => ({ op: 'deal_cancel_confirm', deal_id: args._[0] }),
+    print: done
+  },
+  dispute: {
+    usage: 'market dispute <dealId> "<reason>" [--evidence "<text>"]',
+    build: args => ({
+      op: 'dispute_open',
+      deal_id: args._[0],
+      reason: args._.slice(1).join(' '),
+      evidence: typeof args.evidence === 'string' ? args.evidence : undefined
+    }),
+    print: done
+  },
+  evidence: {
+    usage: 'market evidence <dealId> "<text>"',
+    build: args => ({ op: 'dispute_evidence', deal_id: args._[0], text: args._.slice(1).join(' ') }),
+    print: done
+  },
+  case: {
+    usage: 'market case <dealId>',
+    build: args => ({ op: 'dispute_get', deal_id: args._[0] }),
+    print: result => console.log(Market.formatDispute(result.data))
+  },
+  cases: {
+    usage: 'market cases',
+    build: () => ({ op: 'dispute_list' }),
+    print: result => {
+      if (!result.data.length) return console.log('  (no open disputes assigned to you)')
+      for (const d of result.data) console.log(`  ${d.dealId.padEnd(9)} opened ${new Date(d.openedAt).toISOString().slice(0, 10)}  "${d.reason}"`)
+    }
+  },
+  ruling: {
+    usage: 'market ruling <dealId> release|refund|split [--buyer-amount <n>] [--note "<text>"]',
+    numeric: ['buyer_amount'],
+    build: args => ({
+      op: 'dispute_rule',
+      deal_id: args._[0],
+      outcome: args._[1],
+      buyer_amount: num(args.buyer_amount),
+      note: typeof args.note === 'string' ? args.note : undefined
+    }),
+    print: done
+  },
+  arbitrators: {
+    usage: 'market arbitrators [<address|key> ...]',
+    build: args => args._.length ? { op: 'arbitrators_set', arbitrators: args._ } : { op: 'arbitrators_get' },
+    print: result => {
+      if (result.message) return done(result)
+      if (!result.data.arbitrators.length) return console.log('  (no arbitrators configured)')
+      for (const a of result.data.arbitrators) console.log(`  ${a}`)
+    }
+  },
+  reputation: {
+    usage: 'market reputation [<address>]',
+    build: args => ({ op: 'reputation_get', address: args._[0] }),
+    print: result => {
+      const r = result.data
+      const d = r.disputes
+      console.log(`  ${r.address}  ★ ${r.avgStars || 0} (${r.ratingCount} rating${r.ratingCount === 1 ? '' : 's'})${d ? `  disputes: ${d.won} won, ${d.lost} lost, ${d.split} split` : ''}`)
+    }
+  },
+  rate: {
+    usage: 'market rate <dealId> <stars 1-5> ["<comment>"]',
+    positional: [1],
+    build: args => ({ op: 'rating_submit', deal_id: args._[0], stars: num(args._[1]), comment: args._.slice(2).join(' ') || undefined }),
+    print: done
+  },
+  fund: {
+    usage: 'market fund <dealId>',
+    build: args => ({ op: 'escrow_fund', deal_id: args._[0] }),
+    print: done
+  },
+  release: {
+    usage: 'market release <dealId>',
+    build: args => ({ op: 'escrow_release', deal_id: args._[0] }),
+    print: done
+  },
+  refund: {
+    usage: 'market refund <dealId>',
+    build: args => ({ op: 'escrow_refund', deal_id: args._[0] }),
+    print: done
+  },
+  balance: {
+    usage: 'market balance [<address>]',
+    build: args => ({ op: 'escrow_balance', address: args._[0] }),
+    print: result => {
+      const b = result.data
+      console.log(`  ${b.address}\n  held in escrow: ${b.held}   received from escrow: ${b.received}${b.available !== null ? `   available: ${b.available}` : ''}`)
+    }
+  },
+  deals: {
+    usage: 'market deals [--mine] [--sort newest|oldest] [--limit <n>] [--cursor <c>]',
+    numeric: ['limit'],
+    build: args => ({
+      op: 'deal_list',
+      mine: args.mine === true || undefined,
+      sort: args.sort,
+      limit: num(args.limit),
+      cursor: args.cursor
+    }),
+    print: (result, line) => {
+      console.log(Market.formatDeals(result.data))
+      printMore(line, result.cursor)
+    }
+  }
+}
+
+function printUsage () {
+  console.log('Usage:')
+  for (const command of Object.values(COMMANDS)) console.log(`  ${command.usage}`)
+}
+
+/**
+ * Run one `market …` line against a Market instance. Prints to the console (the
+ * sc-bridge CLI passthrough captures that) and returns the protocol result.
+ */
+async function run (market, line) {
+  const words = tokenize(line)
+  if (words[0] === 'market') words.shift()
+  const [name, ...rest] = words
+  const command = COMMANDS[name]
+  if (!command) {
+    printUsage()
+    return null
+  }
+
+  const args = parseArgs(rest)
+  // `numeric` names flags, `positional` the indexes of plain words, that must be numbers.
+  const numbers = [...(command.numeric || []).map(field => args[field]), ...(command.positional || []).map(i => args._[i])]
+  if (numbers.some(value => value !== undefined && (value === true || !Number.isFinite(Number(value))))) {
+    console.log(`Usage: ${command.usage}`)
+    return null
+  }
+
+  if (command.action) return command.action(market, args)
+  if (args.remote === true && command.remote) return command.remote(market, args)
+
+  const result = await market.protocol.handle(compact(command.build(args)))
+  if (!result.ok) return fail(result)
+  command.print(result, line.trim())
+  if (result.warning) console.log(`⚠️  ${result.warning}`)
+  return result
+}
+
+module.exports = { run, tokenize, parseArgs }
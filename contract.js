@@ -4,26 +4,389 @@
  * TracMarket — Autobase Contract
  *
  * Manages all durable replicated state:
- *   - Listings (post, update, remove)
- *   - Offers (send, counter, accept, decline)
- *   - Deals (immutable record of accepted trades)
+ *   - Listings (post, update, remove, renew) with optional TTL
+ *   - Offers (send, counter, accept, decline, withdraw) with turn-taking
+ *   - Deal chat: a sealed message thread per offer, with a read marker per party
+ *   - Deals (record of accepted trades) and their fulfillment: shipped, received, completed
+ *   - Escrow ledger: a hold per deal, balances per address (value moves in settlement.js)
+ *   - Disputes on deals, ruled by the market's arbitrators, with an audit trail
+ *   - Ratings (one per party per deal) and reputation aggregates
  *   - Agent rules (auto-buy / auto-accept / auto-counter)
+ *   - Saved searches (category / price range / keywords), matched by Market
+ *   - Listing watches (who to send WATCH_ALERTs to)
+ *   - Replicated clock (`currentTime`, fed by the Timer feature) and expiry sweeps
  *
  * All mutations go through base.append() so Autobase linearizes them
- * deterministically across all peers. Never write to external state in apply().
+ * deterministically across all peers. Never write to external state in apply(),
+ * and never read it either — apply() must be a pure function of the log.
+ *
+ * Listing and deal records are maintained together with their secondary index
+ * keys (indexes.js) and keyword postings (search.js) so read ops stay bounded
+ * range scans.
  */
 
 const crypto = require('crypto')
+const b4a = require('b4a')
+const { verifyOp } = require('./signing')
+const { pad, listingIndexKeys, dealIndexKeys, reindex } = require('./indexes')
+const { searchIndexKeys } = require('./search')
+const { LIMITS } = require('./events')
 
-let listingSeq = 0
-let offerSeq = 0
-let dealSeq = 0
-let ruleSeq = 0
-
-function nextId (prefix, seq) {
+// ID counters live in the view (`seq:<prefix>`), never in process memory, so an ID
+// is a pure function of the linearized log. Every peer derives the same IDs, and
+// when Autobase truncates and re-applies, the counters roll back with the view.
+async function nextId (view, prefix) {
+  const key = `seq:${prefix}`
+  const node = await view.get(key)
+  const seq = (node ? parseInt(node.value, 10) : 0) + 1
+  await view.put(key, String(seq))
   return `${prefix}-${String(seq).padStart(3, '0')}`
 }
 
+// Listing states. Only `active` listings take offers; `removed` is final.
+const LISTING_STATUSES = ['active', 'sold', 'removed', 'expired']
+
+// Offer negotiation states. `pending` and `countered` are open; every other state is final.
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled' // accepted, then the deal was called off by both parties
+}
+const OPEN_OFFER_STATUSES = [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED]
+// Offers whose deal channel is still in use: the negotiation, then the deal itself.
+const LIVE_OFFER_STATUSES = [...OPEN_OFFER_STATUSES, OFFER_STATUS.ACCEPTED]
+
+// Escrow on a deal. The buyer funds the agreed price; it goes to the seller when the
+// buyer confirms (or, failing that, ESCROW_RELEASE_MS after funding), or back to the
+// buyer if the seller refunds.
+const ESCROW_STATUS = {
+  UNFUNDED: 'unfunded',
+  FUNDED: 'funded',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+  SPLIT: 'split' // by an arbitrator's ruling
+}
+const ESCROW_RELEASE_MS = 14 * 24 * 60 * 60 * 1000
+
+// Fulfillment of a deal after the sale. The seller ships (optional — e.g. for a
+// pickup), the buyer confirms receipt, then either party completes the deal.
+const FULFILLMENT_STATUS = {
+  PENDING: 'pending',
+  SHIPPED: 'shipped',
+  RECEIVED: 'received',
+  COMPLETED: 'completed'
+}
+const MAX_TRACKING_CHARS = 200 // LIMITS.tracking in events.js
+
+// Returns after completion, under the return policy the listing was sold with.
+// `windowDays` counts from completion; 0 means no returns.
+const RETURN_STATUS = { REQUESTED: 'requested', APPROVED: 'approved', DENIED: 'denied' }
+const MAX_RETURN_DAYS = 365
+const MAX_CONDITIONS_CHARS = 500 // LIMITS.conditions in events.js
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Calling off a deal takes both parties: one requests, the other confirms.
+const CANCELLATION_STATUS = { REQUESTED: 'requested', CANCELLED: 'cancelled' }
+
+const DISPUTE_STATUS = { OPEN: 'open', RULED: 'ruled' }
+const DISPUTE_OUTCOMES = ['release', 'refund', 'split']
+// LIMITS.reason / LIMITS.evidence in events.js
+const MAX_REASON_CHARS = 500
+const MAX_EVIDENCE_CHARS = 4000
+const MAX_ARBITRATORS = 32
+
+// A chat message body as sealed by the sender (sealing.js). apply() can't open it, so
+// only its shape and size are checked.
+const MAX_SEALED_CHARS = 16 * 1024
+
+// Hyperbee returns { seq, key, value } nodes — unwrap and parse the JSON value.
+async function getJson (view, key) {
+  const node = await view.get(key)
+  return node ? JSON.parse(node.value) : null
+}
+
+// Listings and deals are only ever written through these, so their secondary
+// indexes (see indexes.js) and keyword postings (see search.js) can never drift
+// from the records.
+function listingKeys (listing) {
+  return [...listingIndexKeys(listing), ...searchIndexKeys(listing)]
+}
+
+async function putListing (view, listing) {
+  const prev = await getJson(view, listing.id)
+  await reindex(view, prev ? listingKeys(prev) : [], listingKeys(listing), listing.id)
+  await view.put(listing.id, JSON.stringify(listing))
+}
+
+async function putDeal (view, deal) {
+  const prev = await getJson(view, deal.id)
+  await reindex(view, prev ? dealIndexKeys(prev) : [], dealIndexKeys(deal), deal.id)
+  await view.put(deal.id, JSON.stringify(deal))
+}
+
+function isParty (offer, address) {
+  return address === offer.buyer || address === offer.seller
+}
+
+function counterparty (offer, address) {
+  return address === offer.buyer ? offer.seller : offer.buyer
+}
+
+// Load an open offer together with its listing; null if either is missing or the
+// offer has already reached a final state.
+async function openOffer (view, entry) {
+  const key = `${entry.listingId}:${entry.offerId}`
+  const offer = await getJson(view, key)
+  if (!offer || !OPEN_OFFER_STATUSES.includes(offer.status)) return null
+  const listing = await getJson(view, entry.listingId)
+  if (!listing) return null
+  return { key, offer, listing }
+}
+
+function sealedBody (sealed) {
+  if (!sealed || typeof sealed.nonce !== 'string' || typeof sealed.box !== 'string') return null
+  if (!/^[0-9a-f]{48}$/.test(sealed.nonce) || sealed.box.length > MAX_SEALED_CHARS) return null
+  return { nonce: sealed.nonce, box: sealed.box }
+}
+
+// ── Escrow ledger ────────────────────────────────────────────────────────────
+//
+// `hold:<dealId>` records what the buyer locked for a deal and where it went.
+// `bal:<address>` sums it up per address: `held` is locked in open escrows,
+// `received` was paid out to the address by a release or refund. apply() only keeps
+// the books; the protocol drives the settlement backend from them.
+
+async function adjustBalance (view, address, field, amount) {
+  const key = `bal:${address}`
+  const balance = await getJson(view, key) || { address, held: 0, received: 0 }
+  balance[field] += amount
+  await view.put(key, JSON.stringify(balance))
+}
+
+// Close a funded hold, paying out `payouts` ({ <address>: amount }).
+async function settleHold (view, deal, status, payouts, at) {
+  const holdKey = `hold:${deal.id}`
+  const hold = await getJson(view, holdKey)
+  await adjustBalance(view, hold.buyer, 'held', -hold.amount)
+  for (const [address, amount] of Object.entries(payouts)) {
+    if (amount > 0) await adjustBalance(view, address, 'received', amount)
+  }
+  await view.put(holdKey, JSON.stringify({ ...hold, status, payouts, settledAt: at }))
+  deal.escrow = { ...deal.escrow, status, settledAt: at }
+  await putDeal(view, deal)
+}
+
+// Move a deal's fulfillment on, logging the step in its timeline. `at` is on the
+// replicated clock (clockNow), not the signer's own stamp.
+async function advanceFulfillment (view, deal, status, actor, at, extra = {}) {
+  const timeline = deal.fulfillment?.timeline || []
+  deal.fulfillment = { status, timeline: [...timeline, { status, by: actor, at, ...extra }] }
+  await putDeal(view, deal)
+}
+
+function fulfillmentStatus (deal) {
+  return deal.fulfillment?.status || FULFILLMENT_STATUS.PENDING
+}
+
+// ── Disputes ─────────────────────────────────────────────────────────────────
+//
+// `config:arbitrators` holds the market's arbitrator set and its owner — the first
+// address to set it, normally the peer that created the market. Each dispute is
+// assigned one arbitrator from the set, derived from the deal ID so every peer picks
+// the same one. `dispute:<dealId>` is the case, `audit:<dealId>:<seq>` its trail and
+// `disputeby:<arbitrator>:<dealId>` the arbitrator's docket.
+
+// Was this node appended by the market's bootstrap writer, the peer that created the
+// Autobase? Its Timer ticks are the market's clock, and its first `arbitrators_set`
+// names the market's owner.
+function fromBootstrap (node, host) {
+  const writer = node.from?.key
+  return !!(writer && host?.bootstrap) && b4a.equals(writer, host.bootstrap)
+}
+
+function isText (value, max) {
+  return typeof value === 'string' && value.length > 0 && value.length <= max
+}
+
+// Free text a listing may leave out or empty.
+function isOptionalText (value, max) {
+  return value === undefined || (typeof value === 'string' && value.length <= max)
+}
+
+function isPrice (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+function assignArbitrator (arbitrators, deal) {
+  const eligible = arbitrators.filter(address => !isParty(deal, address))
+  if (!eligible.length) return null
+  const digest = crypto.createHash('sha256').update(deal.id).digest()
+  return eligible[digest.readUInt32BE(0) % eligible.length]
+}
+
+async function appendAudit (view, dispute, action, actor, at, detail = {}) {
+  dispute.auditCount = (dispute.auditCount || 0) + 1
+  await view.put(`audit:${dispute.dealId}:${pad(dispute.auditCount)}`, JSON.stringify({
+    dealId: dispute.dealId, seq: dispute.auditCount, action, by: actor, at, ...detail
+  }))
+  await view.put(`dispute:${dispute.dealId}`, JSON.stringify(dispute))
+}
+
+// A ruling counts as won by the party it favours and lost by the other; a split
+// counts for neither.
+async function recordDisputeOutcome (view, deal, outcome) {
+  for (const party of [deal.buyer, deal.seller]) {
+    const repKey = `rep:${party}`
+    const rep = await getJson(view, repKey) || { address: party, totalStars: 0, ratingCount: 0, avgStars: 0 }
+    const disputes = rep.disputes || { won: 0, lost: 0, split: 0 }
+    if (outcome === 'split') disputes.split++
+    else if ((outcome === 'release') === (party === deal.seller)) disputes.won++
+    else disputes.lost++
+    rep.disputes = disputes
+    await view.put(repKey, JSON.stringify(rep))
+  }
+}
+
+// Only `LST-` keys holding a listing count, so an op can't pass some other record off
+// as one.
+async function getListing (view, id) {
+  if (typeof id !== 'string' || !id.startsWith('LST-')) return null
+  const listing = await getJson(view, id)
+  return listing && LISTING_STATUSES.includes(listing.status) ? listing : null
+}
+
+// A cancelled deal is closed to every deal op, so it reads as missing here.
+async function getDeal (view, dealId) {
+  if (typeof dealId !== 'string' || !dealId.startsWith('DEAL-')) return null
+  const deal = await getJson(view, dealId)
+  return deal && !isCancelled(deal) ? deal : null
+}
+
+function isCancelled (deal) {
+  return deal.cancellation?.status === CANCELLATION_STATUS.CANCELLED
+}
+
+// Whether a deal can still be called off: not yet received, not in dispute, and its
+// escrow (if any) still held rather than paid out.
+function cancellable (deal) {
+  if (![FULFILLMENT_STATUS.PENDING, FULFILLMENT_STATUS.SHIPPED].includes(fulfillmentStatus(deal))) return false
+  if (deal.dispute) return false
+  return [ESCROW_STATUS.UNFUNDED, ESCROW_STATUS.FUNDED].includes(deal.escrow?.status || ESCROW_STATUS.UNFUNDED)
+}
+
+// A listing's return policy as posted → the stored form, or null if it is malformed.
+function returnPolicyOf (policy) {
+  if (!policy || typeof policy !== 'object') return null
+  const { windowDays, conditions } = policy
+  if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > MAX_RETURN_DAYS) return null
+  if (conditions !== undefined && !isText(conditions, MAX_CONDITIONS_CHARS)) return null
+  return conditions ? { windowDays, conditions } : { windowDays }
+}
+
+// When a completed deal's return window closes; null if it takes no returns. Steps are
+// stamped on the replicated clock, so the window is measured on it too.
+function returnDeadline (deal) {
+  const days = deal.returnPolicy?.windowDays
+  const completed = (deal.fulfillment?.timeline || []).find(step => step.status === FULFILLMENT_STATUS.COMPLETED)
+  return days && completed ? completed.at + days * DAY_MS : null
+}
+
+// ── Replicated clock & expiry ────────────────────────────────────────────────
+//
+// Time-based transitions never read the local clock. The Timer feature on the bootstrap
+// writer appends
+//   { op: 'feature_entry', feature: 'timer_feature', key: 'currentTime', value: <ms> }
+// and every peer advances `currentTime` and sweeps expiries at the same point in the log.
+// Pending expiries are indexed as `exp:<paddedTime>:<kind>:<ref>` so a sweep is a bounded
+// range scan. Each lapse is also logged under `expired:<paddedTime>:<ref>` for readers.
+
+// A relisted item whose deadline passed while it was sold gets its own TTL again, or
+// this one for listings posted without `ttlMs` on record (the protocol's default).
+const DEFAULT_LISTING_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+// The replicated "now" for an op: the last Timer tick, or the op's own stamp before
+// the first tick has landed.
+async function clockNow (view, entry) {
+  const now = await getJson(view, 'currentTime')
+  return now !== null ? now : entry.ts
+}
+
+async function scheduleExpiry (view, kind, ref, prevAt, nextAt) {
+  if (prevAt) await view.del(`exp:${pad(prevAt)}:${kind}:${ref}`)
+  if (nextAt) await view.put(`exp:${pad(nextAt)}:${kind}:${ref}`, '')
+}
+
+async function advanceClock (view, value) {
+  const now = Number(value)
+  if (!Number.isSafeInteger(now) || now <= 0) return
+  const prev = await getJson(view, 'currentTime')
+  if (prev !== null && now <= prev) return // the clock only moves forward
+  await view.put('currentTime', JSON.stringify(now))
+
+  const due = []
+  for await (const node of view.createReadStream({ gte: 'exp:', lte: `exp:${pad(now)}:\xff` })) {
+    due.push(node.key)
+  }
+  for (const key of due) {
+    await view.del(key)
+    const [, , kind, ...ref] = key.split(':')
+    if (kind === 'offer') await expireOffer(view, ref[0], ref[1], now)
+    else if (kind === 'listing') await expireListing(view, ref[0], now)
+  }
+}
+
+async function expireListing (view, id, now) {
+  const listing = await getJson(view, id)
+  if (!listing || listing.status !== 'active') return
+  if (!listing.expiresAt || listing.expiresAt > now) return
+  listing.status = 'expired'
+  listing.expiredAt = now
+  await putListing(view, listing)
+}
+
+async function expireOffer (view, listingId, offerId, now) {
+  const key = `${listingId}:${offerId}`
+  const offer = await getJson(view, key)
+  if (!offer || !OPEN_OFFER_STATUSES.includes(offer.status)) return
+  if (!offer.expiresAt || offer.expiresAt > now) return
+  await closeExpired(view, key, offer, now)
+}
+
+// Expire an open offer and log it, so the seller's peer tells both parties (OFFER_EXPIRED).
+async function closeExpired (view, key, offer, now) {
+  offer.status = OFFER_STATUS.EXPIRED
+  offer.turn = null
+  offer.expiredAt = now
+  await view.put(key, JSON.stringify(offer))
+  await view.put(`expired:${pad(now)}:${key}`, JSON.stringify({
+    listingId: offer.listingId, offerId: offer.id, buyer: offer.buyer, seller: offer.seller, expiredAt: now
+  }))
+}
+
+// Offers left open while a listing was sold were made against a sale that fell
+// through. Relisting expires them rather than letting them be accepted again.
+async function expireStaleOffers (view, listingId, now) {
+  const stale = []
+  for await (const node of view.createReadStream({ gte: `${listingId}:`, lte: `${listingId}:\xff` })) {
+    const offer = JSON.parse(node.value)
+    if (OPEN_OFFER_STATUSES.includes(offer.status)) stale.push({ key: node.key, offer })
+  }
+  for (const { key, offer } of stale) {
+    await scheduleExpiry(view, 'offer', key, offer.expiresAt, null)
+    await closeExpired(view, key, offer, now)
+  }
+}
+
+// Optional TTL (ms) on an op → absolute expiry on the replicated clock.
+async function expiryFor (view, entry) {
+  if (!Number.isSafeInteger(entry.ttlMs) || entry.ttlMs <= 0) return null
+  return (await clockNow(view, entry)) + entry.ttlMs
+}
+
 // ── apply handler (called by Autobase on every linearized node) ──────────────
 
 async function apply (nodes, view, host) {
@@ -31,14 +394,41 @@ async function apply (nodes, view, host) {
     let entry
     try { entry = JSON.parse(node.value.toString()) } catch { continue }
 
+    // Timer ticks are not trader ops and carry no trader signature, so the writer is
+    // what authorises them: the clock only moves forward, and one tick far in the
+    // future from anyone else would lapse every listing and offer for good.
+    if (entry.op === 'feature_entry' && entry.feature === 'timer_feature' && entry.key === 'currentTime') {
+      if (fromBootstrap(node, host)) await advanceClock(view, entry.value)
+      continue
+    }
+
+    // The acting address comes from the op signature, never from payload fields.
+    // Unsigned or forged entries are skipped identically on every peer.
+    const actor = verifyOp(entry)
+    if (!actor) continue
+
+    // A signed entry re-appended by another writer must not act twice. Ops that
+    // create a record overwrite the marker with its ID, a receipt the author's
+    // protocol waits on before announcing the record.
+    const sigKey = `sig:${entry.sig}`
+    if (await view.get(sigKey)) continue
+    await view.put(sigKey, '1')
+
     switch (entry.op) {
 
       // ── Listings ────────────────────────────────────────────────────────────
 
       case 'listing_post': {
-        listingSeq++
-        const id = nextId('LST', listingSeq)
-        await view.put(id, JSON.stringify({
+        // Held to the announcement schema's limits, so every listing can be announced.
+        if (!isText(entry.title, LIMITS.title) || !isPrice(entry.price)) break
+        if (!isOptionalText(entry.desc, LIMITS.desc) || !isOptionalText(entry.tags, LIMITS.tags)) break
+        if (!isOptionalText(entry.category, LIMITS.category) || !isOptionalText(entry.currency, LIMITS.currency)) break
+        const returnPolicy = entry.returnPolicy === undefined ? undefined : returnPolicyOf(entry.returnPolicy)
+        if (returnPolicy === null) break
+        const id = await nextId(view, 'LST')
+        const expiresAt = await expiryFor(view, entry)
+        await scheduleExpiry(view, 'listing', id, null, expiresAt)
+        await putListing(view, {
           id,
           title: entry.title,
           desc: entry.desc || '',
@@ -46,129 +436,529 @@ async function apply (nodes, view, host) {
           currency: entry.currency || 'TNK',
           category: entry.category || 'general',
           tags: entry.tags || '',
-          seller: entry.seller,
+          seller: actor,
           createdAt: entry.ts,
+          expiresAt,
+          ...(expiresAt ? { ttlMs: entry.ttlMs } : {}), // kept for a relist after a cancelled sale
+          ...(returnPolicy ? { returnPolicy } : {}),
           status: 'active'
-        }))
+        })
+        await view.put(sigKey, id)
+        break
+      }
+
+      case 'listing_renew': {
+        const listing = await getJson(view, entry.id)
+        if (!listing) break
+        if (listing.seller !== actor) break
+        if (listing.status !== 'active' && listing.status !== 'expired') break // sold/removed stay final
+        const expiresAt = await expiryFor(view, entry)
+        await scheduleExpiry(view, 'listing', entry.id, listing.status === 'active' ? listing.expiresAt : null, expiresAt)
+        listing.status = 'active'
+        listing.expiresAt = expiresAt
+        if (expiresAt) listing.ttlMs = entry.ttlMs
+        listing.renewedAt = entry.ts
+        delete listing.expiredAt
+        await putListing(view, listing)
+        await view.put(sigKey, listing.id)
         break
       }
 
       case 'listing_update': {
-        const raw = await view.get(entry.id)
-        if (!raw) break
-        const listing = JSON.parse(raw)
-        if (listing.seller !== entry.seller) break // only owner
+        const listing = await getJson(view, entry.id)
+        if (!listing) break
+        if (listing.seller !== actor) break // only owner
+        if (listing.status !== 'active' && listing.status !== 'expired') break // sold/removed stay as they were
+        if (entry.price !== undefined && !isPrice(entry.price)) break
+        if (!isOptionalText(entry.desc, LIMITS.desc)) break
         if (entry.price !== undefined) listing.price = entry.price
         if (entry.desc !== undefined) listing.desc = entry.desc
         listing.updatedAt = entry.ts
-        await view.put(entry.id, JSON.stringify(listing))
+        await putListing(view, listing)
+        await view.put(sigKey, listing.id)
         break
       }
 
       case 'listing_remove': {
-        const raw = await view.get(entry.id)
-        if (!raw) break
-        const listing = JSON.parse(raw)
-        if (listing.seller !== entry.seller) break
+        const listing = await getJson(view, entry.id)
+        if (!listing) break
+        if (listing.seller !== actor) break
         listing.status = 'removed'
         listing.removedAt = entry.ts
-        await view.put(entry.id, JSON.stringify(listing))
+        await putListing(view, listing)
+        await view.put(sigKey, listing.id)
         break
       }
 
       // ── Offers ──────────────────────────────────────────────────────────────
 
+      // Amounts stay in the clear — apply() prices the deal and its escrow from them. A
+      // buyer's note is not kept here: it opens the offer's sealed thread (deal_message).
       case 'offer_send': {
-        offerSeq++
-        const offerId = nextId('OFR', offerSeq)
+        const listing = await getJson(view, entry.listingId)
+        if (!listing || listing.status !== 'active') break // no offers on sold/removed listings
+        if (listing.seller === actor) break
+        if (typeof entry.amount !== 'number' || entry.amount <= 0) break
+        const offerId = await nextId(view, 'OFR')
         const key = `${entry.listingId}:${offerId}`
+        const expiresAt = await expiryFor(view, entry)
+        await scheduleExpiry(view, 'offer', key, null, expiresAt)
         await view.put(key, JSON.stringify({
           id: offerId,
           listingId: entry.listingId,
-          buyer: entry.buyer,
+          buyer: actor,
+          buyerKey: entry.author, // the seller invites this key to the offer's deal channel
+          seller: listing.seller,
           amount: entry.amount,
-          note: entry.note || '',
-          status: 'pending',
+          status: OFFER_STATUS.PENDING,
+          turn: listing.seller,
           createdAt: entry.ts,
-          history: [{ amount: entry.amount, by: entry.buyer, at: entry.ts }]
+          expiresAt,
+          history: [{ amount: entry.amount, by: actor, at: entry.ts }]
         }))
+        await view.put(sigKey, offerId)
         break
       }
 
       case 'offer_counter': {
-        const key = `${entry.listingId}:${entry.offerId}`
-        const raw = await view.get(key)
-        if (!raw) break
-        const offer = JSON.parse(raw)
-        if (offer.status !== 'pending') break
+        const found = await openOffer(view, entry)
+        if (!found || found.listing.status !== 'active') break
+        const { key, offer } = found
+        if (actor !== offer.turn) break // only the party who did not make the last move
+        if (typeof entry.amount !== 'number' || entry.amount <= 0) break
         offer.amount = entry.amount
-        offer.status = 'pending'
-        offer.history.push({ amount: entry.amount, by: entry.by, at: entry.ts })
+        offer.status = OFFER_STATUS.COUNTERED
+        offer.turn = counterparty(offer, actor)
+        offer.history.push({ amount: entry.amount, by: actor, at: entry.ts })
         offer.lastUpdated = entry.ts
+        const expiresAt = await expiryFor(view, entry)
+        if (expiresAt) { // a counter may set a fresh deadline; otherwise the old one stands
+          await scheduleExpiry(view, 'offer', key, offer.expiresAt, expiresAt)
+          offer.expiresAt = expiresAt
+        }
         await view.put(key, JSON.stringify(offer))
+        await view.put(sigKey, entry.offerId)
         break
       }
 
       case 'offer_accept': {
-        const key = `${entry.listingId}:${entry.offerId}`
-        const raw = await view.get(key)
-        if (!raw) break
-        const offer = JSON.parse(raw)
-        if (offer.status !== 'pending') break
-        offer.status = 'accepted'
+        const found = await openOffer(view, entry)
+        if (!found || found.listing.status !== 'active') break
+        const { key, offer, listing } = found
+        if (actor !== offer.turn) break
+        offer.status = OFFER_STATUS.ACCEPTED
+        offer.turn = null
         offer.acceptedAt = entry.ts
-        offer.acceptedBy = entry.by
+        offer.acceptedBy = actor
         await view.put(key, JSON.stringify(offer))
 
         // Create deal record
-        dealSeq++
-        const dealId = nextId('DEAL', dealSeq)
-        const listingRaw = await view.get(entry.listingId)
-        const listing = listingRaw ? JSON.parse(listingRaw) : {}
-        await view.put(dealId, JSON.stringify({
+        const dealId = await nextId(view, 'DEAL')
+        await putDeal(view, {
           id: dealId,
           listingId: entry.listingId,
           offerId: entry.offerId,
-          listingTitle: listing.title || '',
+          listingTitle: listing.title,
           buyer: offer.buyer,
-          seller: listing.seller || entry.seller,
+          seller: listing.seller,
           finalPrice: offer.amount,
           currency: listing.currency || 'TNK',
-          closedAt: entry.ts
-        }))
+          closedAt: entry.ts,
+          escrow: { status: ESCROW_STATUS.UNFUNDED },
+          fulfillment: { status: FULFILLMENT_STATUS.PENDING, timeline: [] },
+          returnPolicy: listing.returnPolicy || null // as sold, whatever the listing says later
+        })
 
         // Mark listing sold
-        if (listingRaw) {
-          listing.status = 'sold'
-          listing.soldAt = entry.ts
-          listing.dealId = dealId
-          await view.put(entry.listingId, JSON.stringify(listing))
-        }
+        listing.status = 'sold'
+        listing.soldAt = entry.ts
+        listing.dealId = dealId
+        await putListing(view, listing)
+        await view.put(sigKey, dealId)
         break
       }
 
       case 'offer_decline': {
-        const key = `${entry.listingId}:${entry.offerId}`
-        const raw = await view.get(key)
-        if (!raw) break
-        const offer = JSON.parse(raw)
-        if (offer.status !== 'pending') break
-        offer.status = 'declined'
+        const found = await openOffer(view, entry)
+        if (!found) break
+        const { key, offer } = found
+        if (actor !== offer.turn) break // declining answers the other side's move
+        offer.status = OFFER_STATUS.DECLINED
+        offer.turn = null
         offer.declinedAt = entry.ts
-        offer.declinedBy = entry.by
+        offer.declinedBy = actor
         await view.put(key, JSON.stringify(offer))
+        await view.put(sigKey, entry.offerId)
+        break
+      }
+
+      case 'offer_withdraw': {
+        const found = await openOffer(view, entry)
+        if (!found) break
+        const { key, offer } = found
+        if (!isParty(offer, actor) || actor === offer.turn) break // only the last mover retracts
+        offer.status = OFFER_STATUS.WITHDRAWN
+        offer.turn = null
+        offer.withdrawnAt = entry.ts
+        offer.withdrawnBy = actor
+        await view.put(key, JSON.stringify(offer))
+        await view.put(sigKey, entry.offerId)
+        break
+      }
+
+      // ── Escrow ──────────────────────────────────────────────────────────────
+      // Deals from before escrow existed have no `escrow` and count as unfunded.
+
+      case 'escrow_fund': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.buyer) break
+        if ((deal.escrow?.status || ESCROW_STATUS.UNFUNDED) !== ESCROW_STATUS.UNFUNDED) break
+        if (entry.amount !== deal.finalPrice) break // exactly the agreed price
+        const fundedAt = await clockNow(view, entry)
+        await view.put(`hold:${deal.id}`, JSON.stringify({
+          dealId: deal.id, buyer: deal.buyer, seller: deal.seller, amount: entry.amount, status: ESCROW_STATUS.FUNDED, fundedAt
+        }))
+        await adjustBalance(view, actor, 'held', entry.amount)
+        deal.escrow = { status: ESCROW_STATUS.FUNDED, amount: entry.amount, fundedAt, releaseAt: fundedAt + ESCROW_RELEASE_MS }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'escrow_release': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || deal.escrow?.status !== ESCROW_STATUS.FUNDED) break
+        if (actor === deal.seller) {
+          // The seller can only collect once the timeout has passed on the replicated
+          // clock — never on an op's own stamp, which the signer picks, and the clock
+          // only moves on the bootstrap writer's ticks — and not while the buyer
+          // disputes the deal.
+          const now = await getJson(view, 'currentTime')
+          if (now === null || now < deal.escrow.releaseAt) break
+          if (deal.dispute?.status === DISPUTE_STATUS.OPEN) break
+        } else if (actor !== deal.buyer) {
+          break
+        }
+        await settleHold(view, deal, ESCROW_STATUS.RELEASED, { [deal.seller]: deal.escrow.amount }, entry.ts)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'escrow_refund': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || deal.escrow?.status !== ESCROW_STATUS.FUNDED) break
+        if (actor !== deal.seller) break
+        await settleHold(view, deal, ESCROW_STATUS.REFUNDED, { [deal.buyer]: deal.escrow.amount }, entry.ts)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // ── Fulfillment ─────────────────────────────────────────────────────────
+
+      case 'deal_ship': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.seller) break
+        if (fulfillmentStatus(deal) !== FULFILLMENT_STATUS.PENDING) break
+        if (entry.tracking !== undefined && (typeof entry.tracking !== 'string' || entry.tracking.length > MAX_TRACKING_CHARS)) break
+        await advanceFulfillment(view, deal, FULFILLMENT_STATUS.SHIPPED, actor, await clockNow(view, entry), entry.tracking ? { tracking: entry.tracking } : {})
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // Confirming receipt also releases a funded escrow to the seller.
+      case 'deal_confirm_received': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.buyer) break
+        if (![FULFILLMENT_STATUS.PENDING, FULFILLMENT_STATUS.SHIPPED].includes(fulfillmentStatus(deal))) break
+        await advanceFulfillment(view, deal, FULFILLMENT_STATUS.RECEIVED, actor, await clockNow(view, entry))
+        if (deal.escrow?.status === ESCROW_STATUS.FUNDED) {
+          await settleHold(view, deal, ESCROW_STATUS.RELEASED, { [deal.seller]: deal.escrow.amount }, entry.ts)
+        }
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'deal_complete': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || !isParty(deal, actor)) break
+        if (fulfillmentStatus(deal) !== FULFILLMENT_STATUS.RECEIVED) break
+        if (deal.dispute?.status === DISPUTE_STATUS.OPEN) break // the ruling closes it, not a party
+        await advanceFulfillment(view, deal, FULFILLMENT_STATUS.COMPLETED, actor, await clockNow(view, entry))
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // ── Returns ─────────────────────────────────────────────────────────────
+      // The buyer asks within the window; the seller approves with a refund of up to
+      // the price, or denies. When the escrow paid the seller, the ledger moves the
+      // refund from the seller's `received` to the buyer's, and the seller's peer
+      // sends it through the settlement backend once this has applied.
+
+      case 'return_request': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.buyer || deal.return || deal.dispute) break
+        if (fulfillmentStatus(deal) !== FULFILLMENT_STATUS.COMPLETED) break
+        if (![ESCROW_STATUS.UNFUNDED, ESCROW_STATUS.RELEASED].includes(deal.escrow?.status || ESCROW_STATUS.UNFUNDED)) break
+        const deadline = returnDeadline(deal)
+        if (!deadline || await clockNow(view, entry) > deadline) break
+        if (!isText(entry.reason, MAX_REASON_CHARS)) break
+        deal.return = { status: RETURN_STATUS.REQUESTED, reason: entry.reason, requestedAt: entry.ts }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'return_approve': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.seller || deal.return?.status !== RETURN_STATUS.REQUESTED) break
+        const amount = entry.refundAmount
+        if (typeof amount !== 'number' || !(amount > 0) || amount > deal.finalPrice) break
+        if (entry.note !== undefined && !isText(entry.note, MAX_REASON_CHARS)) break
+        deal.return = { ...deal.return, status: RETURN_STATUS.APPROVED, refundAmount: amount, decidedAt: entry.ts, ...(entry.note ? { note: entry.note } : {}) }
+        if (deal.escrow?.status === ESCROW_STATUS.RELEASED) {
+          deal.return.viaEscrow = true
+          await adjustBalance(view, deal.seller, 'received', -amount)
+          await adjustBalance(view, deal.buyer, 'received', amount)
+        }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'return_deny': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || actor !== deal.seller || deal.return?.status !== RETURN_STATUS.REQUESTED) break
+        if (entry.note !== undefined && !isText(entry.note, MAX_REASON_CHARS)) break
+        deal.return = { ...deal.return, status: RETURN_STATUS.DENIED, decidedAt: entry.ts, ...(entry.note ? { note: entry.note } : {}) }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // ── Cancellation ────────────────────────────────────────────────────────
+      // Either party asks, the other confirms. Confirming refunds a funded escrow and
+      // puts the listing back on the market.
+
+      case 'deal_cancel_request': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || !isParty(deal, actor) || deal.cancellation || !cancellable(deal)) break
+        if (entry.reason !== undefined && !isText(entry.reason, MAX_REASON_CHARS)) break
+        deal.cancellation = { status: CANCELLATION_STATUS.REQUESTED, requestedBy: actor, requestedAt: entry.ts, ...(entry.reason ? { reason: entry.reason } : {}) }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'deal_cancel_confirm': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || deal.cancellation?.status !== CANCELLATION_STATUS.REQUESTED) break
+        if (!isParty(deal, actor) || actor === deal.cancellation.requestedBy) break
+        if (!cancellable(deal)) break // e.g. received or disputed since the request
+        deal.cancellation = { ...deal.cancellation, status: CANCELLATION_STATUS.CANCELLED, confirmedBy: actor, cancelledAt: entry.ts }
+        if (deal.escrow?.status === ESCROW_STATUS.FUNDED) {
+          await settleHold(view, deal, ESCROW_STATUS.REFUNDED, { [deal.buyer]: deal.escrow.amount }, entry.ts)
+        } else {
+          await putDeal(view, deal)
+        }
+
+        const offerKey = `${deal.listingId}:${deal.offerId}`
+        const offer = await getJson(view, offerKey)
+        if (offer) {
+          offer.status = OFFER_STATUS.CANCELLED
+          offer.cancelledAt = entry.ts
+          await view.put(offerKey, JSON.stringify(offer))
+        }
+
+        const listing = await getJson(view, deal.listingId)
+        if (listing && listing.status === 'sold' && listing.dealId === deal.id) {
+          const now = await clockNow(view, entry)
+          listing.status = 'active'
+          listing.relistedAt = entry.ts
+          delete listing.soldAt
+          delete listing.dealId
+          await expireStaleOffers(view, listing.id, now)
+          // The sweep skipped the listing while it was sold; rather than expiring it on
+          // the spot, a deadline that passed meanwhile is replaced by a fresh TTL.
+          if (listing.expiresAt && listing.expiresAt <= now) {
+            const expiresAt = now + (listing.ttlMs || DEFAULT_LISTING_TTL_MS)
+            await scheduleExpiry(view, 'listing', listing.id, listing.expiresAt, expiresAt)
+            listing.expiresAt = expiresAt
+          }
+          await putListing(view, listing)
+        }
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // ── Disputes ────────────────────────────────────────────────────────────
+
+      // The first set must come from the bootstrap writer and makes its signer the owner;
+      // after that only the owner can change it, from any writer.
+      case 'arbitrators_set': {
+        const config = await getJson(view, 'config:arbitrators')
+        if (config ? config.owner !== actor : !fromBootstrap(node, host)) break
+        const list = entry.arbitrators
+        if (!Array.isArray(list) || !list.length || list.length > MAX_ARBITRATORS) break
+        if (!list.every(address => typeof address === 'string' && /^[0-9a-f]{40}$/.test(address))) break
+        await view.put('config:arbitrators', JSON.stringify({
+          owner: actor, arbitrators: [...new Set(list)], updatedAt: entry.ts
+        }))
+        await view.put(sigKey, 'config:arbitrators')
+        break
+      }
+
+      case 'dispute_open': {
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal || !isParty(deal, actor)) break
+        if (deal.dispute || fulfillmentStatus(deal) === FULFILLMENT_STATUS.COMPLETED) break // one case per deal
+        if (!isText(entry.reason, MAX_REASON_CHARS)) break
+        if (entry.evidence !== undefined && !isText(entry.evidence, MAX_EVIDENCE_CHARS)) break
+        const config = await getJson(view, 'config:arbitrators')
+        const arbitrator = config && assignArbitrator(config.arbitrators, deal)
+        if (!arbitrator) break
+        const dispute = {
+          dealId: deal.id, buyer: deal.buyer, seller: deal.seller, openedBy: actor, reason: entry.reason,
+          arbitrator, status: DISPUTE_STATUS.OPEN, openedAt: entry.ts
+        }
+        await appendAudit(view, dispute, 'opened', actor, entry.ts, { reason: entry.reason })
+        if (entry.evidence) await appendAudit(view, dispute, 'evidence', actor, entry.ts, { text: entry.evidence })
+        await view.put(`disputeby:${arbitrator}:${deal.id}`, '')
+        deal.dispute = { status: DISPUTE_STATUS.OPEN, arbitrator, openedBy: actor, openedAt: entry.ts }
+        await putDeal(view, deal)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      case 'dispute_evidence': {
+        const dispute = await getJson(view, `dispute:${entry.dealId}`)
+        if (!dispute || dispute.status !== DISPUTE_STATUS.OPEN) break
+        if (actor !== dispute.buyer && actor !== dispute.seller && actor !== dispute.arbitrator) break
+        if (!isText(entry.text, MAX_EVIDENCE_CHARS)) break
+        await appendAudit(view, dispute, 'evidence', actor, entry.ts, { text: entry.text })
+        await view.put(sigKey, dispute.dealId)
+        break
+      }
+
+      // The assigned arbitrator settles a funded escrow as ruled. `buyerAmount` is the
+      // buyer's share of a split; the seller gets the rest. A ruling on a hold that is
+      // unfunded or already settled moves nothing: it is recorded with `settled: false`
+      // and left out of reputation.
+      case 'dispute_rule': {
+        const dispute = await getJson(view, `dispute:${entry.dealId}`)
+        if (!dispute || dispute.status !== DISPUTE_STATUS.OPEN || actor !== dispute.arbitrator) break
+        if (!DISPUTE_OUTCOMES.includes(entry.outcome)) break
+        if (entry.note !== undefined && !isText(entry.note, MAX_REASON_CHARS)) break
+        const deal = await getDeal(view, entry.dealId)
+        if (!deal) break
+        const funded = deal.escrow?.status === ESCROW_STATUS.FUNDED
+        const amount = funded ? deal.escrow.amount : deal.finalPrice
+        let buyerAmount = entry.outcome === 'refund' ? amount : 0
+        if (entry.outcome === 'split') {
+          if (typeof entry.buyerAmount !== 'number' || !(entry.buyerAmount > 0) || !(entry.buyerAmount < amount)) break
+          buyerAmount = entry.buyerAmount
+        }
+        const ruling = { outcome: entry.outcome, buyerAmount, sellerAmount: amount - buyerAmount, settled: funded, note: entry.note || '', at: entry.ts }
+        dispute.status = DISPUTE_STATUS.RULED
+        dispute.ruling = ruling
+        await appendAudit(view, dispute, 'ruled', actor, entry.ts, ruling)
+        await view.del(`disputeby:${actor}:${deal.id}`)
+        deal.dispute = { ...deal.dispute, status: DISPUTE_STATUS.RULED, outcome: entry.outcome, ruledAt: entry.ts }
+        if (funded) {
+          const status = { release: ESCROW_STATUS.RELEASED, refund: ESCROW_STATUS.REFUNDED, split: ESCROW_STATUS.SPLIT }[entry.outcome]
+          await settleHold(view, deal, status, { [deal.buyer]: buyerAmount, [deal.seller]: amount - buyerAmount }, entry.ts)
+        } else {
+          await putDeal(view, deal)
+        }
+        if (funded) await recordDisputeOutcome(view, deal, entry.outcome)
+        await view.put(sigKey, deal.id)
+        break
+      }
+
+      // ── Deal chat ───────────────────────────────────────────────────────────
+      // Messages are numbered per offer (`messageCount` on the offer) and stored under
+      // `msg:<listingId>:<offerId>:<seq>`, sealed with the deal's session key so the
+      // replicated view orders and attributes them without revealing them. Each party
+      // gets a `thread:<address>:…` entry (their inbox) and a `read:…:<address>` marker.
+
+      case 'deal_message': {
+        const key = `${entry.listingId}:${entry.offerId}`
+        const offer = await getJson(view, key)
+        if (!offer || !LIVE_OFFER_STATUSES.includes(offer.status)) break
+        if (!isParty(offer, actor)) break
+        const sealed = sealedBody(entry.sealed)
+        if (!sealed) break
+        const id = await nextId(view, 'MSG')
+        const seq = (offer.messageCount || 0) + 1
+        offer.messageCount = seq
+        offer.lastMessageAt = entry.ts
+        await view.put(key, JSON.stringify(offer))
+        await view.put(`msg:${key}:${pad(seq)}`, JSON.stringify({
+          id, seq, listingId: entry.listingId, offerId: entry.offerId, from: actor, sealed, sentAt: entry.ts
+        }))
+        const thread = JSON.stringify({ listingId: entry.listingId, offerId: entry.offerId })
+        await view.put(`thread:${offer.buyer}:${key}`, thread)
+        await view.put(`thread:${offer.seller}:${key}`, thread)
+        await view.put(`read:${key}:${actor}`, String(seq)) // replying reads the thread
+        await view.put(sigKey, id)
+        break
+      }
+
+      case 'deal_read': {
+        const key = `${entry.listingId}:${entry.offerId}`
+        const offer = await getJson(view, key)
+        if (!offer || !isParty(offer, actor)) break
+        if (!Number.isSafeInteger(entry.seq) || entry.seq < 1) break
+        const readKey = `read:${key}:${actor}`
+        const prev = await getJson(view, readKey) || 0
+        const seq = Math.min(entry.seq, offer.messageCount || 0)
+        if (seq <= prev) break // read markers only move forward
+        await view.put(readKey, String(seq))
+        break
+      }
+
+      // ── Ratings ─────────────────────────────────────────────────────────────
+
+      case 'rating_submit': {
+        if (typeof entry.dealId !== 'string' || !entry.dealId.startsWith('DEAL-')) break
+        const deal = await getJson(view, entry.dealId)
+        if (!deal || isCancelled(deal)) break // a called-off deal was never a trade
+        if (deal.buyer === deal.seller) break
+        if (actor !== deal.buyer && actor !== deal.seller) break // only parties
+        if (!Number.isInteger(entry.stars) || entry.stars < 1 || entry.stars > 5) break
+        if (!isOptionalText(entry.comment, LIMITS.comment)) break
+
+        const ratingKey = `rating:${deal.id}:${actor}`
+        if (await view.get(ratingKey)) break // one rating per party per deal
+        const ratedAddress = actor === deal.buyer ? deal.seller : deal.buyer
+        await view.put(ratingKey, JSON.stringify({
+          dealId: deal.id,
+          rater: actor,
+          ratedAddress,
+          stars: entry.stars,
+          comment: entry.comment || '',
+          submittedAt: entry.ts
+        }))
+
+        // Incremental aggregate — never rescan ratings to recompute
+        const repKey = `rep:${ratedAddress}`
+        const rep = await getJson(view, repKey) || { address: ratedAddress, totalStars: 0, ratingCount: 0 }
+        rep.totalStars += entry.stars
+        rep.ratingCount++
+        rep.avgStars = Math.round(rep.totalStars / rep.ratingCount * 100) / 100
+        rep.lastRatedAt = entry.ts
+        await view.put(repKey, JSON.stringify(rep))
+        await view.put(sigKey, ratingKey)
         break
       }
 
       // ── Agent Rules ─────────────────────────────────────────────────────────
 
       case 'rule_set': {
-        ruleSeq++
-        const ruleId = nextId('RULE', ruleSeq)
-        const ruleKey = `rule:${entry.owner}:${ruleId}`
+        const ruleId = await nextId(view, 'RULE')
+        const ruleKey = `rule:${actor}:${ruleId}`
         await view.put(ruleKey, JSON.stringify({
           id: ruleId,
-          owner: entry.owner,
+          owner: actor,
           type: entry.ruleType,       // 'auto_buy' | 'auto_accept' | 'auto_counter'
           params: entry.params,
           createdAt: entry.ts
@@ -177,15 +967,68 @@ async function apply (nodes, view, host) {
       }
 
       case 'rule_delete': {
-        const ruleKey = `rule:${entry.owner}:${entry.ruleId}`
-        const raw = await view.get(ruleKey)
-        if (!raw) break
-        const rule = JSON.parse(raw)
-        if (rule.owner !== entry.owner) break
+        const ruleKey = `rule:${actor}:${entry.ruleId}`
+        const rule = await getJson(view, ruleKey)
+        if (!rule) break
+        if (rule.owner !== actor) break
         rule.deleted = true
         await view.put(ruleKey, JSON.stringify(rule))
         break
       }
+
+      // ── Watches ─────────────────────────────────────────────────────────────
+      // Indexed both ways: by listing (who to alert) and by watcher (watch_list).
+
+      case 'watch_add': {
+        const listing = await getListing(view, entry.listingId)
+        if (!listing) break
+        const watchKey = `watch:${entry.listingId}:${actor}`
+        if (await view.get(watchKey)) break
+        const watch = { listingId: entry.listingId, watcher: actor, createdAt: entry.ts }
+        await view.put(watchKey, JSON.stringify(watch))
+        await view.put(`watchby:${actor}:${entry.listingId}`, JSON.stringify(watch))
+        break
+      }
+
+      case 'watch_remove': {
+        const watchKey = `watch:${entry.listingId}:${actor}`
+        if (!(await view.get(watchKey))) break
+        await view.del(watchKey)
+        await view.del(`watchby:${actor}:${entry.listingId}`)
+        break
+      }
+
+      // ── Saved Searches ──────────────────────────────────────────────────────
+
+      case 'search_save': {
+        const { category, minPrice, maxPrice, keywords } = entry
+        if (minPrice !== undefined && typeof minPrice !== 'number') break
+        if (maxPrice !== undefined && typeof maxPrice !== 'number') break
+        if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) break
+        if (!category && minPrice === undefined && maxPrice === undefined && !keywords) break
+        if (!isOptionalText(entry.name, LIMITS.name) || !isOptionalText(category, LIMITS.category) || !isOptionalText(keywords, LIMITS.keywords)) break
+        const searchId = await nextId(view, 'SRCH')
+        await view.put(`search:${actor}:${searchId}`, JSON.stringify({
+          id: searchId,
+          owner: actor,
+          name: entry.name || '',
+          category: category || null,
+          minPrice: minPrice ?? null,
+          maxPrice: maxPrice ?? null,
+          keywords: keywords || '',
+          createdAt: entry.ts
+        }))
+        break
+      }
+
+      case 'search_delete': {
+        const searchKey = `search:${actor}:${entry.searchId}`
+        const saved = await getJson(view, searchKey)
+        if (!saved || saved.deleted) break
+        saved.deleted = true
+        await view.put(searchKey, JSON.stringify(saved))
+        break
+      }
     }
   }
 }
@@ -200,4 +1043,7 @@ function open (store) {
   })
 }
 
-module.exports = { apply, open }
+module.exports = {
+  apply, open, LISTING_STATUSES, OFFER_STATUS, OPEN_OFFER_STATUSES, LIVE_OFFER_STATUSES, ESCROW_STATUS, ESCROW_RELEASE_MS, CANCELLATION_STATUS,
+  FULFILLMENT_STATUS, RETURN_STATUS, MAX_RETURN_DAYS, DISPUTE_STATUS, DISPUTE_OUTCOMES, isCancelled, returnDeadline
+}
@@ -0,0 +1,409 @@
+'use strict'
+
+/**
+ * TracMarket — Sidechannel Event Schema
+ *
+ * Every message TracMarket sends over a sidechannel is built with encodeEvent() and
+ * read back with decodeEvent(), so senders and Market agree on one definition of
+ * each event. Messages are JSON objects tagged with the schema version:
+ *
+ *   { "v": 1, "event": "LISTING_POST", ...fields }
+ *
+ * `tracmarket` carries public events; each offer is negotiated on its own invite-only
+ * `deal-<listingId>-<offerId>` channel (see dealChannel); RPC events may use either.
+ * An event arriving on the wrong kind of channel is rejected.
+ *
+ * Deal channels carry only DEAL_SEALED envelopes: the negotiation event inside is
+ * encrypted with the deal's session key (see sealing.js).
+ *
+ * Listing announcements also carry `auth`: the sidechannel signature of the seller
+ * over the rest of the message (see signAnnouncement / verifyAnnouncement).
+ */
+
+const VERSION = 1
+const SUPPORTED_VERSIONS = [1]
+const MAX_MESSAGE_BYTES = 16 * 1024
+// Causes for dropping a message: decodeEvent() reports the first six, Market the rest
+// after checking announcement signatures against the view and opening sealed deal
+// events, or when handling a message throws (`handler_error`).
+const REJECT_CODES = [
+  'malformed', 'too_large', 'version', 'unknown_event', 'wrong_channel', 'invalid',
+  'bad_signature', 'not_seller', 'contradicts_view', 'stale', 'not_sealed', 'bad_seal', 'handler_error'
+]
+
+// Longest accepted text per field. The protocol checks user input against the same
+// limits so an op it accepts can always be announced.
+const LIMITS = {
+  id: 64,
+  title: 200,
+  desc: 4000,
+  tags: 500,
+  category: 64,
+  currency: 16,
+  note: 500,
+  comment: 1000,
+  message: 2000,
+  tracking: 200,
+  reason: 500,
+  evidence: 4000,
+  conditions: 500,
+  name: 100,
+  keywords: 200
+}
+
+// Catalog sync batch sizes, chosen to keep each message well under MAX_MESSAGE_BYTES
+// (CATALOG_ITEMS is additionally split by size).
+const CATALOG_DIGEST_MAX = 200
+const CATALOG_FETCH_MAX = 50
+// Most listings one peer returns for a remote search.
+const SEARCH_RESULTS_MAX = 50
+
+const str = max => ({ type: 'string', max })
+const opt = spec => ({ ...spec, optional: true })
+
+const ID = str(LIMITS.id)
+const ADDRESS = { type: 'string', pattern: /^[0-9a-f]{40}$/ }
+const AMOUNT = { type: 'number', min: 0 }
+const TIME = { type: 'number', min: 0 }
+const AUTH = {
+  type: 'object',
+  fields: {
+    id: str(128),
+    from: { type: 'string', pattern: /^[0-9a-f]{64}$/ },
+    ts: TIME,
+    sig: { type: 'string', pattern: /^[0-9a-f]{128}$/ }
+  }
+}
+
+// windowDays counts from the deal's completion; 0 means no returns.
+const RETURN_POLICY = {
+  type: 'object',
+  fields: { windowDays: { type: 'integer', min: 0, max: 365 }, conditions: opt(str(LIMITS.conditions)) }
+}
+
+const SCHEMAS = {
+  // ── tracmarket ──────────────────────────────────────────────────────────────
+  LISTING_POST: {
+    scope: 'public',
+    fields: {
+      id: ID,
+      title: str(LIMITS.title),
+      desc: opt(str(LIMITS.desc)),
+      price: AMOUNT,
+      currency: str(LIMITS.currency),
+      category: str(LIMITS.category),
+      tags: opt(str(LIMITS.tags)),
+      seller: ADDRESS,
+      createdAt: TIME,
+      updatedAt: opt(TIME),
+      expiresAt: opt(TIME),
+      returnPolicy: opt(RETURN_POLICY),
+      auth: AUTH
+    }
+  },
+  LISTING_UPDATE: { scope: 'public', fields: { id: ID, price: AMOUNT, updatedAt: TIME, auth: AUTH } },
+  LISTING_RENEW: { scope: 'public', fields: { id: ID, title: str(LIMITS.title), price: AMOUNT, ttl: opt(AMOUNT), auth: AUTH } },
+  LISTING_REMOVE: { scope: 'public', fields: { id: ID, auth: AUTH } },
+  DEAL_CLOSED: { scope: 'public', fields: { listingId: ID } },
+  DEAL_CANCELLED: { scope: 'public', fields: { listingId: ID, dealId: ID } }, // the listing is active again
+  RATING_POSTED: {
+    scope: 'public',
+    fields: {
+      dealId: ID,
+      ratedAddress: ADDRESS,
+      stars: { type: 'integer', min: 1, max: 5 },
+      comment: opt(str(LIMITS.comment)),
+      ratedBy: ADDRESS
+    }
+  },
+  // Signed by the listing's seller, or by a party to the deal `dealId` on it. Each
+  // receiver checks the listing against its own watches.
+  WATCH_ALERT: {
+    scope: 'public',
+    fields: {
+      listingId: ID,
+      change: { type: 'string', oneOf: ['price_drop', 'updated', 'sold', 'available'] },
+      detail: { type: 'object' },
+      dealId: opt(ID),
+      auth: AUTH
+    }
+  },
+
+  // Dispute notices, addressed to the parties and the assigned arbitrator. The case
+  // itself (reason, evidence, ruling) is read from the view.
+  DISPUTE_OPENED: {
+    scope: 'public',
+    fields: { dealId: ID, openedBy: ADDRESS, arbitrator: ADDRESS, to: { type: 'array', of: ADDRESS, max: 3 } }
+  },
+  DISPUTE_RULED: {
+    scope: 'public',
+    fields: {
+      dealId: ID,
+      outcome: { type: 'string', oneOf: ['release', 'refund', 'split'] },
+      arbitrator: ADDRESS,
+      to: { type: 'array', of: ADDRESS, max: 3 }
+    }
+  },
+
+  // Catalog sync: a joining peer asks for the catalog, peers answer with a digest of
+  // the listings they can vouch for, and the joiner fetches the signed announcements
+  // it is missing. Replies are addressed with `to`.
+  CATALOG_REQUEST: { scope: 'public', fields: { requestId: ID, from: ADDRESS } },
+  CATALOG_DIGEST: {
+    scope: 'public',
+    fields: {
+      requestId: ID,
+      from: ADDRESS,
+      to: ADDRESS,
+      items: { type: 'array', of: { type: 'object', fields: { id: ID, version: TIME } }, max: CATALOG_DIGEST_MAX }
+    }
+  },
+  CATALOG_FETCH: {
+    scope: 'public',
+    fields: { requestId: ID, from: ADDRESS, to: ADDRESS, ids: { type: 'array', of: ID, max: CATALOG_FETCH_MAX } }
+  },
+  CATALOG_ITEMS: {
+    scope: 'public',
+    // Each item is a signed LISTING_POST / LISTING_UPDATE / LISTING_RENEW, re-checked on arrival.
+    fields: { requestId: ID, from: ADDRESS, to: ADDRESS, items: { type: 'array', of: { type: 'object' }, max: CATALOG_FETCH_MAX * 2 } }
+  },
+
+  // Remote search: a query for every peer; each answers once, addressed with `to`,
+  // with the signed announcements of at most `limit` matching listings.
+  SEARCH_QUERY: {
+    scope: 'public',
+    fields: {
+      requestId: ID,
+      from: ADDRESS,
+      query: {
+        type: 'object',
+        fields: {
+          category: opt(str(LIMITS.category)),
+          minPrice: opt(AMOUNT),
+          maxPrice: opt(AMOUNT),
+          keywords: opt(str(LIMITS.keywords)),
+          limit: { type: 'integer', min: 1, max: SEARCH_RESULTS_MAX }
+        }
+      }
+    }
+  },
+  SEARCH_RESULTS: {
+    scope: 'public',
+    // Each item is a signed LISTING_POST / LISTING_UPDATE / LISTING_RENEW, as in CATALOG_ITEMS.
+    fields: { requestId: ID, from: ADDRESS, to: ADDRESS, items: { type: 'array', of: { type: 'object' }, max: SEARCH_RESULTS_MAX * 2 } }
+  },
+
+  // ── any channel ─────────────────────────────────────────────────────────────
+  // Request/response pairs for rpc.js, correlated by `id` and addressed with `to`.
+  RPC_REQUEST: {
+    scope: 'any',
+    fields: {
+      id: ID,
+      method: str(64),
+      from: ADDRESS,
+      to: ADDRESS,
+      params: opt({ type: 'object' }),
+      attempt: { type: 'integer', min: 1, max: 10 }
+    }
+  },
+  RPC_RESPONSE: {
+    scope: 'any',
+    fields: {
+      id: ID,
+      from: ADDRESS,
+      to: ADDRESS,
+      ok: { type: 'boolean' },
+      result: opt({ type: 'any' }),
+      error: opt({ type: 'object', fields: { code: str(32), message: opt(str(200)) } })
+    }
+  },
+
+  // ── deal-<listingId>-<offerId> ──────────────────────────────────────────────
+  // What actually crosses a deal channel: one of the events below, encoded and sealed.
+  DEAL_SEALED: {
+    scope: 'deal',
+    fields: {
+      nonce: { type: 'string', pattern: /^[0-9a-f]{48}$/ },
+      box: { type: 'string', pattern: /^[A-Za-z0-9+/]+={0,2}$/, max: MAX_MESSAGE_BYTES }
+    }
+  },
+  OFFER_SENT: {
+    scope: 'deal',
+    fields: { offerId: ID, amount: AMOUNT, note: opt(str(LIMITS.note)), buyer: ADDRESS, ttl: opt(AMOUNT) }
+  },
+  OFFER_COUNTER: { scope: 'deal', fields: { offerId: ID, amount: AMOUNT, by: ADDRESS, ttl: opt(AMOUNT) } },
+  OFFER_ACCEPTED: { scope: 'deal', fields: { offerId: ID, by: ADDRESS } },
+  OFFER_DECLINED: { scope: 'deal', fields: { offerId: ID, by: ADDRESS } },
+  OFFER_WITHDRAWN: { scope: 'deal', fields: { offerId: ID, by: ADDRESS } },
+  OFFER_EXPIRED: { scope: 'deal', fields: { offerId: ID, expiredAt: TIME } },
+  DEAL_SHIPPED: {
+    scope: 'deal',
+    fields: { offerId: ID, dealId: ID, by: ADDRESS, tracking: opt(str(LIMITS.tracking)) }
+  },
+  DEAL_RECEIVED: { scope: 'deal', fields: { offerId: ID, dealId: ID, by: ADDRESS } },
+  DEAL_COMPLETED: { scope: 'deal', fields: { offerId: ID, dealId: ID, by: ADDRESS } },
+  DEAL_CANCEL_REQUESTED: {
+    scope: 'deal',
+    fields: { offerId: ID, dealId: ID, by: ADDRESS, reason: opt(str(LIMITS.reason)) }
+  },
+  DEAL_CANCEL_CONFIRMED: { scope: 'deal', fields: { offerId: ID, dealId: ID, by: ADDRESS } },
+  RETURN_REQUESTED: { scope: 'deal', fields: { offerId: ID, dealId: ID, by: ADDRESS, reason: str(LIMITS.reason) } },
+  RETURN_APPROVED: {
+    scope: 'deal',
+    fields: { offerId: ID, dealId: ID, by: ADDRESS, refundAmount: AMOUNT, note: opt(str(LIMITS.reason)) }
+  },
+  RETURN_DENIED: { scope: 'deal', fields: { offerId: ID, dealId: ID, by: ADDRESS, note: opt(str(LIMITS.reason)) } },
+  DEAL_MESSAGE: {
+    scope: 'deal',
+    fields: { offerId: ID, messageId: ID, text: str(LIMITS.message), by: ADDRESS, sentAt: TIME }
+  }
+}
+
+// The private channel for negotiating one offer. The seller invites the buyer to it.
+function dealChannel (listingId, offerId) {
+  return `deal-${listingId}-${offerId}`
+}
+
+// → { listingId, offerId } for a deal channel name, else null.
+function parseDealChannel (channel) {
+  const m = /^deal-(.+)-(OFR-\d+)$/.exec(String(channel))
+  return m ? { listingId: m[1], offerId: m[2] } : null
+}
+
+// Returns a reason string when `value` doesn't satisfy `spec`, otherwise null.
+function checkField (name, value, spec) {
+  if (value === undefined || value === null) return spec.optional ? null : `${name} is required`
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`
+      if (spec.max !== undefined && value.length > spec.max) return `${name} exceeds ${spec.max} characters`
+      if (spec.pattern && !spec.pattern.test(value)) return `${name} is malformed`
+      if (spec.oneOf && !spec.oneOf.includes(value)) return `${name} must be one of ${spec.oneOf.join(', ')}`
+      return null
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`
+      if (spec.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`
+      if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`
+      if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`
+      return null
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`
+    case 'any':
+      return null
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`
+      for (const [field, fieldSpec] of Object.entries(spec.fields || {})) {
+        const reason = checkField(`${name}.${field}`, value[field], fieldSpec)
+        if (reason) return reason
+      }
+      return null
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be an array`
+      if (spec.max !== undefined && value.length > spec.max) return `${name} exceeds ${spec.max} entries`
+      for (const item of value) {
+        const reason = checkField(`${name}[]`, item, spec.of)
+        if (reason) return reason
+      }
+      return null
+  }
+  return `${name} has no known type`
+}
+
+function validate (event, fields) {
+  const schema = Object.hasOwn(SCHEMAS, event) ? SCHEMAS[event] : null
+  if (!schema) return `unknown event ${event}`
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const reason = checkField(name, fields[name], spec)
+    if (reason) return `${event}: ${reason}`
+  }
+  return null
+}
+
+/**
+ * Build the wire form of an event. Throws on a schema violation — that is a bug in
+ * the sender, not bad input from a peer.
+ */
+function encodeEvent (event, fields) {
+  const reason = validate(event, fields)
+  if (reason) throw new Error(`Invalid sidechannel event — ${reason}`)
+  const data = JSON.stringify({ v: VERSION, event, ...fields })
+  if (Buffer.byteLength(data) > MAX_MESSAGE_BYTES) throw new Error(`Invalid sidechannel event — ${event} exceeds ${MAX_MESSAGE_BYTES} bytes`)
+  return data
+}
+
+/**
+ * Parse and validate a received message for a channel scope ('public' | 'deal').
+ * Returns { ok: true, msg } or { ok: false, code, reason } — never throws. `code` is
+ * one of REJECT_CODES, a small fixed set suitable for counting.
+ */
+function decodeEvent (data, scope) {
+  const reject = (code, reason) => ({ ok: false, code, reason })
+  const text = typeof data === 'string' ? data : Buffer.isBuffer(data) ? data.toString() : null
+  if (text === null) return reject('malformed', 'not text')
+  if (Buffer.byteLength(text) > MAX_MESSAGE_BYTES) return reject('too_large', `over ${MAX_MESSAGE_BYTES} bytes`)
+
+  let msg
+  try { msg = JSON.parse(text) } catch { return reject('malformed', 'invalid JSON') }
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return reject('malformed', 'not an object')
+  if (msg.v === undefined) return reject('version', 'missing version')
+  if (!SUPPORTED_VERSIONS.includes(msg.v)) return reject('version', `unsupported version ${String(msg.v).slice(0, 16)}`)
+
+  const schema = typeof msg.event === 'string' && Object.hasOwn(SCHEMAS, msg.event) ? SCHEMAS[msg.event] : null
+  if (!schema) return reject('unknown_event', `unknown event ${String(msg.event).slice(0, 32)}`)
+  if (schema.scope !== 'any' && schema.scope !== scope) return reject('wrong_channel', `${msg.event} is not a ${scope} event`)
+  const reason = validate(msg.event, msg)
+  if (reason) return reject('invalid', reason)
+  return { ok: true, msg }
+}
+
+// LISTING_POST fields for a listing record as stored in the view.
+function listingPostFields (listing) {
+  return {
+    id: listing.id,
+    title: listing.title,
+    desc: listing.desc,
+    price: listing.price,
+    currency: listing.currency,
+    category: listing.category,
+    tags: listing.tags,
+    seller: listing.seller,
+    createdAt: listing.createdAt,
+    updatedAt: listing.updatedAt,
+    expiresAt: listing.expiresAt,
+    returnPolicy: listing.returnPolicy
+  }
+}
+
+// The sidechannel envelope an announcement's `auth` signs: the sidechannel feature's
+// own signed-message shape, with the event (minus `auth`) as its message.
+function announcementEnvelope (channel, message, auth) {
+  return { id: auth.id, channel, from: auth.from, origin: auth.from, ts: auth.ts, message, sig: auth.sig }
+}
+
+/**
+ * Encode a listing announcement signed by this peer's wallet through the
+ * sidechannel's `_attachSig`. Throws when the sidechannel can't sign.
+ */
+function signAnnouncement (sidechannel, channel, event, fields) {
+  const message = JSON.parse(JSON.stringify({ v: VERSION, event, ...fields })) // exactly what receivers will see
+  const from = sidechannel.peer?.wallet?.publicKey
+  const fromHex = typeof from === 'string' ? from.toLowerCase() : from ? Buffer.from(from).toString('hex') : null
+  if (!fromHex) throw new Error('Sidechannel has no wallet to sign announcements with')
+  const ts = Date.now()
+  const envelope = announcementEnvelope(channel, message, { id: `${fromHex}:${ts}:${event}`, from: fromHex, ts })
+  if (!sidechannel._attachSig(envelope)) throw new Error('Sidechannel could not sign the announcement')
+  return encodeEvent(event, { ...fields, auth: { id: envelope.id, from: fromHex, ts, sig: envelope.sig } })
+}
+
+// True when a decoded announcement's `auth` is a valid signature by `auth.from`.
+function verifyAnnouncement (sidechannel, channel, msg) {
+  const { auth, ...message } = msg
+  return sidechannel._verifySig(announcementEnvelope(channel, message, auth), auth.from) === true
+}
+
+module.exports = {
+  VERSION, LIMITS, SCHEMAS, REJECT_CODES, MAX_MESSAGE_BYTES, CATALOG_DIGEST_MAX, CATALOG_FETCH_MAX,
+  SEARCH_RESULTS_MAX, dealChannel, parseDealChannel,
+  encodeEvent, decodeEvent, listingPostFields, signAnnouncement, verifyAnnouncement
+}
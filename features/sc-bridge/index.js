@@ -2,6 +2,7 @@ import Feature from 'trac-peer/src/artifacts/feature.js';
 import { TerminalHandlers } from 'trac-peer/src/terminal/handlers.js';
 import b4a from 'b4a';
 import ws from 'bare-ws';
+import { run as runMarketCli } from '../../cli.js';
 
 const normalizeText = (value) => {
   if (value === null || value === undefined) return '';
@@ -60,6 +61,7 @@ class ScBridge extends Feature {
     super(peer, config);
     this.key = 'sc-bridge';
     this.sidechannel = null;
+    this.market = null;
     this.server = null;
     this.started = false;
     this.clients = new Set();
@@ -85,6 +87,16 @@ class ScBridge extends Feature {
     this.sidechannel = sidechannel;
   }
 
+  attachMarket(market) {
+    this.market = market;
+    // Saved-search (and other) alerts go to every ready client, unfiltered.
+    market.on('alert', (alert) => {
+      for (const client of this.clients) {
+        if (client.ready) this._broadcastToClient(client, { type: 'market_alert', ...alert });
+      }
+    });
+  }
+
   _broadcastToClient(client, payload) {
     try {
       const data = JSON.stringify(payload);
@@ -206,6 +218,24 @@ class ScBridge extends Feature {
           });
         return;
       }
+      case 'market': {
+        // Structured TracMarket commands, e.g.
+        // { type: 'market', command: { op: 'listing_list', sort: 'price_asc', min_price: 10, cursor } }
+        if (!this.market) {
+          sendError('Market not ready.');
+          return;
+        }
+        const command = message.command;
+        if (!command || typeof command !== 'object' || typeof command.op !== 'string') {
+          sendError('Missing command.op.');
+          return;
+        }
+        this.market.protocol
+          .handle(command)
+          .then((result) => reply({ type: 'market_result', op: command.op, ...result }))
+          .catch((err) => reply({ type: 'market_result', op: command.op, ok: false, error: err?.message ?? String(err) }));
+        return;
+      }
       case 'ping':
         reply({ type: 'pong', ts: Date.now() });
         return;
@@ -489,6 +519,7 @@ class ScBridge extends Feature {
       { rule: (line) => line.startsWith('/enable_whitelist'), handler: (line) => this.cliHandlers.enableWhitelist(line) },
       { rule: (line) => line.startsWith('/set_whitelist_status'), handler: (line) => this.cliHandlers.setWhitelistStatus(line) },
       { rule: (line) => line.startsWith('/deploy_subnet'), handler: (line) => this.cliHandlers.deploySubnet(line) },
+      { rule: (line) => this.market !== null && /^market(\s|$)/.test(line), handler: (line) => runMarketCli(this.market, line) },
       { rule: () => true, handler: (line) => this.peer?.protocol?.instance?.customCommand(line) },
     ];
 
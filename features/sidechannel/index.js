@@ -112,6 +112,9 @@ class Sidechannel extends Feature {
     }
     this.inviterKeys = inviterKeys.length > 0 ? new Set(inviterKeys) : null;
     this.inviteTtlMs = Number.isSafeInteger(config.inviteTtlMs) ? config.inviteTtlMs : 0;
+    // Channels made invite-only at runtime, each with a single designated inviter
+    // (see setChannelInviter). These ignore the global inviteRequired/inviterKeys config.
+    this.channelInviters = new Map();
     this.invitedPeers = new Map();
     this.localInvites = new Map();
     // Stores the last accepted invite object (for auth handshakes).
@@ -328,6 +331,7 @@ class Sidechannel extends Feature {
 
   _inviteRequired(channel) {
     if (this._isEntry(channel)) return false;
+    if (this.channelInviters.has(normalizeChannel(channel))) return true;
     if (!this.inviteRequired) return false;
     const hasList = this.inviteRequiredChannels || this.inviteRequiredPrefixes;
     if (this.inviteRequiredChannels && this.inviteRequiredChannels.has(channel)) return true;
@@ -348,6 +352,15 @@ class Sidechannel extends Feature {
     return false;
   }
 
+  // Whether `key` may issue invites for `channel`: the designated inviter for channels
+  // registered with setChannelInviter, otherwise any configured inviter key.
+  _isInviter(channel, key) {
+    if (!key) return false;
+    const designated = this.channelInviters.get(normalizeChannel(channel));
+    if (designated) return key === designated;
+    return Boolean(this.inviterKeys && this.inviterKeys.has(key));
+  }
+
   _getInviteMap(channel) {
     if (!this.invitedPeers.has(channel)) this.invitedPeers.set(channel, new Map());
     return this.invitedPeers.get(channel);
@@ -415,7 +428,9 @@ class Sidechannel extends Feature {
     if (normalized.channel !== String(channel)) return false;
     if (normalized.inviteePubKey !== inviteeKey) return false;
     if (!normalized.inviterPubKey || normalized.inviterPubKey.length === 0) return false;
-    if (this.inviterKeys && !this.inviterKeys.has(normalized.inviterPubKey)) return false;
+    if (this.channelInviters.has(normalizeChannel(channel)) || this.inviterKeys) {
+      if (!this._isInviter(channel, normalized.inviterPubKey)) return false;
+    }
     if (!Number.isFinite(normalized.issuedAt) || !Number.isFinite(normalized.expiresAt)) return false;
     if (normalized.expiresAt <= this._now()) return false;
     const message = stableStringify(normalized);
@@ -456,10 +471,10 @@ class Sidechannel extends Feature {
   _checkInvite(payload, channel, connection) {
     if (!this._inviteRequired(channel)) return true;
     const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-    const selfIsInviter = this.inviterKeys && selfKey && this.inviterKeys.has(selfKey);
+    const selfIsInviter = this._isInviter(channel, selfKey);
     if (!selfIsInviter && !this._isLocallyInvited(channel)) return false;
     const remoteKey = this._getRemoteKey(connection);
-    if (this.inviterKeys && this.inviterKeys.has(remoteKey)) return true;
+    if (this._isInviter(channel, remoteKey)) return true;
     if (this._isInvited(channel, remoteKey)) return true;
     const invite = payload?.invite || payload?.message?.invite;
     if (invite && this._verifyInvite(invite, channel, connection)) return true;
@@ -660,7 +675,7 @@ class Sidechannel extends Feature {
     if (this.channels.has(channel)) return this.channels.get(channel);
     if (this._inviteRequired(channel)) {
       const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-      const selfIsInviter = this.inviterKeys && selfKey && this.inviterKeys.has(selfKey);
+      const selfIsInviter = this._isInviter(channel, selfKey);
       if (!selfIsInviter && !this._isLocallyInvited(channel)) {
         console.log(`[sidechannel:${channel}] join denied (invite required).`);
         return null;
@@ -684,7 +699,7 @@ class Sidechannel extends Feature {
     // For invite-only channels, don't send plaintext control payloads to unauthorized peers.
     if (connection && this._inviteRequired(entry.name)) {
       const remoteKey = this._getRemoteKey(connection);
-      const remoteIsInviter = this.inviterKeys && this.inviterKeys.has(remoteKey);
+      const remoteIsInviter = this._isInviter(entry.name, remoteKey);
       if (!remoteIsInviter && !this._isInvited(entry.name, remoteKey)) return;
     }
     if (!record?.message) return;
@@ -697,7 +712,7 @@ class Sidechannel extends Feature {
     if (!record?.message || record.authSent) return;
     if (!this._inviteRequired(entry.name)) return;
     const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-    const selfIsInviter = this.inviterKeys && selfKey && this.inviterKeys.has(selfKey);
+    const selfIsInviter = this._isInviter(entry.name, selfKey);
     if (selfIsInviter) return;
     if (!this._isLocallyInvited(entry.name)) return;
     const invite = this.localInviteObjects.get(normalizeChannel(entry.name));
@@ -714,7 +729,7 @@ class Sidechannel extends Feature {
   _remoteAuthorized(channel, connection) {
     if (!this._inviteRequired(channel)) return true;
     const remoteKey = this._getRemoteKey(connection);
-    if (this.inviterKeys && this.inviterKeys.has(remoteKey)) return true;
+    if (this._isInviter(channel, remoteKey)) return true;
     return this._isInvited(channel, remoteKey);
   }
 
@@ -1029,6 +1044,18 @@ class Sidechannel extends Feature {
     return true;
   }
 
+  // Make `name` invite-only with `inviterKey` as its only inviter, e.g. a private channel
+  // between two parties where one invites the other. Call before joining or accepting an
+  // invite. The designation outlives removeChannel() so a rejoin can't fall back to an
+  // open channel.
+  setChannelInviter(name, inviterKey) {
+    const channel = normalizeChannel(name);
+    const key = normalizeKeyHex(inviterKey);
+    if (!channel || !key) return false;
+    this.channelInviters.set(channel, key);
+    return true;
+  }
+
   acceptInvite(name, invite = null, welcome = null) {
     const channel = String(name || '').trim();
     if (!channel) return false;
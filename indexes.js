@@ -0,0 +1,93 @@
+'use strict'
+
+/**
+ * TracMarket — View Secondary Indexes
+ *
+ * apply() keeps ordered index keys next to every listing and deal record so read
+ * ops are bounded range scans instead of full walks of the view. An index key's
+ * value is just the record ID; readers fetch the record itself.
+ *
+ *   ix:lst:category:<category>:<createdAt>:<id>
+ *   ix:lst:seller:<seller>:<createdAt>:<id>
+ *   ix:lst:price:<priceBucket>:<id>
+ *   ix:lst:status:<status>:<createdAt>:<id>
+ *   ix:lst:created:<createdAt>:<id>
+ *   ix:lst:updated:<updatedAt or createdAt>:<id>
+ *   ix:deal:party:<address>:<closedAt>:<id>      (one key each for buyer and seller)
+ *   ix:deal:created:<closedAt>:<id>
+ *
+ * Numbers are zero-padded so lexicographic order is numeric order, and free-text
+ * components are URI-encoded so a ':' in a category can't bleed into the next field.
+ */
+
+// Upper bound for prefix scans. Keys are UTF-8 encoded, so this must sort after any
+// encoded character, not just Latin-1 — search terms can be in any script.
+const END = '\u{10ffff}'
+
+function pad (n) {
+  return String(Math.max(0, Math.floor(Number(n) || 0))).padStart(15, '0')
+}
+
+function part (value) {
+  return encodeURIComponent(String(value))
+}
+
+// Prices bucket by hundredths of a currency unit, which keeps price-sorted scans in
+// price order; readers still filter the exact price on the record.
+function priceBucket (price) {
+  return pad(Math.round(Number(price) * 100))
+}
+
+const prefix = {
+  category: category => `ix:lst:category:${part(category)}:`,
+  seller: seller => `ix:lst:seller:${part(seller)}:`,
+  price: () => 'ix:lst:price:',
+  status: status => `ix:lst:status:${part(status)}:`,
+  created: () => 'ix:lst:created:',
+  updated: () => 'ix:lst:updated:',
+  dealParty: address => `ix:deal:party:${part(address)}:`,
+  dealCreated: () => 'ix:deal:created:'
+}
+
+function listingIndexKeys (listing) {
+  const created = pad(listing.createdAt)
+  return [
+    `${prefix.category(listing.category)}${created}:${listing.id}`,
+    `${prefix.seller(listing.seller)}${created}:${listing.id}`,
+    `${prefix.price()}${priceBucket(listing.price)}:${listing.id}`,
+    `${prefix.status(listing.status)}${created}:${listing.id}`,
+    `${prefix.created()}${created}:${listing.id}`,
+    `${prefix.updated()}${pad(listing.updatedAt || listing.createdAt)}:${listing.id}`
+  ]
+}
+
+function dealIndexKeys (deal) {
+  const closed = pad(deal.closedAt)
+  const keys = [`${prefix.dealCreated()}${closed}:${deal.id}`]
+  for (const party of new Set([deal.buyer, deal.seller])) {
+    if (party) keys.push(`${prefix.dealParty(party)}${closed}:${deal.id}`)
+  }
+  return keys
+}
+
+// Swap a record's old index keys for its new ones, touching only what changed.
+async function reindex (view, prevKeys, nextKeys, id) {
+  const next = new Set(nextKeys)
+  for (const key of prevKeys) {
+    if (!next.has(key)) await view.del(key)
+  }
+  const prev = new Set(prevKeys)
+  for (const key of nextKeys) {
+    if (!prev.has(key)) await view.put(key, id)
+  }
+}
+
+// Range options covering every key under `p`, optionally narrowed to [from, to] suffixes.
+function range (p, from, to) {
+  return {
+    gte: from !== undefined ? p + from : p,
+    lte: to !== undefined ? p + to + END : p + END
+  }
+}
+
+module.exports = { END, pad, priceBucket, prefix, listingIndexKeys, dealIndexKeys, reindex, range }
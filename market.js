@@ -4,14 +4,41 @@
  * TracMarket — Core Market Module
  *
  * Handles:
- *  - Incoming sidechannel events (listings, offers, deals)
+ *  - Incoming sidechannel events (listings, offers, deals, ratings)
  *  - Agent rule evaluation (auto-buy, auto-accept, auto-counter)
+ *  - Saved-search and watch alerts, emitted as 'alert' events for the CLI and sc-bridge
+ *  - Catalog sync, so a late joiner learns the active listings it missed
+ *  - Remote search across the listings connected peers can vouch for
  *  - Display formatting for the terminal
  */
 
 const { EventEmitter } = require('events')
+const { matchesSavedSearch, rank } = require('./search')
+const crypto = require('crypto')
+const {
+  REJECT_CODES, MAX_MESSAGE_BYTES, CATALOG_DIGEST_MAX, CATALOG_FETCH_MAX, SEARCH_RESULTS_MAX,
+  dealChannel, parseDealChannel, encodeEvent, decodeEvent, listingPostFields, signAnnouncement, verifyAnnouncement
+} = require('./events')
+const { toAddress } = require('./signing')
+const { DISPUTE_STATUS } = require('./contract')
+const { RpcError, RPC_ERRORS } = require('./rpc')
+
+const LISTING_ANNOUNCEMENTS = ['LISTING_POST', 'LISTING_UPDATE', 'LISTING_RENEW', 'LISTING_REMOVE']
 
 const DEAL_RATE_WINDOW_MS = 60 * 60 * 1000 // 1 hour
+const EXPIRY_POLL_MS = 15 * 1000
+const CATALOG_SYNC_DELAY_MS = 3 * 1000       // let the swarm connect before asking
+const CATALOG_SYNC_WINDOW_MS = 15 * 1000     // how long digests for one request are accepted
+const CATALOG_ANSWER_INTERVAL_MS = 30 * 1000 // answer each requester at most this often
+const CATALOG_ITEMS_BUDGET = MAX_MESSAGE_BYTES - 1024
+const SEARCH_WAIT_MS = 2 * 1000             // how long a remote search collects answers
+const SEARCH_ANSWER_INTERVAL_MS = 2 * 1000  // answer each requester at most this often
+const SEARCH_LOCAL_LIMIT = 100              // listings taken from our own view per search
+
+// A search query's category and price filters; its keywords are applied by rank().
+function matchesFilters (query, listing) {
+  return matchesSavedSearch({ ...query, keywords: undefined }, listing)
+}
 
 class Market extends EventEmitter {
   /**
@@ -26,46 +53,274 @@ class Market extends EventEmitter {
     this.agentMode = agentMode
 
     this.knownListings = new Map()   // id → listing
+    this.announcements = new Map()   // id → { post, change } signed announcements behind knownListings
+    this.catalogSync = null          // { requestId, startedAt, requested: Map id → version }
+    this.catalogAnswered = new Map() // requester address → last time we sent them a digest
+    this.remoteSearches = new Map()  // requestId → { query, peers: Set, found: Map id → result }
+    this.searchAnswered = new Map()  // requester address → last time we answered their search
+    this.lastRemoteSearch = 0
     this.dealTimestamps = []         // for rate-limiting
+    this.expirySince = null          // replicated-clock cursor into the offer expiry log
+    this.rejected = Object.fromEntries(REJECT_CODES.map(code => [code, 0])) // dropped messages by cause
 
     this._bindSidechannelEvents()
+    this._serveRpc()
+    this._expiryTimer = setInterval(() => {
+      this._announceExpiredOffers().catch(() => {})
+    }, EXPIRY_POLL_MS)
+    if (this._expiryTimer.unref) this._expiryTimer.unref()
+    this._syncTimer = setTimeout(() => this.syncCatalog(), CATALOG_SYNC_DELAY_MS)
+    if (this._syncTimer.unref) this._syncTimer.unref()
+  }
+
+  close () {
+    clearInterval(this._expiryTimer)
+    clearTimeout(this._syncTimer)
+    this.protocol.rpc.close()
   }
 
   // ── Sidechannel event handler ─────────────────────────────────────────────
 
   _bindSidechannelEvents () {
-    // The Intercom sc feature emits 'sc_message' with { channel, data, from }
+    // The Intercom sc feature emits 'sc_message' with { channel, data, from }. The
+    // emitter doesn't await us, so anything a handler throws is counted here rather
+    // than left as an unhandled rejection.
     this.protocol.sc.on('sc_message', async ({ channel, data, from }) => {
-      let msg
-      try { msg = JSON.parse(data) } catch { return }
+      try {
+        await this._onSidechannelMessage(channel, data, from)
+      } catch (err) {
+        this._reject({ code: 'handler_error', reason: `handling failed: ${err.message}` }, channel, from)
+      }
+    })
+  }
+
+  async _onSidechannelMessage (channel, data, from) {
+    const deal = parseDealChannel(channel)
+    const scope = channel === 'tracmarket' ? 'public' : deal ? 'deal' : null
+    if (!scope) return
+    const result = decodeEvent(data, scope)
+    if (!result.ok) return this._reject(result, channel, from)
+    if (result.msg.event === 'RPC_REQUEST' || result.msg.event === 'RPC_RESPONSE') {
+      return this.protocol.rpc.receive(channel, result.msg)
+    }
 
-      if (channel === 'tracmarket') {
-        await this._onPublicChannelEvent(msg, from)
-      } else if (channel.startsWith('deal-')) {
-        const listingId = channel.slice(5)
-        await this._onDealChannelEvent(listingId, msg, from)
+    if (scope === 'public') {
+      if (LISTING_ANNOUNCEMENTS.includes(result.msg.event)) {
+        const code = await this._checkAnnouncement(result.msg)
+        if (code) return this._reject({ code, reason: `${result.msg.event} ${result.msg.id}: ${code.replace(/_/g, ' ')}` }, channel, from)
       }
+      await this._onPublicChannelEvent(result.msg, from)
+    } else {
+      const opened = this._unseal(channel, deal, result.msg)
+      if (!opened.ok) return this._reject(opened, channel, from)
+      await this._onDealChannelEvent(deal.listingId, opened.msg, from)
+    }
+  }
+
+  // Offers, counters and chat messages arrive as `deal_event` calls so the sender gets an ack. The
+  // ack means "received and well-formed"; the event is handled after replying so a
+  // slow agent rule can't make the sender time out and retry.
+  _serveRpc () {
+    this.protocol.rpc.handle('deal_event', (params, { from, channel }) => {
+      const deal = parseDealChannel(channel)
+      if (!deal) throw new RpcError(RPC_ERRORS.BAD_REQUEST, 'deal_event belongs on a deal channel')
+      let result = decodeEvent(JSON.stringify(params), 'deal')
+      if (result.ok) result = this._unseal(channel, deal, result.msg)
+      if (!result.ok) {
+        this._reject(result, channel, from)
+        throw new RpcError(RPC_ERRORS.BAD_REQUEST, result.reason)
+      }
+      setImmediate(() => {
+        this._onDealChannelEvent(deal.listingId, result.msg, from).catch(err => {
+          this._reject({ code: 'handler_error', reason: `handling failed: ${err.message}` }, channel, from)
+        })
+      })
+      return { received: true }
     })
+
+    // A buyer asking to be let into the private channel for their offer.
+    this.protocol.rpc.handle('deal_invite', ({ listingId, offerId }, { channel }) => {
+      if (channel !== 'tracmarket') throw new RpcError(RPC_ERRORS.BAD_REQUEST, 'deal_invite belongs on tracmarket')
+      if (typeof listingId !== 'string' || typeof offerId !== 'string') {
+        throw new RpcError(RPC_ERRORS.BAD_REQUEST, 'deal_invite requires listingId and offerId')
+      }
+      return this.protocol.inviteToDeal(listingId, offerId)
+    })
+  }
+
+  // Everything on a deal channel but the RPC envelope is a DEAL_SEALED. Open it with
+  // the deal's session key and decode the event inside, which must concern the offer
+  // the channel was opened for. → a decodeEvent result.
+  _unseal (channel, deal, sealed) {
+    if (sealed.event !== 'DEAL_SEALED') {
+      return { ok: false, code: 'not_sealed', reason: `${sealed.event} sent in the clear on a deal channel` }
+    }
+    const plaintext = this.protocol.unsealDeal(channel, sealed)
+    if (plaintext === null) return { ok: false, code: 'bad_seal', reason: `DEAL_SEALED on ${channel} does not open with the session key` }
+    const result = decodeEvent(plaintext, 'deal')
+    if (!result.ok) return result
+    const { msg } = result
+    if (['DEAL_SEALED', 'RPC_REQUEST', 'RPC_RESPONSE'].includes(msg.event)) {
+      return { ok: false, code: 'bad_seal', reason: `DEAL_SEALED wrapping ${msg.event}` }
+    }
+    if (msg.offerId !== deal.offerId) {
+      return { ok: false, code: 'wrong_channel', reason: `${msg.event} for ${msg.offerId} on the channel of ${deal.offerId}` }
+    }
+    return result
+  }
+
+  // A listing announcement must be signed by the listing's seller and agree with what
+  // the view already knows. The view may not have replicated the change yet, so only
+  // what it positively contradicts is dropped. Returns a reject code or null.
+  async _checkAnnouncement (msg) {
+    if (!verifyAnnouncement(this.protocol.sc, 'tracmarket', msg)) return 'bad_signature'
+    const signer = toAddress(msg.auth.from)
+    const stored = await this.protocol.handle({ op: 'listing_get', id: msg.id })
+    const listing = stored.ok ? stored.data : null
+
+    if (msg.event === 'LISTING_POST') {
+      if (msg.seller !== signer) return 'not_seller'
+    } else {
+      const seller = listing ? listing.seller : this.knownListings.get(msg.id)?.seller
+      if (seller !== signer) return 'not_seller' // includes listings we can't place yet
+      if (msg.event === 'LISTING_REMOVE') return null
+    }
+
+    // A signed announcement never expires, so an old one replayed would roll the
+    // listing back. They are signed after apply() took the op: one signed before the
+    // change we hold, or before the latest change in the view, is stale.
+    const held = this.announcements.get(msg.id)?.change
+    if (held && held.auth.ts >= msg.auth.ts) return 'stale'
+    if (listing && msg.auth.ts < Math.max(listing.updatedAt || 0, listing.renewedAt || 0)) return 'stale'
+    if (msg.event === 'LISTING_POST' && listing) {
+      if (listing.seller !== msg.seller || listing.title !== msg.title || listing.createdAt !== msg.createdAt ||
+          JSON.stringify(listing.returnPolicy) !== JSON.stringify(msg.returnPolicy)) {
+        return 'contradicts_view'
+      }
+      if (listing.status !== 'active' || listing.price !== msg.price || (listing.updatedAt || 0) !== (msg.updatedAt || 0)) return 'contradicts_view'
+    }
+    if (msg.event === 'LISTING_UPDATE' && listing) {
+      if (listing.updatedAt > msg.updatedAt) return 'stale'
+      if (listing.updatedAt === msg.updatedAt && listing.price !== msg.price) return 'contradicts_view'
+    }
+    if (msg.event === 'LISTING_RENEW' && listing && !['active', 'expired'].includes(listing.status)) return 'contradicts_view'
+    return null
+  }
+
+  // A watch alert must be signed by the listing's seller, or by a party to the deal it
+  // names on that listing. The deal may not have replicated yet, so it is waited for.
+  // Returns a reject code or null.
+  async _checkWatchAlert (msg) {
+    if (!verifyAnnouncement(this.protocol.sc, 'tracmarket', msg)) return 'bad_signature'
+    const signer = toAddress(msg.auth.from)
+    const stored = await this.protocol.handle({ op: 'listing_get', id: msg.listingId })
+    if (stored.ok && stored.data.seller === signer) return null
+    if (!msg.dealId) return 'not_seller'
+    const deal = await this.protocol.awaitRecord(msg.dealId)
+    if (deal?.listingId === msg.listingId && (deal.buyer === signer || deal.seller === signer)) return null
+    return 'not_seller'
+  }
+
+  // Count every dropped message; log only the first of each cause so a noisy peer
+  // can't flood the terminal.
+  _reject ({ code, reason }, channel, from) {
+    this.rejected[code]++
+    if (this.rejected[code] === 1) {
+      console.log(`\n⚠️  [${channel}] dropped message from ${String(from).slice(0, 12)}…: ${reason} (further '${code}' drops are only counted)`)
+    }
+    this.emit('rejected', { code, reason, channel, from })
   }
 
   async _onPublicChannelEvent (msg, from) {
     switch (msg.event) {
       case 'LISTING_POST': {
-        const listing = { ...msg, seller: from }
-        this.knownListings.set(msg.id || msg.title, listing)
-        console.log(`\n📢 [tracmarket] New listing from ${from.slice(0, 12)}…: "${msg.title}" — ${msg.price} ${msg.currency || 'TNK'} [${msg.category}]`)
+        const listing = this._remember(msg)
+        console.log(`\n📢 [tracmarket] New listing ${listing.id} from ${from.slice(0, 12)}…: "${listing.title}" — ${listing.price} ${listing.currency || 'TNK'} [${listing.category}]`)
+        await this._matchSavedSearches(msg.event, listing)
         if (this.agentMode) await this._evalBuyRules(listing)
         break
       }
-      case 'LISTING_UPDATE':
+      case 'LISTING_UPDATE': {
         console.log(`\n🔄 [tracmarket] Listing ${msg.id} updated — new price: ${msg.price} TNK`)
+        // The announcement only carries what changed; fill in the rest from the view.
+        const known = this._remember(msg)
+        const stored = await this.protocol.handle({ op: 'listing_get', id: msg.id })
+        const listing = { ...known, ...(stored.ok ? stored.data : {}), price: msg.price }
+        await this._matchSavedSearches(msg.event, listing)
+        break
+      }
+      case 'LISTING_RENEW':
+        console.log(`\n♻️  [tracmarket] Listing ${msg.id} renewed — "${msg.title}" at ${msg.price} TNK`)
+        this._remember(msg)
         break
       case 'LISTING_REMOVE':
         console.log(`\n❌ [tracmarket] Listing ${msg.id} removed by seller`)
-        this.knownListings.delete(msg.id)
+        this._remember(msg)
+        break
+      case 'CATALOG_REQUEST':
+        await this._answerCatalogRequest(msg)
+        break
+      case 'CATALOG_DIGEST':
+        this._onCatalogDigest(msg)
+        break
+      case 'CATALOG_FETCH':
+        await this._answerCatalogFetch(msg)
+        break
+      case 'CATALOG_ITEMS':
+        await this._onCatalogItems(msg)
+        break
+      case 'SEARCH_QUERY':
+        await this._answerSearchQuery(msg)
+        break
+      case 'SEARCH_RESULTS':
+        await this._onSearchResults(msg)
         break
       case 'DEAL_CLOSED':
         console.log(`\n🤝 [tracmarket] Deal closed on listing ${msg.listingId}`)
+        await this._syncKnownStatus(msg.listingId, 'sold')
+        break
+      case 'DEAL_CANCELLED':
+        console.log(`\n🔓 [tracmarket] ${msg.dealId} was cancelled — listing ${msg.listingId} is available again`)
+        await this._syncKnownStatus(msg.listingId, 'active')
+        break
+      case 'WATCH_ALERT': {
+        const watching = await this.protocol.handle({ op: 'watch_list' })
+        if (!watching.ok || !watching.data.some(watch => watch.listingId === msg.listingId)) break
+        const code = await this._checkWatchAlert(msg)
+        if (code) {
+          this._reject({ code, reason: `WATCH_ALERT ${msg.listingId}: ${code.replace(/_/g, ' ')}` }, 'tracmarket', from)
+          break
+        }
+        const detail = msg.detail || {}
+        const what = msg.change === 'price_drop' && detail.price
+          ? `price dropped ${detail.price.from} → ${detail.price.to} TNK`
+          : msg.change === 'sold' ? `sold for ${detail.finalPrice} TNK`
+            : msg.change === 'available' ? `is available again${detail.price ? ` at ${detail.price} TNK` : ''}` : 'updated'
+        console.log(`\n👀 [watch] ${msg.listingId}${detail.title ? ` "${detail.title}"` : ''} ${what}`)
+        this.emit('alert', { kind: 'watch', change: msg.change, listingId: msg.listingId, detail, from, at: Date.now() })
+        break
+      }
+      case 'DISPUTE_OPENED':
+      case 'DISPUTE_RULED': {
+        if (!Array.isArray(msg.to) || !msg.to.includes(this.address)) break
+        // The notice is unsigned: alert only once the view holds the case it describes.
+        const opened = msg.event === 'DISPUTE_OPENED'
+        const dispute = await this.protocol.awaitRecord(`dispute:${msg.dealId}`, record => opened
+          ? record.openedBy === msg.openedBy
+          : record.status === DISPUTE_STATUS.RULED && record.ruling.outcome === msg.outcome)
+        if (!dispute || dispute.arbitrator !== msg.arbitrator || ![dispute.buyer, dispute.seller, dispute.arbitrator].includes(this.address)) {
+          this._reject({ code: 'contradicts_view', reason: `${msg.event} ${msg.dealId}: contradicts view` }, 'tracmarket', from)
+          break
+        }
+        const what = opened
+          ? `${msg.openedBy.slice(0, 12)}… opened a dispute on ${msg.dealId}${msg.arbitrator === this.address ? ' — assigned to you' : ''}`
+          : `${msg.dealId} ruled: ${msg.outcome}`
+        console.log(`\n⚖️  [dispute] ${what}`)
+        this.emit('alert', { kind: 'dispute', event: msg.event, dealId: msg.dealId, outcome: msg.outcome, arbitrator: msg.arbitrator, from, at: Date.now() })
+        break
+      }
+      case 'RATING_POSTED':
+        console.log(`\n⭐ [tracmarket] ${from.slice(0, 12)}… rated ${String(msg.ratedAddress).slice(0, 12)}… ${msg.stars}/5 on ${msg.dealId}${msg.comment ? ` — "${msg.comment}"` : ''}`)
         break
     }
   }
@@ -73,21 +328,409 @@ class Market extends EventEmitter {
   async _onDealChannelEvent (listingId, msg, from) {
     switch (msg.event) {
       case 'OFFER_SENT':
-        console.log(`\n💬 [deal-${listingId}] Offer from ${from.slice(0, 12)}…: ${msg.amount} TNK${msg.note ? ` — "${msg.note}"` : ''}`)
+        console.log(`\n💬 [${dealChannel(listingId, msg.offerId)}] Offer from ${from.slice(0, 12)}…: ${msg.amount} TNK${msg.note ? ` — "${msg.note}"` : ''}`)
         if (this.agentMode) await this._evalAcceptRules(listingId, msg)
         break
       case 'OFFER_COUNTER':
-        console.log(`\n💬 [deal-${listingId}] Counter from ${from.slice(0, 12)}…: ${msg.amount} TNK`)
+        console.log(`\n💬 [${dealChannel(listingId, msg.offerId)}] Counter from ${from.slice(0, 12)}…: ${msg.amount} TNK`)
         break
       case 'OFFER_ACCEPTED':
-        console.log(`\n🎉 [deal-${listingId}] Offer ${msg.offerId} ACCEPTED by ${from.slice(0, 12)}…`)
+        console.log(`\n🎉 [${dealChannel(listingId, msg.offerId)}] Offer ${msg.offerId} ACCEPTED by ${from.slice(0, 12)}…`)
         break
       case 'OFFER_DECLINED':
-        console.log(`\n🚫 [deal-${listingId}] Offer ${msg.offerId} declined`)
+        console.log(`\n🚫 [${dealChannel(listingId, msg.offerId)}] Offer ${msg.offerId} declined`)
+        break
+      case 'OFFER_EXPIRED':
+        console.log(`\n⌛ [${dealChannel(listingId, msg.offerId)}] Offer ${msg.offerId} expired`)
+        this.emit('offer_expired', { listingId, offerId: msg.offerId, expiredAt: msg.expiredAt })
+        break
+      case 'OFFER_WITHDRAWN':
+        console.log(`\n↩️  [${dealChannel(listingId, msg.offerId)}] Offer ${msg.offerId} withdrawn by ${from.slice(0, 12)}…`)
+        break
+      case 'DEAL_SHIPPED':
+      case 'DEAL_RECEIVED':
+      case 'DEAL_COMPLETED': {
+        const what = msg.event === 'DEAL_SHIPPED'
+          ? `📦 ${msg.dealId} shipped${msg.tracking ? ` — tracking: ${msg.tracking}` : ''}`
+          : msg.event === 'DEAL_RECEIVED' ? `📬 ${msg.dealId} received by the buyer` : `🏁 ${msg.dealId} completed`
+        console.log(`\n${what} [${dealChannel(listingId, msg.offerId)}]`)
+        this.emit('alert', { kind: 'fulfillment', event: msg.event, listingId, dealId: msg.dealId, by: msg.by, tracking: msg.tracking, from, at: Date.now() })
+        break
+      }
+      case 'DEAL_CANCEL_REQUESTED':
+      case 'DEAL_CANCEL_CONFIRMED': {
+        const what = msg.event === 'DEAL_CANCEL_REQUESTED'
+          ? `🛑 ${msg.by.slice(0, 12)}… asked to cancel ${msg.dealId}${msg.reason ? ` — "${msg.reason}"` : ''} (market cancel-confirm ${msg.dealId})`
+          : `🛑 ${msg.dealId} cancelled by both parties`
+        console.log(`\n${what} [${dealChannel(listingId, msg.offerId)}]`)
+        this.emit('alert', { kind: 'cancellation', event: msg.event, listingId, dealId: msg.dealId, by: msg.by, reason: msg.reason, from, at: Date.now() })
+        break
+      }
+      case 'RETURN_REQUESTED':
+      case 'RETURN_APPROVED':
+      case 'RETURN_DENIED': {
+        const what = msg.event === 'RETURN_REQUESTED'
+          ? `↩️  The buyer asked to return ${msg.dealId} — "${msg.reason}"`
+          : msg.event === 'RETURN_APPROVED'
+            ? `↩️  Return of ${msg.dealId} approved — ${msg.refundAmount} TNK refund${msg.note ? ` — "${msg.note}"` : ''}`
+            : `↩️  Return of ${msg.dealId} denied${msg.note ? ` — "${msg.note}"` : ''}`
+        console.log(`\n${what} [${dealChannel(listingId, msg.offerId)}]`)
+        this.emit('alert', {
+          kind: 'return', event: msg.event, listingId, dealId: msg.dealId, by: msg.by, reason: msg.reason, refundAmount: msg.refundAmount, note: msg.note, from, at: Date.now()
+        })
+        break
+      }
+      case 'DEAL_MESSAGE':
+        console.log(`\n✉️  [${dealChannel(listingId, msg.offerId)}] ${msg.by.slice(0, 12)}…: ${msg.text}`)
+        this.emit('alert', {
+          kind: 'message', listingId, offerId: msg.offerId, messageId: msg.messageId, by: msg.by, text: msg.text, from, at: Date.now()
+        })
         break
     }
   }
 
+  // ── Known listings & catalog sync ─────────────────────────────────────────
+
+  // Track a verified listing announcement: knownListings holds the listing as this
+  // peer understands it, announcements the seller-signed messages that prove it.
+  // Returns the known listing (undefined once removed or if never seen).
+  _remember (msg) {
+    const { v, event, auth, ...fields } = msg
+    if (event === 'LISTING_REMOVE') {
+      this.knownListings.delete(msg.id)
+      this.announcements.delete(msg.id)
+      return undefined
+    }
+    if (event === 'LISTING_POST') {
+      this.knownListings.set(msg.id, { ...fields, status: 'active' })
+      this.announcements.set(msg.id, { post: msg, change: null })
+      return this.knownListings.get(msg.id)
+    }
+    const known = this.knownListings.get(msg.id)
+    if (!known) return undefined
+    known.price = msg.price
+    if (event === 'LISTING_RENEW') known.status = 'active'
+    this.announcements.get(msg.id).change = msg
+    return known
+  }
+
+  // Deal notices aren't signed, so they only move a known listing to `status` when the
+  // view doesn't say otherwise: a sale is taken unless the view still has the listing
+  // active, a relist only once the view has it active again.
+  async _syncKnownStatus (id, status) {
+    const known = this.knownListings.get(id)
+    if (!known) return
+    const stored = await this.protocol.handle({ op: 'listing_get', id })
+    const viewed = stored.ok ? stored.data.status : null
+    if (status === 'sold' ? viewed !== 'active' : viewed === 'active') known.status = status
+  }
+
+  // How current our copy of a listing is: the seller's signing time of the latest
+  // change we hold, else the listing's own timestamps.
+  _catalogVersion (id) {
+    const entry = this.announcements.get(id)
+    if (!entry) return 0
+    return entry.change ? entry.change.auth.ts : (entry.post.updatedAt || entry.post.createdAt)
+  }
+
+  // Ask peers on tracmarket for the active listings we don't have yet.
+  syncCatalog () {
+    const requestId = crypto.randomBytes(8).toString('hex')
+    this.catalogSync = { requestId, startedAt: Date.now(), requested: new Map() }
+    this.protocol.sc.broadcast('tracmarket', encodeEvent('CATALOG_REQUEST', { requestId, from: this.address }))
+    return requestId
+  }
+
+  // Signed announcements for every active listing we can vouch for: the ones we've
+  // seen on the channel that the view doesn't show sold, removed or expired, plus our
+  // own listings (re-signed from the view, so they survive a restart).
+  async _catalog () {
+    const catalog = new Map()
+    const now = Date.now()
+    for (const [id, entry] of this.announcements) {
+      const listing = this.knownListings.get(id)
+      if (listing.status !== 'active' || (listing.expiresAt && listing.expiresAt <= now)) continue
+      const stored = await this.protocol.handle({ op: 'listing_get', id })
+      if (stored.ok && stored.data.status !== 'active') continue
+      catalog.set(id, { version: this._catalogVersion(id), listing, messages: [entry.post, entry.change].filter(Boolean) })
+    }
+    let cursor
+    do {
+      const page = await this.protocol.handle({ op: 'listing_list', mine: true, limit: 100, cursor })
+      if (!page.ok) break
+      for (const listing of page.data) {
+        const post = JSON.parse(signAnnouncement(this.protocol.sc, 'tracmarket', 'LISTING_POST', listingPostFields(listing)))
+        catalog.set(listing.id, { version: listing.updatedAt || listing.createdAt, listing, messages: [post] })
+      }
+      cursor = page.cursor
+    } while (cursor)
+    return catalog
+  }
+
+  async _answerCatalogRequest (msg) {
+    if (msg.from === this.address) return
+    const last = this.catalogAnswered.get(msg.from) || 0
+    if (Date.now() - last < CATALOG_ANSWER_INTERVAL_MS) return
+    this.catalogAnswered.set(msg.from, Date.now())
+
+    const items = [...(await this._catalog())].map(([id, { version }]) => ({ id, version }))
+    for (let i = 0; i < items.length; i += CATALOG_DIGEST_MAX) {
+      this.protocol.sc.broadcast('tracmarket', encodeEvent('CATALOG_DIGEST', {
+        requestId: msg.requestId, from: this.address, to: msg.from, items: items.slice(i, i + CATALOG_DIGEST_MAX)
+      }))
+    }
+  }
+
+  // Fetch whatever the digest has that we lack or hold an older version of. Each ID is
+  // requested once per sync unless a later digest offers a newer version.
+  _onCatalogDigest (msg) {
+    const sync = this.catalogSync
+    if (msg.to !== this.address || !sync || msg.requestId !== sync.requestId) return
+    if (Date.now() - sync.startedAt > CATALOG_SYNC_WINDOW_MS) return
+
+    const wanted = []
+    for (const { id, version } of msg.items) {
+      if (version <= this._catalogVersion(id) || version <= (sync.requested.get(id) || 0)) continue
+      sync.requested.set(id, version)
+      wanted.push(id)
+    }
+    for (let i = 0; i < wanted.length; i += CATALOG_FETCH_MAX) {
+      this.protocol.sc.broadcast('tracmarket', encodeEvent('CATALOG_FETCH', {
+        requestId: msg.requestId, from: this.address, to: msg.from, ids: wanted.slice(i, i + CATALOG_FETCH_MAX)
+      }))
+    }
+  }
+
+  // Send the requested announcements, splitting batches to stay under the message size
+  // limit. A listing's post and latest change always travel together.
+  async _answerCatalogFetch (msg) {
+    if (msg.to !== this.address) return
+    const catalog = await this._catalog()
+    const send = items => this.protocol.sc.broadcast('tracmarket', encodeEvent('CATALOG_ITEMS', {
+      requestId: msg.requestId, from: this.address, to: msg.from, items
+    }))
+
+    let batch = []
+    let bytes = 0
+    for (const id of new Set(msg.ids)) {
+      const entry = catalog.get(id)
+      if (!entry) continue
+      const size = Buffer.byteLength(JSON.stringify(entry.messages))
+      if (batch.length && bytes + size > CATALOG_ITEMS_BUDGET) {
+        send(batch)
+        batch = []
+        bytes = 0
+      }
+      batch.push(...entry.messages)
+      bytes += size
+    }
+    if (batch.length) send(batch)
+  }
+
+  // Every item must be an announcement we asked for and must pass the same checks as
+  // one received live. Synced listings don't trigger alerts or agent rules.
+  async _onCatalogItems (msg) {
+    const sync = this.catalogSync
+    if (msg.to !== this.address || !sync || msg.requestId !== sync.requestId) return
+    const before = this.knownListings.size
+    for (const item of msg.items) {
+      const result = decodeEvent(JSON.stringify(item), 'public')
+      if (!result.ok) {
+        this._reject(result, 'tracmarket', msg.from)
+        continue
+      }
+      const ann = result.msg
+      if (!['LISTING_POST', 'LISTING_UPDATE', 'LISTING_RENEW'].includes(ann.event) || !sync.requested.has(ann.id)) continue
+      const code = await this._checkAnnouncement(ann)
+      if (code) {
+        this._reject({ code, reason: `synced ${ann.event} ${ann.id}: ${code.replace(/_/g, ' ')}` }, 'tracmarket', msg.from)
+        continue
+      }
+      const version = ann.event === 'LISTING_POST' ? ann.updatedAt || ann.createdAt : ann.auth.ts
+      if (version <= this._catalogVersion(ann.id)) continue
+      this._remember(ann)
+    }
+    const added = this.knownListings.size - before
+    if (added > 0) console.log(`\n📚 [tracmarket] Catalog sync: ${added} listing${added === 1 ? '' : 's'} from ${msg.from.slice(0, 12)}…`)
+    this.emit('catalog_synced', { from: msg.from, added })
+  }
+
+  // ── Remote search ─────────────────────────────────────────────────────────
+
+  /**
+   * Search our own view and known listings together with the listings peers on
+   * tracmarket can vouch for. Resolves after `waitMs` with up to `limit` active
+   * listings, de-duplicated by ID and ranked by relevance to `keywords` (newest first
+   * without keywords). Each result carries `source`: 'local', or the addresses of the
+   * peers that returned it. → { items, peers: number of peers that contributed }
+   */
+  async remoteSearch ({ category, minPrice, maxPrice, keywords, limit = 20 } = {}, waitMs = SEARCH_WAIT_MS) {
+    // Peers answer each requester at most once per interval; don't ask faster than that.
+    const wait = this.lastRemoteSearch + SEARCH_ANSWER_INTERVAL_MS - Date.now()
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait))
+    this.lastRemoteSearch = Date.now()
+
+    const query = { category, minPrice, maxPrice, keywords, limit: Math.min(Math.max(1, parseInt(limit, 10) || 1), SEARCH_RESULTS_MAX) }
+    const requestId = crypto.randomBytes(8).toString('hex')
+    const pending = { query, peers: new Set(), found: new Map() }
+    this.remoteSearches.set(requestId, pending)
+    this.protocol.sc.broadcast('tracmarket', encodeEvent('SEARCH_QUERY', { requestId, from: this.address, query }))
+
+    let local
+    try {
+      local = await this._localMatches(query)
+      await new Promise(resolve => setTimeout(resolve, waitMs))
+    } finally {
+      this.remoteSearches.delete(requestId)
+    }
+
+    // Our view is authoritative for listings it holds: a peer may not have heard that
+    // a listing sold or was removed.
+    const merged = new Map(local.map(listing => [listing.id, { listing, source: 'local' }]))
+    for (const [id, { listing, peers }] of pending.found) {
+      if (merged.has(id)) continue
+      const stored = await this.protocol.handle({ op: 'listing_get', id })
+      if (stored.ok && stored.data.status !== 'active') continue
+      merged.set(id, { listing: stored.ok ? stored.data : listing, source: [...peers] })
+    }
+
+    const now = Date.now()
+    const candidates = [...merged.values()]
+      .filter(({ listing }) => !(listing.expiresAt && listing.expiresAt <= now) && matchesFilters(query, listing))
+    const sources = new Map(candidates.map(({ listing, source }) => [listing.id, source]))
+    const items = rank(candidates.map(c => c.listing), keywords || '')
+      .slice(0, query.limit)
+      .map(({ listing, score }) => ({ ...listing, ...(keywords ? { score } : {}), source: sources.get(listing.id) }))
+    return { items, peers: pending.peers.size }
+  }
+
+  // Active listings in our view and among the verified announcements we hold that
+  // pass the query's category and price filters; keywords are applied when ranking.
+  async _localMatches (query) {
+    const result = await this.protocol.handle({
+      op: 'listing_list',
+      category: query.category,
+      min_price: query.minPrice,
+      max_price: query.maxPrice,
+      limit: SEARCH_LOCAL_LIMIT
+    })
+    const listings = new Map((result.ok ? result.data : []).map(listing => [listing.id, listing]))
+    for (const listing of this.knownListings.values()) {
+      if (listing.status === 'active' && !listings.has(listing.id) && matchesFilters(query, listing)) {
+        listings.set(listing.id, listing)
+      }
+    }
+    return [...listings.values()]
+  }
+
+  // Answer with the signed announcements of our best matches, in one message that
+  // fits the size limit. Queries from the same peer are answered at most once per
+  // interval, so a peer can't use us to flood the channel.
+  async _answerSearchQuery (msg) {
+    if (msg.from === this.address) return
+    const last = this.searchAnswered.get(msg.from) || 0
+    if (Date.now() - last < SEARCH_ANSWER_INTERVAL_MS) return
+    this.searchAnswered.set(msg.from, Date.now())
+
+    const { keywords, limit } = msg.query
+    const catalog = await this._catalog()
+    const matching = [...catalog.values()]
+      .map(entry => entry.listing)
+      .filter(listing => matchesFilters(msg.query, listing))
+
+    const items = []
+    let bytes = 0
+    for (const { listing } of rank(matching, keywords || '').slice(0, limit)) {
+      const { messages } = catalog.get(listing.id)
+      const size = Buffer.byteLength(JSON.stringify(messages))
+      if (bytes + size > CATALOG_ITEMS_BUDGET) break
+      items.push(...messages)
+      bytes += size
+    }
+    if (!items.length) return
+    this.protocol.sc.broadcast('tracmarket', encodeEvent('SEARCH_RESULTS', {
+      requestId: msg.requestId, from: this.address, to: msg.from, items
+    }))
+  }
+
+  // Collect answers while the search is open. Every announcement must pass the same
+  // checks as one received live; a change only counts alongside the listing's post,
+  // and at most `limit` listings are taken from each answer.
+  async _onSearchResults (msg) {
+    const pending = this.remoteSearches.get(msg.requestId)
+    if (msg.to !== this.address || !pending) return
+
+    const posts = new Map()
+    const changes = new Map()
+    for (const item of msg.items) {
+      const result = decodeEvent(JSON.stringify(item), 'public')
+      if (!result.ok) {
+        this._reject(result, 'tracmarket', msg.from)
+        continue
+      }
+      const ann = result.msg
+      if (!['LISTING_POST', 'LISTING_UPDATE', 'LISTING_RENEW'].includes(ann.event)) continue
+      const code = await this._checkAnnouncement(ann)
+      if (code) {
+        this._reject({ code, reason: `search result ${ann.event} ${ann.id}: ${code.replace(/_/g, ' ')}` }, 'tracmarket', msg.from)
+        continue
+      }
+      if (ann.event === 'LISTING_POST') posts.set(ann.id, ann)
+      else changes.set(ann.id, ann)
+    }
+
+    if (posts.size) pending.peers.add(msg.from)
+    for (const [id, post] of [...posts].slice(0, pending.query.limit)) {
+      const { v, event, auth, ...fields } = post
+      const change = changes.get(id)
+      const listing = { ...fields, status: 'active', ...(change ? { price: change.price } : {}) }
+      const version = change ? change.auth.ts : (post.updatedAt || post.createdAt)
+      const found = pending.found.get(id)
+      if (!found) pending.found.set(id, { listing, version, peers: new Set([msg.from]) })
+      else {
+        found.peers.add(msg.from)
+        if (version > found.version) Object.assign(found, { listing, version })
+      }
+    }
+  }
+
+  // ── Saved-search alerts ───────────────────────────────────────────────────
+
+  async _matchSavedSearches (trigger, listing) {
+    if (listing.seller === this.address) return
+    const result = await this.protocol.handle({ op: 'search_list' })
+    for (const saved of result.data || []) {
+      if (!matchesSavedSearch(saved, listing)) continue
+      const alert = { kind: 'saved_search', searchId: saved.id, trigger, listing, at: Date.now() }
+      console.log(`\n🔔 [alert] ${saved.name || saved.id} matched "${listing.title}"${listing.id ? ` (${listing.id})` : ''} — ${listing.price} ${listing.currency || 'TNK'}`)
+      this.emit('alert', alert)
+    }
+  }
+
+  // ── Offer expiry ──────────────────────────────────────────────────────────
+
+  // apply() lapses offers on the replicated clock. Both parties learn about it from
+  // their own view; the seller also announces it on the deal channel so agents
+  // elsewhere stop waiting on a dead offer.
+  async _announceExpiredOffers () {
+    const result = await this.protocol.handle({ op: 'offer_expired', since: this.expirySince || 0 })
+    if (!result.ok) return
+    const catchingUp = this.expirySince === null // don't replay lapses from before this session
+    this.expirySince = this.expirySince || 0
+    for (const exp of result.data) {
+      this.expirySince = Math.max(this.expirySince, exp.expiredAt)
+      if (catchingUp) continue
+      if (exp.buyer !== this.address && exp.seller !== this.address) continue
+      if (exp.seller === this.address) {
+        const offer = { id: exp.offerId, listingId: exp.listingId, buyer: exp.buyer, seller: exp.seller }
+        await this.protocol.broadcastDeal(offer, 'OFFER_EXPIRED', {
+          offerId: exp.offerId, expiredAt: exp.expiredAt
+        })
+      }
+      this.emit('offer_expired', exp)
+    }
+  }
+
   // ── Agent rule evaluation ─────────────────────────────────────────────────
 
   async _evalBuyRules (listing) {
@@ -103,9 +746,7 @@ class Market extends EventEmitter {
         return
       }
       console.log(`[AGENT] Auto-buy triggered: "${listing.title}" at ${listing.price} TNK`)
-      // Join deal channel
-      this.protocol.sc.join(`deal-${listing.id}`)
-      // Send offer at asking price
+      // Send offer at asking price (offer_send opens the private deal channel)
       await this.protocol.handle({
         op: 'offer_send',
         listing_id: listing.id,
@@ -115,42 +756,47 @@ class Market extends EventEmitter {
     }
   }
 
+  // Rules act on the offer as apply() recorded it, not on the amount the message
+  // claims: wait for it to replicate with the move ours to answer.
   async _evalAcceptRules (listingId, offerMsg) {
     const result = await this.protocol.handle({ op: 'rule_list' })
-    const rules = result.data || []
+    const rules = (result.data || []).filter(rule => ['auto_accept', 'auto_counter'].includes(rule.type) && rule.params.listingId === listingId)
+    if (!rules.length) return
+    const offer = await this.protocol.awaitRecord(`${listingId}:${offerMsg.offerId}`, record => record.turn === this.address)
+    if (!offer) return
 
     for (const rule of rules) {
-      if (rule.type === 'auto_accept' && rule.params.listingId === listingId) {
-        if (offerMsg.amount >= rule.params.min_price) {
-          console.log(`[AGENT] Auto-accept triggered: ${offerMsg.amount} TNK ≥ floor ${rule.params.min_price}`)
+      if (rule.type === 'auto_accept') {
+        if (offer.amount >= rule.params.min_price) {
+          console.log(`[AGENT] Auto-accept triggered: ${offer.amount} TNK ≥ floor ${rule.params.min_price}`)
           await this.protocol.handle({
             op: 'offer_accept',
             listing_id: listingId,
-            offer_id: offerMsg.offerId
+            offer_id: offer.id
           })
           return
         }
       }
 
-      if (rule.type === 'auto_counter' && rule.params.listingId === listingId) {
+      if (rule.type === 'auto_counter') {
         // Look up listing price to compute counter
         const listingResult = await this.protocol.handle({ op: 'listing_get', id: listingId })
         if (!listingResult.ok) continue
         const floor = Math.floor(listingResult.data.price * rule.params.ratio)
-        if (offerMsg.amount < floor) {
-          console.log(`[AGENT] Auto-counter: ${offerMsg.amount} < floor ${floor} → countering at ${floor}`)
+        if (offer.amount < floor) {
+          console.log(`[AGENT] Auto-counter: ${offer.amount} < floor ${floor} → countering at ${floor}`)
           await this.protocol.handle({
             op: 'offer_counter',
             listing_id: listingId,
-            offer_id: offerMsg.offerId,
+            offer_id: offer.id,
             amount: floor
           })
         } else {
-          console.log(`[AGENT] Auto-accept (counter ratio): ${offerMsg.amount} ≥ floor ${floor}`)
+          console.log(`[AGENT] Auto-accept (counter ratio): ${offer.amount} ≥ floor ${floor}`)
           await this.protocol.handle({
             op: 'offer_accept',
             listing_id: listingId,
-            offer_id: offerMsg.offerId
+            offer_id: offer.id
           })
         }
         return
@@ -171,7 +817,37 @@ class Market extends EventEmitter {
   static formatListings (listings) {
     if (!listings.length) return '  (no active listings)'
     const lines = listings.map(l =>
-      `  ${l.id.padEnd(9)} ${String(l.price).padStart(6)} ${(l.currency || 'TNK').padEnd(4)}  [${l.category.padEnd(10)}]  "${l.title}"`)
+      `  ${l.id.padEnd(9)} ${String(l.price).padStart(6)} ${(l.currency || 'TNK').padEnd(4)}  [${l.category.padEnd(10)}]  "${l.title}"${Array.isArray(l.source) ? `  via ${l.source[0].slice(0, 12)}…${l.source.length > 1 ? ` +${l.source.length - 1}` : ''}` : ''}`)
+    return lines.join('\n')
+  }
+
+  static formatListing (listing) {
+    return [
+      `  Listing: ${listing.id} (${listing.status})`,
+      `  Title:   ${listing.title}`,
+      `  Price:   ${listing.price} ${listing.currency || 'TNK'}`,
+      `  Seller:  ${listing.seller}`,
+      `  Returns: ${Market.formatReturnPolicy(listing.returnPolicy)}`,
+      ...(listing.desc ? [`  About:   ${listing.desc}`] : [])
+    ].join('\n')
+  }
+
+  static formatReturnPolicy (policy) {
+    if (!policy?.windowDays) return 'no returns'
+    return `within ${policy.windowDays} day${policy.windowDays === 1 ? '' : 's'} of completion${policy.conditions ? ` — ${policy.conditions}` : ''}`
+  }
+
+  static formatThread (messages, self) {
+    if (!messages.length) return '  (no messages)'
+    const lines = messages.map(m =>
+      `  ${m.unread ? '●' : ' '} ${new Date(m.sentAt).toISOString().slice(0, 16).replace('T', ' ')}  ${m.from === self ? 'you' : `${m.from.slice(0, 12)}…`}: ${m.text ?? '(sealed)'}`)
+    return lines.join('\n')
+  }
+
+  static formatDeals (deals) {
+    if (!deals.length) return '  (no deals)'
+    const lines = deals.map(d =>
+      `  ${d.id.padEnd(9)} ${String(d.finalPrice).padStart(6)} ${(d.currency || 'TNK').padEnd(4)}  ${new Date(d.closedAt).toISOString().slice(0, 10)}  "${d.listingTitle}"`)
     return lines.join('\n')
   }
 
@@ -182,9 +858,70 @@ class Market extends EventEmitter {
       `  Price:   ${deal.finalPrice} ${deal.currency}`,
       `  Buyer:   ${deal.buyer}`,
       `  Seller:  ${deal.seller}`,
-      `  Closed:  ${new Date(deal.closedAt).toISOString()}`
+      `  Closed:  ${new Date(deal.closedAt).toISOString()}`,
+      `  Escrow:  ${Market.formatEscrow(deal)}`,
+      `  Status:  ${deal.cancellation?.status === 'cancelled' ? 'cancelled' : deal.fulfillment?.status || 'pending'}`,
+      ...(deal.return ? [`  Return:  ${deal.return.status}${deal.return.refundAmount ? ` — ${deal.return.refundAmount} ${deal.currency} refund` : ''} ("${deal.return.reason}")`] : []),
+      ...(deal.cancellation?.status === 'requested' ? [`  Cancel:  requested by the ${deal.cancellation.requestedBy === deal.seller ? 'seller' : 'buyer'}${deal.cancellation.reason ? ` — "${deal.cancellation.reason}"` : ''}`] : []),
+      ...(deal.dispute ? [`  Dispute: ${deal.dispute.status}${deal.dispute.outcome ? ` — ${deal.dispute.outcome}` : ''} (arbitrator ${deal.dispute.arbitrator.slice(0, 12)}…)`] : []),
+      ...Market.formatTimeline(deal)
     ].join('\n')
   }
+
+  // Sale, fulfillment steps and escrow settlement in time order.
+  static formatTimeline (deal) {
+    const role = address => address === deal.seller ? 'seller' : address === deal.buyer ? 'buyer' : `${address.slice(0, 12)}…`
+    const steps = [{ at: deal.closedAt, text: 'sold' }]
+    for (const step of deal.fulfillment?.timeline || []) {
+      steps.push({ at: step.at, text: `${step.status} (${role(step.by)})${step.tracking ? ` — tracking: ${step.tracking}` : ''}` })
+    }
+    if (deal.escrow?.fundedAt) steps.push({ at: deal.escrow.fundedAt, text: `escrow funded (${deal.escrow.amount} ${deal.currency})` })
+    if (deal.dispute) steps.push({ at: deal.dispute.openedAt, text: `dispute opened (${role(deal.dispute.openedBy)})` })
+    if (deal.dispute?.ruledAt) steps.push({ at: deal.dispute.ruledAt, text: `dispute ruled: ${deal.dispute.outcome}` })
+    if (deal.return) steps.push({ at: deal.return.requestedAt, text: 'return requested (buyer)' })
+    if (deal.return?.decidedAt) steps.push({ at: deal.return.decidedAt, text: `return ${deal.return.status}${deal.return.refundAmount ? ` (${deal.return.refundAmount} ${deal.currency} refund)` : ''}` })
+    if (deal.cancellation) steps.push({ at: deal.cancellation.requestedAt, text: `cancellation requested (${role(deal.cancellation.requestedBy)})` })
+    if (deal.cancellation?.cancelledAt) steps.push({ at: deal.cancellation.cancelledAt, text: `cancelled (${role(deal.cancellation.confirmedBy)})` })
+    if (deal.escrow?.settledAt) steps.push({ at: deal.escrow.settledAt, text: `escrow ${deal.escrow.status}` })
+    steps.sort((a, b) => a.at - b.at)
+    return ['  Timeline:', ...steps.map(s => `    ${new Date(s.at).toISOString().slice(0, 16).replace('T', ' ')}  ${s.text}`)]
+  }
+
+  // A dispute with its audit trail.
+  static formatDispute (dispute) {
+    const who = address => address === dispute.buyer ? 'buyer' : address === dispute.seller ? 'seller' : address === dispute.arbitrator ? 'arbitrator' : `${address.slice(0, 12)}…`
+    const lines = [
+      `  Dispute:    ${dispute.dealId} (${dispute.status})`,
+      `  Reason:     ${dispute.reason}`,
+      `  Arbitrator: ${dispute.arbitrator}`
+    ]
+    if (dispute.ruling) {
+      const r = dispute.ruling
+      lines.push(`  Ruling:     ${r.outcome}${r.outcome === 'split' ? ` — ${r.buyerAmount} to the buyer, ${r.sellerAmount} to the seller` : ''}${r.settled === false ? ' (nothing was held in escrow — no value moved)' : ''}${r.note ? ` — "${r.note}"` : ''}`)
+    }
+    lines.push('  Audit trail:')
+    for (const a of dispute.audit || []) {
+      const detail = a.action === 'opened' ? a.reason : a.action === 'evidence' ? a.text : a.outcome
+      lines.push(`    ${new Date(a.at).toISOString().slice(0, 16).replace('T', ' ')}  ${a.action} (${who(a.by)}): ${detail}`)
+    }
+    return lines.join('\n')
+  }
+
+  static formatEscrow (deal) {
+    const escrow = deal.escrow || { status: 'unfunded' }
+    switch (escrow.status) {
+      case 'funded':
+        return `funded — ${escrow.amount} ${deal.currency} held until the buyer confirms, or ${new Date(escrow.releaseAt).toISOString().slice(0, 10)}`
+      case 'released':
+        return `released to the seller ${new Date(escrow.settledAt).toISOString().slice(0, 10)}`
+      case 'refunded':
+        return `refunded to the buyer ${new Date(escrow.settledAt).toISOString().slice(0, 10)}`
+      case 'split':
+        return `split by ruling ${new Date(escrow.settledAt).toISOString().slice(0, 10)}`
+      default:
+        return escrow.status
+    }
+  }
 }
 
 module.exports = Market
@@ -9,14 +9,65 @@
  */
 
 const { EventEmitter } = require('events')
+const crypto = require('hypercore-crypto')
+const b4a = require('b4a')
+const { signOp, toAddress, createInvite } = require('./signing')
+const {
+  LISTING_STATUSES, OPEN_OFFER_STATUSES, LIVE_OFFER_STATUSES, ESCROW_STATUS, FULFILLMENT_STATUS, CANCELLATION_STATUS, RETURN_STATUS, MAX_RETURN_DAYS,
+  DISPUTE_STATUS, DISPUTE_OUTCOMES, isCancelled, returnDeadline
+} = require('./contract')
+const { pad, priceBucket, prefix, range } = require('./indexes')
+const search = require('./search')
+const { LIMITS, dealChannel, encodeEvent, listingPostFields, signAnnouncement } = require('./events')
+const { SidechannelRpc, RpcError, RPC_ERRORS } = require('./rpc')
+const { sessionKey, boxFor, openBox, seal, unseal } = require('./sealing')
+
+const DEFAULT_LISTING_TTL_SEC = 30 * 24 * 60 * 60 // 30 days
+const LISTING_SORTS = ['newest', 'oldest', 'price_asc', 'price_desc', 'updated']
+const DEAL_SORTS = ['newest', 'oldest']
+const MAX_PAGE_SIZE = 100
+const RECEIPT_TIMEOUT_MS = 10 * 1000
+const RECEIPT_POLL_MS = 50
+const DEAL_INVITE_TTL_MS = 30 * 24 * 60 * 60 * 1000 // outlasts the negotiation and the deal after it
+const DEAL_INVITE_WAIT_MS = 5 * 1000                // for the buyer's offer to replicate to the seller
+
+function encodeCursor (tag, key) {
+  return b4a.toString(b4a.from(JSON.stringify({ t: tag, k: key })), 'base64')
+}
+
+function decodeCursor (cursor, tag) {
+  try {
+    const { t, k } = JSON.parse(b4a.toString(b4a.from(String(cursor), 'base64')))
+    return t === tag && typeof k === 'string' ? k : null
+  } catch {
+    return null
+  }
+}
 
 class TracMarketProtocol extends EventEmitter {
-  constructor (base, view, selfAddress, sidechannel) {
+  /**
+   * @param {object} base         Autobase instance
+   * @param {object} view         Hyperbee view
+   * @param {string} selfAddress  This peer's Trac address
+   * @param {object} sidechannel  Intercom sidechannel for broadcasts
+   * @param {object} keyPair      { publicKey, secretKey } used to sign every op
+   * @param {object} [settlement] Backend that moves escrowed value (see settlement.js);
+   *                              escrow ops are refused without one
+   */
+  constructor (base, view, selfAddress, sidechannel, keyPair, settlement = null) {
     super()
+    if (!keyPair || toAddress(keyPair.publicKey) !== selfAddress) {
+      // Older callers passed (base, view, selfAddress, sidechannel); see README "Embedding the market".
+      throw new Error('TracMarketProtocol requires the keyPair behind selfAddress: new TracMarketProtocol(base, view, toAddress(keyPair.publicKey), sidechannel, keyPair[, settlement])')
+    }
     this.base = base           // Autobase instance
     this.view = view           // Hyperbee view
     this.address = selfAddress // this peer's Trac address
     this.sc = sidechannel      // Intercom sidechannel for broadcasts
+    this.keyPair = keyPair     // signs ops; apply() derives the actor from it
+    this.rpc = new SidechannelRpc(sidechannel, selfAddress) // acknowledged deal-channel delivery
+    this.dealKeys = new Map()  // deal channel → session key, for channels joined this session
+    this.settlement = settlement
   }
 
   // ── Entry point called by Intercom's /tx handler ──────────────────────────
@@ -40,6 +91,8 @@ class TracMarketProtocol extends EventEmitter {
         return this._listingUpdate(cmd)
       case 'listing_remove':
         return this._listingRemove(cmd)
+      case 'listing_renew':
+        return this._listingRenew(cmd)
 
       // ── Listing reads ─────────────────────────────────────────────────────
 
@@ -47,6 +100,8 @@ class TracMarketProtocol extends EventEmitter {
         return this._listingList(cmd)
       case 'listing_get':
         return this._listingGet(cmd)
+      case 'listing_search':
+        return this._listingSearch(cmd)
 
       // ── Offer mutations ───────────────────────────────────────────────────
 
@@ -58,6 +113,26 @@ class TracMarketProtocol extends EventEmitter {
         return this._offerAccept(cmd)
       case 'offer_decline':
         return this._offerDecline(cmd)
+      case 'offer_withdraw':
+        return this._offerWithdraw(cmd)
+
+      // ── Offer reads ───────────────────────────────────────────────────────
+
+      case 'offer_list':
+        return this._offerList(cmd)
+      case 'offer_expired':
+        return this._offerExpired(cmd)
+
+      // ── Deal chat ─────────────────────────────────────────────────────────
+
+      case 'deal_message':
+        return this._dealMessage(cmd)
+      case 'deal_thread':
+        return this._dealThread(cmd)
+      case 'deal_read':
+        return this._dealRead(cmd)
+      case 'deal_inbox':
+        return this._dealInbox(cmd)
 
       // ── Deal reads ────────────────────────────────────────────────────────
 
@@ -66,6 +141,62 @@ class TracMarketProtocol extends EventEmitter {
       case 'deal_get':
         return this._dealGet(cmd)
 
+      // ── Fulfillment ───────────────────────────────────────────────────────
+
+      case 'deal_ship':
+        return this._dealShip(cmd)
+      case 'deal_confirm_received':
+        return this._dealConfirmReceived(cmd)
+      case 'deal_complete':
+        return this._dealComplete(cmd)
+      case 'return_request':
+        return this._returnRequest(cmd)
+      case 'return_approve':
+        return this._returnApprove(cmd)
+      case 'return_deny':
+        return this._returnDeny(cmd)
+      case 'deal_cancel_request':
+        return this._dealCancelRequest(cmd)
+      case 'deal_cancel_confirm':
+        return this._dealCancelConfirm(cmd)
+
+      // ── Disputes ──────────────────────────────────────────────────────────
+
+      case 'arbitrators_set':
+        return this._arbitratorsSet(cmd)
+      case 'arbitrators_get':
+        return this._arbitratorsGet(cmd)
+      case 'dispute_open':
+        return this._disputeOpen(cmd)
+      case 'dispute_evidence':
+        return this._disputeEvidence(cmd)
+      case 'dispute_rule':
+        return this._disputeRule(cmd)
+      case 'dispute_get':
+        return this._disputeGet(cmd)
+      case 'dispute_list':
+        return this._disputeList(cmd)
+
+      // ── Escrow ────────────────────────────────────────────────────────────
+
+      case 'escrow_fund':
+        return this._escrowFund(cmd)
+      case 'escrow_release':
+        return this._escrowRelease(cmd)
+      case 'escrow_refund':
+        return this._escrowRefund(cmd)
+      case 'escrow_balance':
+        return this._escrowBalance(cmd)
+
+      // ── Ratings ───────────────────────────────────────────────────────────
+
+      case 'rating_submit':
+        return this._ratingSubmit(cmd)
+      case 'rating_get':
+        return this._ratingGet(cmd)
+      case 'reputation_get':
+        return this._reputationGet(cmd)
+
       // ── Agent rules ───────────────────────────────────────────────────────
 
       case 'rule_set':
@@ -75,6 +206,24 @@ class TracMarketProtocol extends EventEmitter {
       case 'rule_delete':
         return this._ruleDelete(cmd)
 
+      // ── Watches ───────────────────────────────────────────────────────────
+
+      case 'watch_add':
+        return this._watchAdd(cmd)
+      case 'watch_remove':
+        return this._watchRemove(cmd)
+      case 'watch_list':
+        return this._watchList(cmd)
+
+      // ── Saved searches ────────────────────────────────────────────────────
+
+      case 'search_save':
+        return this._searchSave(cmd)
+      case 'search_list':
+        return this._searchList(cmd)
+      case 'search_delete':
+        return this._searchDelete(cmd)
+
       default:
         return this._err(`Unknown op: ${op}`)
     }
@@ -83,70 +232,163 @@ class TracMarketProtocol extends EventEmitter {
   // ── Listing mutations ─────────────────────────────────────────────────────
 
   async _listingPost (cmd) {
-    const { title, desc, price, currency, category, tags } = cmd
+    const { title, desc, price, currency, category, tags, ttl = DEFAULT_LISTING_TTL_SEC, return_policy } = cmd
     if (!title) return this._err('listing_post requires title')
     if (typeof price !== 'number' || price < 0) return this._err('listing_post requires numeric price')
+    const tooLong = this._tooLong({ title, desc, tags, category, currency, conditions: return_policy?.conditions })
+    if (tooLong) return this._err(`listing_post ${tooLong}`)
+    const days = return_policy?.window_days
+    if (return_policy !== undefined && !(Number.isInteger(days) && days >= 0 && days <= MAX_RETURN_DAYS)) {
+      return this._err(`listing_post return_policy.window_days must be a whole number of days from 0 to ${MAX_RETURN_DAYS}`)
+    }
+    const ttlMs = this._ttlMs(ttl)
+    if (ttlMs === false) return this._err('listing_post ttl must be a positive number of seconds')
 
-    await this.base.append(JSON.stringify({
+    const signed = await this._append({
       op: 'listing_post', title, desc: desc || '', price,
       currency: currency || 'TNK',
       category: category || 'general',
       tags: tags || '',
-      seller: this.address,
-      ts: Date.now()
-    }))
+      ttlMs,
+      returnPolicy: return_policy ? { windowDays: days, conditions: return_policy.conditions || undefined } : undefined
+    })
 
-    // Broadcast to public tracmarket channel
-    this.sc.broadcast('tracmarket', JSON.stringify({
-      event: 'LISTING_POST',
-      title, price, currency: currency || 'TNK',
-      category: category || 'general',
-      seller: this.address
-    }))
+    // The ID is assigned in apply(); announce the record as it landed in the view.
+    const id = await this._awaitReceipt(signed)
+    const raw = id && await this.view.get(id)
+    if (!raw) return this._err('Listing not confirmed yet — check `market my` before posting again')
+    const listing = JSON.parse(raw.value)
 
-    return this._ok('Listing posted to tracmarket channel')
+    const warning = this._announce('LISTING_POST', listingPostFields(listing))
+
+    return this._ok(`Listing ${listing.id} posted to tracmarket channel`, listing, warning ? { warning } : undefined)
   }
 
   async _listingUpdate (cmd) {
     const { id, price, desc } = cmd
     if (!id) return this._err('listing_update requires id')
-    await this.base.append(JSON.stringify({
-      op: 'listing_update', id, price, desc,
-      seller: this.address, ts: Date.now()
-    }))
+    if (price !== undefined && (typeof price !== 'number' || price < 0)) return this._err('listing_update price must be a non-negative number')
+    const tooLong = this._tooLong({ desc })
+    if (tooLong) return this._err(`listing_update ${tooLong}`)
+    const raw = await this.view.get(id)
+    if (!raw) return this._err(`Listing ${id} not found`)
+    const listing = JSON.parse(raw.value)
+    if (listing.seller !== this.address) return this._err('Only the seller can update a listing')
+    if (listing.status !== 'active' && listing.status !== 'expired') return this._err(`Listing ${id} is ${listing.status}`)
+
+    const signed = await this._append({ op: 'listing_update', id, price, desc })
+    // Announce and alert only once apply() has taken the change.
+    if (!(await this._awaitReceipt(signed))) return this._err('Update not confirmed yet — check `listing_get` before updating again')
+    let warning = null
     if (price !== undefined) {
-      this.sc.broadcast('tracmarket', JSON.stringify({ event: 'LISTING_UPDATE', id, price }))
+      // updatedAt ties the announcement to this change, so receivers can tell it from a replay.
+      const updated = JSON.parse((await this.view.get(id)).value)
+      warning = this._announce('LISTING_UPDATE', { id, price, updatedAt: updated.updatedAt })
     }
-    return this._ok(`Listing ${id} updated`)
+
+    const changes = {}
+    if (price !== undefined && price !== listing.price) changes.price = { from: listing.price, to: price }
+    if (desc !== undefined && desc !== listing.desc) changes.desc = desc
+    if (Object.keys(changes).length) {
+      const change = changes.price && changes.price.to < changes.price.from ? 'price_drop' : 'updated'
+      warning = await this._alertWatchers(id, change, changes) || warning
+    }
+    return this._ok(`Listing ${id} updated`, undefined, warning ? { warning } : undefined)
   }
 
   async _listingRemove (cmd) {
     const { id } = cmd
     if (!id) return this._err('listing_remove requires id')
-    await this.base.append(JSON.stringify({
-      op: 'listing_remove', id, seller: this.address, ts: Date.now()
-    }))
-    this.sc.broadcast('tracmarket', JSON.stringify({ event: 'LISTING_REMOVE', id }))
-    return this._ok(`Listing ${id} removed`)
+    const raw = await this.view.get(id)
+    if (!raw) return this._err(`Listing ${id} not found`)
+    if (JSON.parse(raw.value).seller !== this.address) return this._err('Only the seller can remove a listing')
+    const signed = await this._append({ op: 'listing_remove', id })
+    if (!(await this._awaitReceipt(signed))) return this._err('Removal not confirmed yet — check `listing_get` before trying again')
+    const warning = this._announce('LISTING_REMOVE', { id })
+    return this._ok(`Listing ${id} removed`, undefined, warning ? { warning } : undefined)
+  }
+
+  async _listingRenew (cmd) {
+    const { id, ttl = DEFAULT_LISTING_TTL_SEC } = cmd
+    if (!id) return this._err('listing_renew requires id')
+    const ttlMs = this._ttlMs(ttl)
+    if (ttlMs === false) return this._err('listing_renew ttl must be a positive number of seconds')
+
+    const raw = await this.view.get(id)
+    if (!raw) return this._err(`Listing ${id} not found`)
+    const listing = JSON.parse(raw.value)
+    if (listing.seller !== this.address) return this._err('Only the seller can renew a listing')
+    if (listing.status !== 'active' && listing.status !== 'expired') return this._err(`Listing ${id} is ${listing.status}`)
+
+    const signed = await this._append({ op: 'listing_renew', id, ttlMs })
+    if (!(await this._awaitReceipt(signed))) return this._err('Renewal not confirmed yet — check `listing_get` before renewing again')
+    const warning = this._announce('LISTING_RENEW', {
+      id, title: listing.title, price: listing.price, ttl
+    })
+    return this._ok(`Listing ${id} renewed`, undefined, warning ? { warning } : undefined)
   }
 
   // ── Listing reads ─────────────────────────────────────────────────────────
 
   async _listingList (cmd) {
-    const { limit = 20, category, max_price, mine } = cmd
-    const results = []
-    for await (const entry of this.view.createReadStream()) {
-      const key = entry.key
-      if (!key.startsWith('LST-')) continue
-      const listing = JSON.parse(entry.value)
-      if (listing.status !== 'active') continue
-      if (category && listing.category !== category) continue
-      if (max_price !== undefined && listing.price > max_price) continue
-      if (mine && listing.seller !== this.address) continue
-      results.push(listing)
-      if (results.length >= limit) break
+    const { limit = 20, category, min_price, max_price, mine, keyword, sort = 'newest', cursor } = cmd
+    if (!LISTING_SORTS.includes(sort)) return this._err(`listing_list sort must be one of: ${LISTING_SORTS.join(', ')}`)
+
+    // Scan the index that yields the requested order and skips the most records;
+    // the remaining filters run on the records themselves.
+    let scan
+    if (sort === 'price_asc' || sort === 'price_desc') {
+      scan = range(prefix.price(),
+        min_price !== undefined ? priceBucket(min_price) : undefined,
+        max_price !== undefined ? priceBucket(max_price) : undefined)
+    } else if (sort === 'updated') scan = range(prefix.updated())
+    else if (mine) scan = range(prefix.seller(this.address))
+    else if (category) scan = range(prefix.category(category))
+    else scan = range(prefix.status('active'))
+
+    const page = await this._page(scan, {
+      reverse: sort !== 'oldest' && sort !== 'price_asc',
+      cursor,
+      tag: `listing:${sort}`,
+      limit,
+      filter: listing => {
+        if (listing.status !== 'active') return false
+        if (category && listing.category !== category) return false
+        if (min_price !== undefined && listing.price < min_price) return false
+        if (max_price !== undefined && listing.price > max_price) return false
+        if (mine && listing.seller !== this.address) return false
+        if (keyword && !search.matchesKeywords(listing, keyword)) return false
+        return true
+      }
+    })
+    if (page.error) return this._err(page.error)
+    return this._ok(null, page.items, { cursor: page.cursor })
+  }
+
+  // Ranked keyword search over active listings: plain terms are all required,
+  // "quoted phrases" must appear in order, `term*` matches a prefix and `-term`
+  // excludes. Each result is the listing record plus its `score`.
+  async _listingSearch (cmd) {
+    const { q, limit = 20, category, min_price, max_price } = cmd
+    if (typeof q !== 'string' || !q.trim()) return this._err('listing_search requires q')
+    const query = search.parseQuery(q)
+    if (!query.terms.length && !query.phrases.length) {
+      return this._err('listing_search needs at least one term that is not excluded')
     }
-    return this._ok(null, results)
+
+    const seq = await this.view.get('seq:LST')
+    const results = await search.search(this.view, query, {
+      total: seq ? parseInt(seq.value, 10) : 1,
+      filter: listing => {
+        if (category && listing.category !== category) return false
+        if (min_price !== undefined && listing.price < min_price) return false
+        if (max_price !== undefined && listing.price > max_price) return false
+        return true
+      }
+    })
+    const size = Math.min(Math.max(1, parseInt(limit, 10) || 1), MAX_PAGE_SIZE)
+    const items = results.slice(0, size).map(({ listing, score }) => ({ ...listing, score }))
+    return this._ok(null, items, { total: results.length })
   }
 
   async _listingGet (cmd) {
@@ -160,89 +402,290 @@ class TracMarketProtocol extends EventEmitter {
   // ── Offer mutations ───────────────────────────────────────────────────────
 
   async _offerSend (cmd) {
-    const { listing_id, amount, note } = cmd
+    const { listing_id, amount, note, ttl } = cmd
     if (!listing_id) return this._err('offer_send requires listing_id')
-    if (typeof amount !== 'number') return this._err('offer_send requires numeric amount')
+    if (typeof amount !== 'number' || amount <= 0) return this._err('offer_send requires positive numeric amount')
+    const tooLong = this._tooLong({ note })
+    if (tooLong) return this._err(`offer_send ${tooLong}`)
+    const ttlMs = this._ttlMs(ttl)
+    if (ttlMs === false) return this._err('offer_send ttl must be a positive number of seconds')
 
-    await this.base.append(JSON.stringify({
-      op: 'offer_send', listingId: listing_id,
-      buyer: this.address, amount, note: note || '', ts: Date.now()
-    }))
+    const raw = await this.view.get(listing_id)
+    if (!raw) return this._err(`Listing ${listing_id} not found`)
+    const listing = JSON.parse(raw.value)
+    if (listing.status !== 'active') return this._err(`Listing ${listing_id} is ${listing.status}`)
+    if (listing.seller === this.address) return this._err('Cannot make an offer on your own listing')
 
-    this.sc.broadcast(`deal-${listing_id}`, JSON.stringify({
-      event: 'OFFER_SENT', amount, note: note || '', buyer: this.address
-    }))
+    const signed = await this._append({ op: 'offer_send', listingId: listing_id, amount, ttlMs })
+    const offerId = await this._awaitReceipt(signed)
+    if (!offerId) return this._err('Offer not confirmed yet — check `offer_list` before sending again')
+
+    const offer = JSON.parse((await this.view.get(`${listing_id}:${offerId}`)).value)
+    const ack = await this._notify(offer, 'OFFER_SENT', {
+      offerId, amount, note: note || '', buyer: this.address, ttl: ttl || null
+    })
 
-    return this._ok('Offer sent')
+    // The note goes into Autobase only sealed, as the first message of the offer's thread.
+    let noted = true
+    if (note) {
+      const entered = await this._enterDeal(offer)
+      noted = entered.ok && !!(await this._awaitReceipt(await this._append({
+        op: 'deal_message', listingId: listing_id, offerId, sealed: seal(this.dealKeys.get(entered.channel), note)
+      })))
+    }
+
+    const status = ack.acked ? ' — seller notified' : ` — seller not reached yet (${ack.error})`
+    return this._ok(`Offer ${offerId} sent${status}${noted ? '' : ' — note not recorded, send it with `market msg`'}`, undefined, { offerId, ...ack })
   }
 
   async _offerCounter (cmd) {
-    const { listing_id, offer_id, amount } = cmd
+    const { listing_id, offer_id, amount, ttl } = cmd
     if (!listing_id || !offer_id) return this._err('offer_counter requires listing_id and offer_id')
-    if (typeof amount !== 'number') return this._err('offer_counter requires numeric amount')
+    if (typeof amount !== 'number' || amount <= 0) return this._err('offer_counter requires positive numeric amount')
+    const ttlMs = this._ttlMs(ttl)
+    if (ttlMs === false) return this._err('offer_counter ttl must be a positive number of seconds')
+    const denied = await this._checkMove('offer_counter', listing_id, offer_id, true)
+    if (denied) return this._err(denied)
 
-    await this.base.append(JSON.stringify({
-      op: 'offer_counter', listingId: listing_id, offerId: offer_id,
-      amount, by: this.address, ts: Date.now()
-    }))
+    const offer = JSON.parse((await this.view.get(`${listing_id}:${offer_id}`)).value)
 
-    this.sc.broadcast(`deal-${listing_id}`, JSON.stringify({
-      event: 'OFFER_COUNTER', offerId: offer_id, amount, by: this.address
-    }))
+    const signed = await this._append({ op: 'offer_counter', listingId: listing_id, offerId: offer_id, amount, ttlMs })
+    if (!(await this._awaitReceipt(signed))) return this._err('Counter-offer not confirmed yet — check `offer_list` before countering again')
+
+    const ack = await this._notify(offer, 'OFFER_COUNTER', {
+      offerId: offer_id, amount, by: this.address, ttl: ttl || null
+    })
 
-    return this._ok(`Counter-offer sent: ${amount} TNK`)
+    return this._ok(`Counter-offer sent: ${amount} TNK${ack.acked ? '' : ` — counterparty not reached yet (${ack.error})`}`, undefined, ack)
   }
 
   async _offerAccept (cmd) {
     const { listing_id, offer_id } = cmd
     if (!listing_id || !offer_id) return this._err('offer_accept requires listing_id and offer_id')
+    const denied = await this._checkMove('offer_accept', listing_id, offer_id, true)
+    if (denied) return this._err(denied)
+    const offer = JSON.parse((await this.view.get(`${listing_id}:${offer_id}`)).value)
 
-    await this.base.append(JSON.stringify({
-      op: 'offer_accept', listingId: listing_id, offerId: offer_id,
-      by: this.address, seller: this.address, ts: Date.now()
-    }))
+    const signed = await this._append({ op: 'offer_accept', listingId: listing_id, offerId: offer_id })
+    // Nothing is sold until apply() has opened the deal.
+    const dealId = await this._awaitReceipt(signed)
+    if (!dealId) return this._err('Acceptance not confirmed yet — check `offer_list` before accepting again')
 
-    // Broadcast deal close to both channels
-    const dealMsg = JSON.stringify({ event: 'OFFER_ACCEPTED', offerId: offer_id, by: this.address })
-    this.sc.broadcast(`deal-${listing_id}`, dealMsg)
-    this.sc.broadcast('tracmarket', JSON.stringify({
-      event: 'DEAL_CLOSED', listingId: listing_id
-    }))
+    // Tell the other party privately; the market only learns the listing sold
+    await this.broadcastDeal(offer, 'OFFER_ACCEPTED', { offerId: offer_id, by: this.address })
+    this.sc.broadcast('tracmarket', encodeEvent('DEAL_CLOSED', { listingId: listing_id }))
+    const warning = await this._alertWatchers(listing_id, 'sold', { finalPrice: offer.amount }, dealId)
 
-    return this._ok(`Deal accepted! Recorded on-chain.`)
+    return this._ok(`Deal accepted! Recorded on-chain.`, undefined, warning ? { warning } : undefined)
   }
 
   async _offerDecline (cmd) {
     const { listing_id, offer_id } = cmd
     if (!listing_id || !offer_id) return this._err('offer_decline requires listing_id and offer_id')
+    const denied = await this._checkMove('offer_decline', listing_id, offer_id, true)
+    if (denied) return this._err(denied)
 
-    await this.base.append(JSON.stringify({
-      op: 'offer_decline', listingId: listing_id, offerId: offer_id,
-      by: this.address, ts: Date.now()
-    }))
+    const offer = JSON.parse((await this.view.get(`${listing_id}:${offer_id}`)).value)
 
-    this.sc.broadcast(`deal-${listing_id}`, JSON.stringify({
-      event: 'OFFER_DECLINED', offerId: offer_id, by: this.address
-    }))
+    const signed = await this._append({ op: 'offer_decline', listingId: listing_id, offerId: offer_id })
+    if (!(await this._awaitReceipt(signed))) return this._err('Decline not confirmed yet — check `offer_list` before declining again')
+
+    await this.broadcastDeal(offer, 'OFFER_DECLINED', {
+      offerId: offer_id, by: this.address
+    })
 
     return this._ok('Offer declined')
   }
 
-  // ── Deal reads ────────────────────────────────────────────────────────────
+  async _offerWithdraw (cmd) {
+    const { listing_id, offer_id } = cmd
+    if (!listing_id || !offer_id) return this._err('offer_withdraw requires listing_id and offer_id')
+    const denied = await this._checkMove('offer_withdraw', listing_id, offer_id, false)
+    if (denied) return this._err(denied)
 
-  async _dealList (cmd) {
-    const { limit = 10, mine } = cmd
+    const offer = JSON.parse((await this.view.get(`${listing_id}:${offer_id}`)).value)
+
+    const signed = await this._append({ op: 'offer_withdraw', listingId: listing_id, offerId: offer_id })
+    if (!(await this._awaitReceipt(signed))) return this._err('Withdrawal not confirmed yet — check `offer_list` before withdrawing again')
+
+    await this.broadcastDeal(offer, 'OFFER_WITHDRAWN', {
+      offerId: offer_id, by: this.address
+    })
+
+    return this._ok('Offer withdrawn')
+  }
+
+  // Advisory check against the local view so callers get a reason instead of an op
+  // that apply() silently ignores. apply() enforces the same rules authoritatively.
+  // `ownTurn` — true for moves that answer the other side (counter, accept, decline),
+  // false for retracting your own last move (withdraw).
+  async _checkMove (op, listingId, offerId, ownTurn) {
+    const raw = await this.view.get(`${listingId}:${offerId}`)
+    if (!raw) return `Offer ${offerId} not found on ${listingId}`
+    const offer = JSON.parse(raw.value)
+    if (!OPEN_OFFER_STATUSES.includes(offer.status)) return `Offer ${offerId} is already ${offer.status}`
+    if (this.address !== offer.buyer && this.address !== offer.seller) {
+      return `${op}: only the buyer or seller can act on ${offerId}`
+    }
+    if (ownTurn && offer.turn !== this.address) return `${op}: waiting on the other party to respond`
+    if (!ownTurn && offer.turn === this.address) return `${op}: the other party made the last move — decline it instead`
+    if (op === 'offer_counter' || op === 'offer_accept') {
+      const listingRaw = await this.view.get(listingId)
+      const listing = listingRaw ? JSON.parse(listingRaw.value) : null
+      if (!listing || listing.status !== 'active') return `Listing ${listingId} is no longer active`
+    }
+    return null
+  }
+
+  // ── Offer reads ───────────────────────────────────────────────────────────
+
+  async _offerList (cmd) {
+    const { listing_id, status } = cmd
+    if (!listing_id) return this._err('offer_list requires listing_id')
+    const results = []
+    const prefix = `${listing_id}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      const offer = JSON.parse(entry.value)
+      if (status && offer.status !== status) continue
+      results.push(offer)
+    }
+    return this._ok(null, results)
+  }
+
+  // Offers that lapsed on the replicated clock after `since` (ms), oldest first.
+  async _offerExpired (cmd) {
+    const { since = 0, limit = 1000 } = cmd
+    const results = []
+    const gt = `expired:${pad(since)}:\xff`
+    for await (const entry of this.view.createReadStream({ gt, lte: 'expired:\xff', limit })) {
+      results.push(JSON.parse(entry.value))
+    }
+    return this._ok(null, results)
+  }
+
+  // ── Deal chat ─────────────────────────────────────────────────────────────
+
+  // A thread per offer between its buyer and seller, open while the offer is live and
+  // after it is accepted. Messages are sealed with the deal's session key before they
+  // go into Autobase (see `deal_message` in contract.js) and are also delivered live
+  // as DEAL_MESSAGE on the deal channel.
+
+  async _dealMessage (cmd) {
+    const { listing_id, offer_id, text } = cmd
+    if (!listing_id || !offer_id) return this._err('deal_message requires listing_id and offer_id')
+    if (!text) return this._err('deal_message requires text')
+    const tooLong = this._tooLong({ message: text })
+    if (tooLong) return this._err(`deal_message ${tooLong}`)
+    const offer = await this._threadOffer(listing_id, offer_id)
+    if (!offer) return this._err(`Offer ${offer_id} not found on ${listing_id}, or you are not a party to it`)
+    if (!LIVE_OFFER_STATUSES.includes(offer.status)) return this._err(`Offer ${offer_id} is ${offer.status}`)
+
+    const entered = await this._enterDeal(offer)
+    if (!entered.ok) return this._err(`deal_message: could not join ${entered.channel} (${entered.error})`)
+    const signed = await this._append({
+      op: 'deal_message', listingId: listing_id, offerId: offer_id, sealed: seal(this.dealKeys.get(entered.channel), text)
+    })
+    const messageId = await this._awaitReceipt(signed)
+    if (!messageId) return this._err('Message not confirmed yet — check `deal_thread` before sending again')
+
+    const ack = await this._notify(offer, 'DEAL_MESSAGE', {
+      offerId: offer_id, messageId, text, by: this.address, sentAt: signed.ts
+    })
+
+    return this._ok(`Message ${messageId} sent${ack.acked ? '' : ` — counterparty not reached yet (${ack.error})`}`, undefined, { messageId, ...ack })
+  }
+
+  // Messages after `since` (a thread sequence number), oldest first, opened with the
+  // session key. `text` is null when the key can't be had — the buyer asks the
+  // seller for it, so this needs the seller online once per session.
+  async _dealThread (cmd) {
+    const { listing_id, offer_id, since = 0, limit = 50 } = cmd
+    if (!listing_id || !offer_id) return this._err('deal_thread requires listing_id and offer_id')
+    const offer = await this._threadOffer(listing_id, offer_id)
+    if (!offer) return this._err(`Offer ${offer_id} not found on ${listing_id}, or you are not a party to it`)
+
+    const entered = offer.messageCount ? await this._enterDeal(offer) : { ok: false }
+    const key = entered.ok ? this.dealKeys.get(entered.channel) : null
+    const thread = `${listing_id}:${offer_id}`
+    const readUpTo = await this._readMarker(thread)
+    const size = Math.min(Math.max(1, parseInt(limit, 10) || 1), MAX_PAGE_SIZE)
+    const messages = []
+    for await (const entry of this.view.createReadStream({ gt: `msg:${thread}:${pad(since)}`, lte: `msg:${thread}:\xff`, limit: size })) {
+      const { sealed, ...message } = JSON.parse(entry.value)
+      messages.push({ ...message, text: key ? unseal(key, sealed) : null, unread: message.seq > readUpTo })
+    }
+    return this._ok(null, messages, {
+      readUpTo,
+      unread: Math.max(0, (offer.messageCount || 0) - readUpTo),
+      sealed: offer.messageCount && !key ? entered.error : undefined
+    })
+  }
+
+  // Move our read marker up to `seq` (default: the latest message).
+  async _dealRead (cmd) {
+    const { listing_id, offer_id } = cmd
+    if (!listing_id || !offer_id) return this._err('deal_read requires listing_id and offer_id')
+    const offer = await this._threadOffer(listing_id, offer_id)
+    if (!offer) return this._err(`Offer ${offer_id} not found on ${listing_id}, or you are not a party to it`)
+    const seq = cmd.seq ?? offer.messageCount ?? 0
+    if (!Number.isSafeInteger(seq) || seq < 0) return this._err('deal_read seq must be a message number')
+    if (seq <= await this._readMarker(`${listing_id}:${offer_id}`)) return this._ok('Nothing new to mark read')
+
+    await this._append({ op: 'deal_read', listingId: listing_id, offerId: offer_id, seq })
+
+    return this._ok(`Read up to message ${seq} on ${offer_id}`)
+  }
+
+  // Our threads, most recently active first, with unread counts.
+  async _dealInbox (cmd) {
+    const { listing_id, unread_only } = cmd
+    const prefix = `thread:${this.address}:${listing_id ? `${listing_id}:` : ''}`
     const results = []
-    for await (const entry of this.view.createReadStream()) {
-      if (!entry.key.startsWith('DEAL-')) continue
-      const deal = JSON.parse(entry.value)
-      if (mine && deal.buyer !== this.address && deal.seller !== this.address) continue
-      results.push(deal)
-      if (results.length >= limit) break
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      const { listingId, offerId } = JSON.parse(entry.value)
+      const raw = await this.view.get(`${listingId}:${offerId}`)
+      if (!raw) continue
+      const offer = JSON.parse(raw.value)
+      const unread = Math.max(0, (offer.messageCount || 0) - await this._readMarker(`${listingId}:${offerId}`))
+      if (unread_only && !unread) continue
+      results.push({
+        listingId,
+        offerId,
+        counterparty: offer.buyer === this.address ? offer.seller : offer.buyer,
+        status: offer.status,
+        messages: offer.messageCount || 0,
+        unread,
+        lastMessageAt: offer.lastMessageAt || null
+      })
     }
+    results.sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0))
     return this._ok(null, results)
   }
 
+  // The offer behind a thread, if we're its buyer or seller.
+  async _threadOffer (listingId, offerId) {
+    const raw = await this.view.get(`${listingId}:${offerId}`)
+    if (!raw) return null
+    const offer = JSON.parse(raw.value)
+    return offer.buyer === this.address || offer.seller === this.address ? offer : null
+  }
+
+  async _readMarker (thread) {
+    const raw = await this.view.get(`read:${thread}:${this.address}`)
+    return raw ? parseInt(raw.value, 10) : 0
+  }
+
+  // ── Deal reads ────────────────────────────────────────────────────────────
+
+  async _dealList (cmd) {
+    const { limit = 10, mine, sort = 'newest', cursor } = cmd
+    if (!DEAL_SORTS.includes(sort)) return this._err(`deal_list sort must be one of: ${DEAL_SORTS.join(', ')}`)
+    const scan = mine ? range(prefix.dealParty(this.address)) : range(prefix.dealCreated())
+    const page = await this._page(scan, { reverse: sort === 'newest', cursor, tag: `deal:${sort}`, limit })
+    if (page.error) return this._err(page.error)
+    return this._ok(null, page.items, { cursor: page.cursor })
+  }
+
   async _dealGet (cmd) {
     const { id } = cmd
     if (!id) return this._err('deal_get requires id')
@@ -251,6 +694,597 @@ class TracMarketProtocol extends EventEmitter {
     return this._ok(null, JSON.parse(raw.value))
   }
 
+  // ── Fulfillment ───────────────────────────────────────────────────────────
+
+  // After the sale: the seller ships, the buyer confirms receipt, either completes.
+  // Each step is recorded on the deal's timeline and announced on the deal channel.
+
+  async _dealShip (cmd) {
+    const { deal_id, tracking } = cmd
+    if (!deal_id) return this._err('deal_ship requires deal_id')
+    const tooLong = this._tooLong({ tracking })
+    if (tooLong) return this._err(`deal_ship ${tooLong}`)
+    const deal = await this._loadDeal(deal_id)
+    const denied = this._checkFulfillment('deal_ship', deal, deal_id, 'seller', [FULFILLMENT_STATUS.PENDING])
+    if (denied) return this._err(denied)
+
+    const signed = await this._append({ op: 'deal_ship', dealId: deal_id, tracking: tracking || undefined })
+    if (!(await this._awaitReceipt(signed))) return this._err('Shipment not confirmed yet — check `deal_get` before trying again')
+    await this._announceDeal(deal, 'DEAL_SHIPPED', { tracking: tracking || undefined })
+
+    return this._ok(`${deal_id} marked shipped${tracking ? ` (${tracking})` : ''}`)
+  }
+
+  // Confirming receipt releases a funded escrow to the seller, so pay it out here.
+  async _dealConfirmReceived (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('deal_confirm_received requires deal_id')
+    const deal = await this._loadDeal(deal_id)
+    const denied = this._checkFulfillment('deal_confirm_received', deal, deal_id, 'buyer', [FULFILLMENT_STATUS.PENDING, FULFILLMENT_STATUS.SHIPPED])
+    if (denied) return this._err(denied)
+    const funded = deal.escrow?.status === ESCROW_STATUS.FUNDED
+    if (funded && !this.settlement) return this._err('deal_confirm_received: the escrow is funded but no settlement backend is configured')
+
+    const signed = await this._append({ op: 'deal_confirm_received', dealId: deal_id })
+    if (!(await this._awaitReceipt(signed))) return this._err('Receipt not confirmed yet — check `deal_get` before trying again')
+    await this._announceDeal(deal, 'DEAL_RECEIVED', {})
+
+    const failed = funded ? await this._payout(deal_id) : null
+    if (failed) return this._err(`Receipt confirmed and escrow released, but the payout failed (${failed}) — run escrow_release to retry`)
+    return this._ok(`Receipt of ${deal_id} confirmed${funded ? ` — ${deal.escrow.amount} ${deal.currency} released to the seller` : ''}`)
+  }
+
+  async _dealComplete (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('deal_complete requires deal_id')
+    const deal = await this._loadDeal(deal_id)
+    const denied = this._checkFulfillment('deal_complete', deal, deal_id, null, [FULFILLMENT_STATUS.RECEIVED])
+    if (denied) return this._err(denied)
+    if (deal.dispute?.status === DISPUTE_STATUS.OPEN) return this._err(`deal_complete: ${deal_id} is in dispute — wait for the arbitrator's ruling`)
+
+    const signed = await this._append({ op: 'deal_complete', dealId: deal_id })
+    if (!(await this._awaitReceipt(signed))) return this._err('Completion not confirmed yet — check `deal_get` before trying again')
+    await this._announceDeal(deal, 'DEAL_COMPLETED', {})
+
+    return this._ok(`${deal_id} completed`)
+  }
+
+  // Advisory check against the local view, like _checkMove. `role` is 'buyer',
+  // 'seller' or null for either. Returns a reason or null.
+  _checkFulfillment (op, deal, dealId, role, from) {
+    if (!deal) return `Deal ${dealId} not found`
+    if (isCancelled(deal)) return `${op}: ${dealId} was cancelled`
+    const allowed = role ? [deal[role]] : [deal.buyer, deal.seller]
+    if (!allowed.includes(this.address)) return `${op}: only the ${role || 'buyer or seller'} of ${dealId} can do that`
+    const status = deal.fulfillment?.status || FULFILLMENT_STATUS.PENDING
+    if (!from.includes(status)) return `${op}: ${dealId} is ${status}`
+    return null
+  }
+
+  // Tell the other party about a step on a deal, on its offer's deal channel.
+  async _announceDeal (deal, event, fields) {
+    const raw = await this.view.get(`${deal.listingId}:${deal.offerId}`)
+    if (!raw) return
+    await this.broadcastDeal(JSON.parse(raw.value), event, { offerId: deal.offerId, dealId: deal.id, by: this.address, ...fields })
+  }
+
+  // ── Returns ───────────────────────────────────────────────────────────────
+
+  // After completion the buyer can ask to return the item, within the window of the
+  // return policy the listing was sold with. The seller approves with a refund of up
+  // to the price, or denies. If the escrow paid the seller, approving sends the refund
+  // through the settlement backend once the op has applied, and re-running the command
+  // retries a refund that failed; otherwise the refund is settled between the parties
+  // and only recorded.
+
+  async _returnRequest (cmd) {
+    const { deal_id, reason } = cmd
+    if (!deal_id || !reason) return this._err('return_request requires deal_id and reason')
+    const tooLong = this._tooLong({ reason })
+    if (tooLong) return this._err(`return_request ${tooLong}`)
+    const deal = await this._loadDeal(deal_id)
+    const denied = this._checkFulfillment('return_request', deal, deal_id, 'buyer', [FULFILLMENT_STATUS.COMPLETED])
+    if (denied) return this._err(denied)
+    if (deal.return) return this._err(`A return on ${deal_id} was already ${deal.return.status}`)
+    if (deal.dispute) return this._err(`${deal_id} was disputed — the arbitrator's ruling stands`)
+    const escrow = deal.escrow?.status || ESCROW_STATUS.UNFUNDED
+    if (![ESCROW_STATUS.UNFUNDED, ESCROW_STATUS.RELEASED].includes(escrow)) return this._err(`return_request: the escrow for ${deal_id} is ${escrow}`)
+    const deadline = returnDeadline(deal)
+    if (!deadline) return this._err(`${deal_id} was sold without returns`)
+    const now = await this.view.get('currentTime')
+    if ((now ? JSON.parse(now.value) : Date.now()) > deadline) {
+      return this._err(`The return window for ${deal_id} closed on ${new Date(deadline).toISOString()}`)
+    }
+
+    const signed = await this._append({ op: 'return_request', dealId: deal_id, reason })
+    if (!(await this._awaitReceipt(signed))) return this._err('Return request not confirmed yet — check `deal_get` before asking again')
+    await this._announceDeal(deal, 'RETURN_REQUESTED', { reason })
+
+    return this._ok(`Return of ${deal_id} requested — waiting for the seller`)
+  }
+
+  async _returnApprove (cmd) {
+    const { deal_id, refund_amount, note } = cmd
+    if (!deal_id) return this._err('return_approve requires deal_id')
+    const tooLong = this._tooLong({ note })
+    if (tooLong) return this._err(`return_approve ${tooLong}`)
+    const approved = await this._loadDeal(deal_id)
+    if (approved?.seller === this.address && approved.return?.status === RETURN_STATUS.APPROVED && approved.return.viaEscrow) {
+      const failed = await this._refundReturn(approved)
+      if (failed) return this._err(`Return of ${deal_id} is approved but the refund failed: ${failed} — run return_approve again to retry`)
+      return this._ok(`Return of ${deal_id} approved — ${approved.return.refundAmount} ${approved.currency} refunded to the buyer`)
+    }
+    const deal = await this._loadReturn('return_approve', deal_id)
+    if (typeof deal === 'string') return this._err(deal)
+    if (!(typeof refund_amount === 'number' && refund_amount > 0 && refund_amount <= deal.finalPrice)) {
+      return this._err(`return_approve requires refund_amount greater than 0 and at most ${deal.finalPrice}`)
+    }
+    const viaEscrow = deal.escrow?.status === ESCROW_STATUS.RELEASED
+    if (viaEscrow && !this.settlement) return this._err('return_approve: the escrow paid for this deal but no settlement backend is configured')
+
+    const signed = await this._append({ op: 'return_approve', dealId: deal_id, refundAmount: refund_amount, note: note || undefined })
+    if (!(await this._awaitReceipt(signed))) return this._err('Approval not confirmed yet — check `deal_get` before approving again')
+    await this._announceDeal(deal, 'RETURN_APPROVED', { refundAmount: refund_amount, note: note || undefined })
+    if (viaEscrow) {
+      const failed = await this._refundReturn(await this._loadDeal(deal_id))
+      if (failed) return this._err(`Return of ${deal_id} approved but the refund failed: ${failed} — run return_approve again to retry`)
+    }
+
+    return this._ok(`Return of ${deal_id} approved — ${refund_amount} ${deal.currency} ${viaEscrow ? 'refunded' : 'to refund'} to the buyer`)
+  }
+
+  // Send an approved return's refund as the view recorded it, from the seller to the
+  // buyer. Returns null on success, or why it failed.
+  async _refundReturn (deal) {
+    if (!this.settlement) return 'no settlement backend is configured'
+    try {
+      await this.settlement.transfer(`${deal.id}/return`, deal.seller, deal.buyer, deal.return.refundAmount)
+      return null
+    } catch (err) {
+      return err.message
+    }
+  }
+
+  async _returnDeny (cmd) {
+    const { deal_id, note } = cmd
+    if (!deal_id) return this._err('return_deny requires deal_id')
+    const tooLong = this._tooLong({ note })
+    if (tooLong) return this._err(`return_deny ${tooLong}`)
+    const deal = await this._loadReturn('return_deny', deal_id)
+    if (typeof deal === 'string') return this._err(deal)
+
+    const signed = await this._append({ op: 'return_deny', dealId: deal_id, note: note || undefined })
+    if (!(await this._awaitReceipt(signed))) return this._err('Denial not confirmed yet — check `deal_get` before trying again')
+    await this._announceDeal(deal, 'RETURN_DENIED', { note: note || undefined })
+
+    return this._ok(`Return of ${deal_id} denied`)
+  }
+
+  // A deal with a return awaiting our decision as its seller, or the reason it isn't.
+  async _loadReturn (op, dealId) {
+    const deal = await this._loadDeal(dealId)
+    if (!deal) return `Deal ${dealId} not found`
+    if (deal.seller !== this.address) return `${op}: only the seller of ${dealId} can decide on a return`
+    if (deal.return?.status !== RETURN_STATUS.REQUESTED) {
+      return deal.return ? `The return on ${dealId} was already ${deal.return.status}` : `No return was requested on ${dealId}`
+    }
+    return deal
+  }
+
+  // ── Cancellation ──────────────────────────────────────────────────────────
+
+  // Backing out of a deal takes both parties: one asks on the deal channel, the other
+  // confirms. Confirming refunds a funded escrow and relists the item, and the market
+  // and the listing's watchers are told it is available again.
+
+  async _dealCancelRequest (cmd) {
+    const { deal_id, reason } = cmd
+    if (!deal_id) return this._err('deal_cancel_request requires deal_id')
+    const tooLong = this._tooLong({ reason })
+    if (tooLong) return this._err(`deal_cancel_request ${tooLong}`)
+    const deal = await this._loadDeal(deal_id)
+    const denied = this._checkFulfillment('deal_cancel_request', deal, deal_id, null, [FULFILLMENT_STATUS.PENDING, FULFILLMENT_STATUS.SHIPPED]) ||
+      this._checkCancellable('deal_cancel_request', deal)
+    if (denied) return this._err(denied)
+    if (deal.cancellation) {
+      return this._err(deal.cancellation.requestedBy === this.address
+        ? `You already asked to cancel ${deal_id}`
+        : `The other party already asked to cancel ${deal_id} — use deal_cancel_confirm`)
+    }
+
+    const signed = await this._append({ op: 'deal_cancel_request', dealId: deal_id, reason: reason || undefined })
+    if (!(await this._awaitReceipt(signed))) return this._err('Cancellation request not confirmed yet — check `deal_get` before asking again')
+    await this._announceDeal(deal, 'DEAL_CANCEL_REQUESTED', { reason: reason || undefined })
+
+    return this._ok(`Asked to cancel ${deal_id} — waiting for the other party to confirm`)
+  }
+
+  // Running the command again on a cancelled deal retries a refund payout that failed.
+  async _dealCancelConfirm (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('deal_cancel_confirm requires deal_id')
+    const deal = await this._loadDeal(deal_id)
+    if (!deal) return this._err(`Deal ${deal_id} not found`)
+    if (deal.buyer !== this.address && deal.seller !== this.address) return this._err(`Only the buyer or seller of ${deal_id} can cancel it`)
+    const funded = deal.escrow?.status === ESCROW_STATUS.FUNDED
+
+    let warning = null
+    if (!isCancelled(deal)) {
+      if (deal.cancellation?.status !== CANCELLATION_STATUS.REQUESTED) return this._err(`Nobody has asked to cancel ${deal_id} — use deal_cancel_request`)
+      if (deal.cancellation.requestedBy === this.address) return this._err(`Waiting for the other party to confirm cancelling ${deal_id}`)
+      const denied = this._checkFulfillment('deal_cancel_confirm', deal, deal_id, null, [FULFILLMENT_STATUS.PENDING, FULFILLMENT_STATUS.SHIPPED]) ||
+        this._checkCancellable('deal_cancel_confirm', deal)
+      if (denied) return this._err(denied)
+      if (funded && !this.settlement) return this._err('deal_cancel_confirm: the escrow is funded but no settlement backend is configured')
+
+      const signed = await this._append({ op: 'deal_cancel_confirm', dealId: deal_id })
+      if (!(await this._awaitReceipt(signed))) return this._err('Cancellation not confirmed yet — check `deal_get` before trying again')
+      await this._announceDeal(deal, 'DEAL_CANCEL_CONFIRMED', {})
+      const listing = await this._relisted(deal_id)
+      if (listing) {
+        this.sc.broadcast('tracmarket', encodeEvent('DEAL_CANCELLED', { listingId: deal.listingId, dealId: deal_id }))
+        warning = await this._alertWatchers(deal.listingId, 'available', { price: listing.price }, deal_id)
+      }
+    }
+
+    // Pay the refund if the cancellation settled the hold.
+    const cancelled = await this._loadDeal(deal_id)
+    const relisted = (await this._relisted(deal_id)) ? `, ${deal.listingId} is back on the market` : ''
+    if (cancelled.escrow?.settledAt && cancelled.escrow.settledAt === cancelled.cancellation.cancelledAt) {
+      if (!this.settlement) return this._err('Cancellation recorded, but no settlement backend is configured to refund the escrow')
+      const failed = await this._payout(deal_id)
+      if (failed) return this._err(`${deal_id} is cancelled, but the refund failed (${failed}) — run deal_cancel_confirm again to retry`)
+      return this._ok(`${deal_id} cancelled — ${cancelled.escrow.amount} ${deal.currency} refunded to the buyer${relisted}`, undefined, warning ? { warning } : undefined)
+    }
+    return this._ok(`${deal_id} cancelled${relisted}`, undefined, warning ? { warning } : undefined)
+  }
+
+  // The listing a cancelled deal put back on the market, or null if the cancellation
+  // didn't relist it (e.g. the seller had removed it) or it has moved on since.
+  async _relisted (dealId) {
+    const deal = await this._loadDeal(dealId)
+    const raw = deal && isCancelled(deal) && await this.view.get(deal.listingId)
+    const listing = raw && JSON.parse(raw.value)
+    return listing?.status === 'active' && listing.relistedAt === deal.cancellation.cancelledAt ? listing : null
+  }
+
+  // Advisory check against the local view, like _checkFulfillment. → a reason or null.
+  _checkCancellable (op, deal) {
+    if (deal.dispute) return `${op}: ${deal.id} is in dispute — the arbitrator rules on it`
+    const escrow = deal.escrow?.status || ESCROW_STATUS.UNFUNDED
+    if (![ESCROW_STATUS.UNFUNDED, ESCROW_STATUS.FUNDED].includes(escrow)) return `${op}: the escrow for ${deal.id} is already ${escrow}`
+    return null
+  }
+
+  // ── Disputes ──────────────────────────────────────────────────────────────
+
+  // Either party can take a deal to the market's arbitrators. The case is public in
+  // the view (the arbitrator has to read it); the parties and the arbitrator are told
+  // on tracmarket when it opens and when it is ruled.
+
+  // Set the market's arbitrators: addresses or public keys. The peer that created the
+  // market (its Autobase bootstrap writer) names the first set and owns it; only the
+  // owner may change it.
+  async _arbitratorsSet (cmd) {
+    const { arbitrators } = cmd
+    const list = typeof arbitrators === 'string' ? arbitrators.split(',').map(a => a.trim()).filter(Boolean) : arbitrators
+    if (!Array.isArray(list) || !list.length) return this._err('arbitrators_set requires a list of arbitrator addresses or keys')
+    const addresses = []
+    for (const item of list) {
+      if (typeof item === 'string' && /^[0-9a-f]{64}$/i.test(item)) addresses.push(toAddress(item.toLowerCase()))
+      else if (typeof item === 'string' && /^[0-9a-f]{40}$/i.test(item)) addresses.push(item.toLowerCase())
+      else return this._err(`arbitrators_set: ${item} is not an address or public key`)
+    }
+    const raw = await this.view.get('config:arbitrators')
+    if (raw && JSON.parse(raw.value).owner !== this.address) return this._err('Only the market owner can change its arbitrators')
+    if (!raw && !this._isBootstrapWriter()) {
+      return this._err('Only the peer that created the market (its Autobase bootstrap writer) can name its first arbitrators')
+    }
+
+    const signed = await this._append({ op: 'arbitrators_set', arbitrators: addresses })
+    if (!(await this._awaitReceipt(signed))) return this._err('Arbitrators not confirmed yet — check `arbitrators_get` before setting them again')
+
+    return this._ok(`Arbitrators set: ${addresses.length}`)
+  }
+
+  async _arbitratorsGet () {
+    const raw = await this.view.get('config:arbitrators')
+    return this._ok(null, raw ? JSON.parse(raw.value) : { owner: null, arbitrators: [] })
+  }
+
+  async _disputeOpen (cmd) {
+    const { deal_id, reason, evidence } = cmd
+    if (!deal_id || !reason) return this._err('dispute_open requires deal_id and reason')
+    const tooLong = this._tooLong({ reason, evidence })
+    if (tooLong) return this._err(`dispute_open ${tooLong}`)
+    const deal = await this._loadDeal(deal_id)
+    if (!deal) return this._err(`Deal ${deal_id} not found`)
+    if (deal.buyer !== this.address && deal.seller !== this.address) return this._err(`Only the buyer or seller of ${deal_id} can dispute it`)
+    if (isCancelled(deal)) return this._err(`${deal_id} was cancelled`)
+    if (deal.dispute) return this._err(`${deal_id} has already been disputed (${deal.dispute.status})`)
+    if (deal.fulfillment?.status === FULFILLMENT_STATUS.COMPLETED) return this._err(`${deal_id} is completed`)
+    if (!(await this.view.get('config:arbitrators'))) return this._err('This market has no arbitrators configured')
+
+    const signed = await this._append({ op: 'dispute_open', dealId: deal_id, reason, evidence: evidence || undefined })
+    if (!(await this._awaitReceipt(signed))) {
+      return this._err('Dispute not confirmed yet — check `dispute_get` (a market needs an arbitrator who is not a party)')
+    }
+    const { arbitrator } = (await this._loadDeal(deal_id)).dispute
+    const counterparty = deal.buyer === this.address ? deal.seller : deal.buyer
+    this.sc.broadcast('tracmarket', encodeEvent('DISPUTE_OPENED', {
+      dealId: deal_id, openedBy: this.address, arbitrator, to: [counterparty, arbitrator]
+    }))
+
+    return this._ok(`Dispute opened on ${deal_id} — arbitrator ${arbitrator}`, undefined, { arbitrator })
+  }
+
+  async _disputeEvidence (cmd) {
+    const { deal_id, text } = cmd
+    if (!deal_id || !text) return this._err('dispute_evidence requires deal_id and text')
+    const tooLong = this._tooLong({ evidence: text })
+    if (tooLong) return this._err(`dispute_evidence ${tooLong}`)
+    const dispute = await this._loadDispute(deal_id)
+    if (!dispute || dispute.status !== DISPUTE_STATUS.OPEN) return this._err(`No open dispute on ${deal_id}`)
+    if (![dispute.buyer, dispute.seller, dispute.arbitrator].includes(this.address)) {
+      return this._err(`Only the parties and the arbitrator can add to the dispute on ${deal_id}`)
+    }
+
+    const signed = await this._append({ op: 'dispute_evidence', dealId: deal_id, text })
+    if (!(await this._awaitReceipt(signed))) return this._err('Evidence not confirmed yet — check `dispute_get` before adding it again')
+
+    return this._ok(`Evidence added to the dispute on ${deal_id}`)
+  }
+
+  // Rule on a case assigned to us. A funded escrow is paid out as ruled; running the
+  // command again on a ruled case retries a payout that failed.
+  async _disputeRule (cmd) {
+    const { deal_id, outcome, buyer_amount, note } = cmd
+    if (!deal_id || !outcome) return this._err('dispute_rule requires deal_id and outcome')
+    if (!DISPUTE_OUTCOMES.includes(outcome)) return this._err(`dispute_rule outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`)
+    const tooLong = this._tooLong({ note })
+    if (tooLong) return this._err(`dispute_rule ${tooLong}`)
+    const dispute = await this._loadDispute(deal_id)
+    if (!dispute) return this._err(`No dispute on ${deal_id}`)
+    if (dispute.arbitrator !== this.address) return this._err(`The dispute on ${deal_id} is assigned to ${dispute.arbitrator}`)
+    const deal = await this._loadDeal(deal_id)
+    const funded = deal.escrow?.status === ESCROW_STATUS.FUNDED
+
+    if (dispute.status === DISPUTE_STATUS.OPEN) {
+      const amount = funded ? deal.escrow.amount : deal.finalPrice
+      if (outcome === 'split' && !(typeof buyer_amount === 'number' && buyer_amount > 0 && buyer_amount < amount)) {
+        return this._err(`dispute_rule split requires buyer_amount between 0 and ${amount}`)
+      }
+      if (funded && !this.settlement) return this._err('dispute_rule: the escrow is funded but no settlement backend is configured')
+      const signed = await this._append({
+        op: 'dispute_rule', dealId: deal_id, outcome, buyerAmount: outcome === 'split' ? buyer_amount : undefined, note: note || undefined
+      })
+      if (!(await this._awaitReceipt(signed))) return this._err('Ruling not confirmed yet — check `dispute_get` before ruling again')
+      this.sc.broadcast('tracmarket', encodeEvent('DISPUTE_RULED', {
+        dealId: deal_id, outcome, arbitrator: this.address, to: [deal.buyer, deal.seller]
+      }))
+    } else if (dispute.ruling.outcome !== outcome) {
+      return this._err(`The dispute on ${deal_id} was already ruled: ${dispute.ruling.outcome}`)
+    }
+
+    // Pay out the hold if the ruling settled it, rather than the parties before it.
+    const ruled = await this._loadDeal(deal_id)
+    if (ruled.escrow?.settledAt && ruled.escrow.settledAt === ruled.dispute.ruledAt) {
+      if (!this.settlement) return this._err('Ruling recorded, but no settlement backend is configured to pay it out')
+      const failed = await this._payout(deal_id)
+      if (failed) return this._err(`Ruling recorded, but the payout failed (${failed}) — run dispute_rule again to retry`)
+    }
+    const unsettled = (await this._loadDispute(deal_id)).ruling.settled === false
+    return this._ok(`Ruled ${outcome} on ${deal_id}${unsettled ? ' — nothing was held in escrow, so no value moved and reputation is unchanged' : ''}`)
+  }
+
+  // The case with its audit trail.
+  async _disputeGet (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('dispute_get requires deal_id')
+    const dispute = await this._loadDispute(deal_id)
+    if (!dispute) return this._err(`No dispute on ${deal_id}`)
+    const audit = []
+    const prefix = `audit:${deal_id}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      audit.push(JSON.parse(entry.value))
+    }
+    return this._ok(null, { ...dispute, audit })
+  }
+
+  // Open cases assigned to us (or to `arbitrator`).
+  async _disputeList (cmd) {
+    const arbitrator = cmd.arbitrator || this.address
+    const results = []
+    const prefix = `disputeby:${arbitrator}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      const dispute = await this._loadDispute(entry.key.slice(prefix.length))
+      if (dispute) results.push(dispute)
+    }
+    return this._ok(null, results)
+  }
+
+  // apply() only takes the first arbitrator set from the bootstrap writer. Without a
+  // bootstrap key to compare against there is no authority to check, so refuse.
+  _isBootstrapWriter () {
+    const { bootstrap, local } = this.base
+    return !!(bootstrap && local?.key) && b4a.equals(bootstrap, local.key)
+  }
+
+  async _loadDispute (dealId) {
+    const raw = await this.view.get(`dispute:${dealId}`)
+    return raw ? JSON.parse(raw.value) : null
+  }
+
+  // ── Escrow ────────────────────────────────────────────────────────────────
+
+  // apply() keeps the ledger; the value moves through `this.settlement`. Funding locks
+  // the buyer's funds before the op is appended and unlocks them if apply() refuses it.
+  // Releases and refunds pay out after the op has applied, and re-running the command
+  // retries a payout that failed.
+
+  async _escrowFund (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('escrow_fund requires deal_id')
+    if (!this.settlement) return this._err('escrow_fund: no settlement backend is configured')
+    const deal = await this._loadDeal(deal_id)
+    if (!deal) return this._err(`Deal ${deal_id} not found`)
+    if (deal.buyer !== this.address) return this._err(`Only the buyer of ${deal_id} can fund its escrow`)
+    if (isCancelled(deal)) return this._err(`${deal_id} was cancelled`)
+    const status = deal.escrow?.status || ESCROW_STATUS.UNFUNDED
+    if (status !== ESCROW_STATUS.UNFUNDED) return this._err(`Escrow for ${deal_id} is already ${status}`)
+
+    try {
+      await this.settlement.lock(deal_id, this.address, deal.finalPrice)
+    } catch (err) {
+      return this._err(`escrow_fund: ${err.message}`)
+    }
+    const signed = await this._append({ op: 'escrow_fund', dealId: deal_id, amount: deal.finalPrice })
+    if (!(await this._awaitReceipt(signed))) {
+      const receipt = await this.view.get(`sig:${signed.sig}`)
+      if (!receipt) return this._err('Escrow funding not confirmed yet — check `deal_get` before funding again')
+      if (await this.view.get(`hold:${deal_id}`)) return this._err(`Escrow for ${deal_id} was already funded`)
+      try {
+        await this.settlement.unlock(deal_id, this.address)
+      } catch (err) {
+        return this._err(`Escrow funding for ${deal_id} was refused and unlocking the funds failed: ${err.message}`)
+      }
+      return this._err(`Escrow funding for ${deal_id} was refused — the funds were unlocked`)
+    }
+
+    return this._ok(`Escrow funded: ${deal.finalPrice} ${deal.currency} held for ${deal_id} until you confirm receipt`)
+  }
+
+  // The buyer releases to the seller at any time; the seller can collect once the
+  // escrow has timed out on the replicated clock.
+  async _escrowRelease (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('escrow_release requires deal_id')
+    if (!this.settlement) return this._err('escrow_release: no settlement backend is configured')
+    const deal = await this._loadDeal(deal_id)
+    if (!deal) return this._err(`Deal ${deal_id} not found`)
+    if (deal.buyer !== this.address && deal.seller !== this.address) {
+      return this._err(`Only the buyer or seller of ${deal_id} can release its escrow`)
+    }
+    const status = deal.escrow?.status || ESCROW_STATUS.UNFUNDED
+    if (status === ESCROW_STATUS.FUNDED) {
+      if (deal.seller === this.address) {
+        if (deal.dispute?.status === DISPUTE_STATUS.OPEN) return this._err(`escrow_release: ${deal_id} is in dispute — the arbitrator rules on the escrow`)
+        const now = await this.view.get('currentTime')
+        if (!now || JSON.parse(now.value) < deal.escrow.releaseAt) {
+          return this._err(`escrow_release: waiting on the buyer to confirm receipt, or until ${new Date(deal.escrow.releaseAt).toISOString()}`)
+        }
+      }
+      const signed = await this._append({ op: 'escrow_release', dealId: deal_id })
+      if (!(await this._awaitReceipt(signed))) return this._err('Release not confirmed yet — check `deal_get` before trying again')
+    } else if (status !== ESCROW_STATUS.RELEASED) {
+      return this._err(`Escrow for ${deal_id} is ${status}`)
+    }
+
+    const failed = await this._payout(deal_id)
+    if (failed) return this._err(`Escrow for ${deal_id} is released, but the payout failed (${failed}) — run escrow_release again to retry`)
+    return this._ok(`Escrow released: ${deal.finalPrice} ${deal.currency} paid to the seller`)
+  }
+
+  async _escrowRefund (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('escrow_refund requires deal_id')
+    if (!this.settlement) return this._err('escrow_refund: no settlement backend is configured')
+    const deal = await this._loadDeal(deal_id)
+    if (!deal) return this._err(`Deal ${deal_id} not found`)
+    if (deal.seller !== this.address) return this._err(`Only the seller of ${deal_id} can refund its escrow`)
+    const status = deal.escrow?.status || ESCROW_STATUS.UNFUNDED
+    if (status === ESCROW_STATUS.FUNDED) {
+      const signed = await this._append({ op: 'escrow_refund', dealId: deal_id })
+      if (!(await this._awaitReceipt(signed))) return this._err('Refund not confirmed yet — check `deal_get` before trying again')
+    } else if (status !== ESCROW_STATUS.REFUNDED) {
+      return this._err(`Escrow for ${deal_id} is ${status}`)
+    }
+
+    const failed = await this._payout(deal_id)
+    if (failed) return this._err(`Escrow for ${deal_id} is refunded, but the payout failed (${failed}) — run escrow_refund again to retry`)
+    return this._ok(`Escrow refunded: ${deal.finalPrice} ${deal.currency} returned to the buyer`)
+  }
+
+  // The ledger's view of an address, plus its spendable funds per the settlement backend.
+  async _escrowBalance (cmd) {
+    const address = cmd.address || this.address
+    const raw = await this.view.get(`bal:${address}`)
+    const balance = raw ? JSON.parse(raw.value) : { address, held: 0, received: 0 }
+    return this._ok(null, { ...balance, available: this.settlement ? this.settlement.balanceOf(address) : null })
+  }
+
+  // Pay out a settled hold as apply() recorded it. → an error message, or null.
+  async _payout (dealId) {
+    const raw = await this.view.get(`hold:${dealId}`)
+    const hold = raw && JSON.parse(raw.value)
+    if (!hold || !hold.payouts) return 'the hold is not settled in the view yet'
+    try {
+      for (const [address, amount] of Object.entries(hold.payouts)) {
+        if (amount > 0) await this.settlement.payout(dealId, address, amount)
+      }
+      return null
+    } catch (err) {
+      return err.message
+    }
+  }
+
+  async _loadDeal (dealId) {
+    if (typeof dealId !== 'string' || !dealId.startsWith('DEAL-')) return null
+    const raw = await this.view.get(dealId)
+    return raw ? JSON.parse(raw.value) : null
+  }
+
+  // ── Ratings ───────────────────────────────────────────────────────────────
+
+  async _ratingSubmit (cmd) {
+    const { deal_id, stars, comment } = cmd
+    if (!deal_id) return this._err('rating_submit requires deal_id')
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) return this._err('rating_submit requires stars between 1 and 5')
+    const tooLong = this._tooLong({ comment })
+    if (tooLong) return this._err(`rating_submit ${tooLong}`)
+
+    const raw = await this.view.get(deal_id)
+    if (!raw) return this._err(`Deal ${deal_id} not found`)
+    const deal = JSON.parse(raw.value)
+    if (deal.buyer !== this.address && deal.seller !== this.address) {
+      return this._err(`Only the buyer or seller of ${deal_id} can rate it`)
+    }
+    if (isCancelled(deal)) return this._err(`${deal_id} was cancelled — there is no trade to rate`)
+    if (await this.view.get(`rating:${deal_id}:${this.address}`)) {
+      return this._err(`You already rated ${deal_id}`)
+    }
+
+    const ratedAddress = deal.buyer === this.address ? deal.seller : deal.buyer
+    const signed = await this._append({ op: 'rating_submit', dealId: deal_id, stars, comment: comment || '' })
+    // Only announce a rating the contract recorded (not a duplicate, not a non-party).
+    if (!(await this._awaitReceipt(signed))) return this._err('Rating not confirmed yet — check `rating_get` before rating again')
+
+    this.sc.broadcast('tracmarket', encodeEvent('RATING_POSTED', {
+      dealId: deal_id, ratedAddress,
+      stars, comment: comment || '', ratedBy: this.address
+    }))
+
+    return this._ok(`Rating submitted for ${deal_id}`)
+  }
+
+  async _ratingGet (cmd) {
+    const { deal_id } = cmd
+    if (!deal_id) return this._err('rating_get requires deal_id')
+    const results = []
+    const prefix = `rating:${deal_id}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      results.push(JSON.parse(entry.value))
+    }
+    return this._ok(null, results)
+  }
+
+  async _reputationGet (cmd) {
+    const address = cmd.address || this.address
+    const raw = await this.view.get(`rep:${address}`)
+    if (!raw) return this._ok(null, { address, totalStars: 0, ratingCount: 0, avgStars: 0, lastRatedAt: null })
+    return this._ok(null, JSON.parse(raw.value))
+  }
+
   // ── Agent rules ───────────────────────────────────────────────────────────
 
   async _ruleSet (cmd) {
@@ -270,10 +1304,7 @@ class TracMarketProtocol extends EventEmitter {
       return this._err('rule_set: specify auto_buy_below, auto_accept_above, or auto_counter_ratio')
     }
 
-    await this.base.append(JSON.stringify({
-      op: 'rule_set', ruleType, params,
-      owner: this.address, ts: Date.now()
-    }))
+    await this._append({ op: 'rule_set', ruleType, params })
 
     return this._ok(`Rule set: ${ruleType}`)
   }
@@ -291,18 +1322,321 @@ class TracMarketProtocol extends EventEmitter {
   async _ruleDelete (cmd) {
     const { rule_id } = cmd
     if (!rule_id) return this._err('rule_delete requires rule_id')
-    await this.base.append(JSON.stringify({
-      op: 'rule_delete', ruleId: rule_id, owner: this.address, ts: Date.now()
-    }))
+    await this._append({ op: 'rule_delete', ruleId: rule_id })
     return this._ok(`Rule ${rule_id} deleted`)
   }
 
+  // ── Watches ───────────────────────────────────────────────────────────────
+
+  async _watchAdd (cmd) {
+    const { listing_id } = cmd
+    if (!listing_id) return this._err('watch_add requires listing_id')
+    const raw = typeof listing_id === 'string' && listing_id.startsWith('LST-') && await this.view.get(listing_id)
+    if (!raw || !LISTING_STATUSES.includes(JSON.parse(raw.value).status)) return this._err(`Listing ${listing_id} not found`)
+    if (await this.view.get(`watch:${listing_id}:${this.address}`)) return this._err(`Already watching ${listing_id}`)
+    await this._append({ op: 'watch_add', listingId: listing_id })
+    return this._ok(`Watching ${listing_id}`)
+  }
+
+  async _watchRemove (cmd) {
+    const { listing_id } = cmd
+    if (!listing_id) return this._err('watch_remove requires listing_id')
+    if (!(await this.view.get(`watch:${listing_id}:${this.address}`))) return this._err(`Not watching ${listing_id}`)
+    await this._append({ op: 'watch_remove', listingId: listing_id })
+    return this._ok(`Stopped watching ${listing_id}`)
+  }
+
+  // The listings this peer watches, current record attached (null if it's gone).
+  async _watchList () {
+    const results = []
+    const prefix = `watchby:${this.address}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      const watch = JSON.parse(entry.value)
+      const raw = await this.view.get(watch.listingId)
+      results.push({ ...watch, listing: raw ? JSON.parse(raw.value) : null })
+    }
+    return this._ok(null, results)
+  }
+
+  // Send a signed WATCH_ALERT if anyone but ourselves watches the listing. It names
+  // no recipients: each peer checks its own watches. A party acting on a deal passes
+  // `dealId`, which is what lets a buyer's alert through. → null, or a warning (see
+  // _announce).
+  // change: 'price_drop' | 'updated' | 'sold' | 'available'
+  async _alertWatchers (listingId, change, detail, dealId) {
+    let watched = false
+    const prefix = `watch:${listingId}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      if (JSON.parse(entry.value).watcher !== this.address) {
+        watched = true
+        break
+      }
+    }
+    if (!watched) return null
+    const raw = await this.view.get(listingId)
+    const title = raw ? JSON.parse(raw.value).title : undefined
+    return this._announce('WATCH_ALERT', { listingId, change, detail: { title, ...detail }, dealId })
+  }
+
+  // ── Saved searches ────────────────────────────────────────────────────────
+
+  async _searchSave (cmd) {
+    const { name, category, min_price, max_price, keywords } = cmd
+    const tooLong = this._tooLong({ name, category, keywords })
+    if (tooLong) return this._err(`search_save ${tooLong}`)
+    if (min_price !== undefined && typeof min_price !== 'number') return this._err('search_save min_price must be a number')
+    if (max_price !== undefined && typeof max_price !== 'number') return this._err('search_save max_price must be a number')
+    if (min_price !== undefined && max_price !== undefined && min_price > max_price) {
+      return this._err('search_save min_price must not exceed max_price')
+    }
+    if (!category && min_price === undefined && max_price === undefined && !keywords) {
+      return this._err('search_save requires category, min_price, max_price or keywords')
+    }
+
+    await this._append({ op: 'search_save', name, category, minPrice: min_price, maxPrice: max_price, keywords })
+
+    return this._ok('Search saved — new and updated listings that match will raise an alert')
+  }
+
+  async _searchList () {
+    const results = []
+    const prefix = `search:${this.address}:`
+    for await (const entry of this.view.createReadStream({ gte: prefix, lte: prefix + '\xff' })) {
+      const saved = JSON.parse(entry.value)
+      if (!saved.deleted) results.push(saved)
+    }
+    return this._ok(null, results)
+  }
+
+  async _searchDelete (cmd) {
+    const { search_id } = cmd
+    if (!search_id) return this._err('search_delete requires search_id')
+    await this._append({ op: 'search_delete', searchId: search_id })
+    return this._ok(`Saved search ${search_id} deleted`)
+  }
+
+  // ── Deal channels ─────────────────────────────────────────────────────────
+
+  // Each offer is negotiated on its own sidechannel, invite-only with the seller as its
+  // sole inviter, so competing buyers can't read or post to it. Every event on it is
+  // sealed with the deal's session key (sealing.js), which the seller hands the buyer
+  // boxed to their key alongside the invite, so relays only ever carry ciphertext.
+
+  /**
+   * Issue the buyer of an offer on one of our listings an invite to the offer's deal
+   * channel, joining it ourselves. Backs Market's `deal_invite` RPC method. The invite
+   * is bound to the key that signed the offer, so only that buyer can use it, and
+   * comes with the deal's session key boxed to the same key.
+   * Throws an RpcError when there's no such offer or it was declined, withdrawn or
+   * lapsed.
+   */
+  async inviteToDeal (listingId, offerId) {
+    const offer = await this.awaitRecord(`${listingId}:${offerId}`)
+    if (!offer || offer.seller !== this.address || !offer.buyerKey) {
+      throw new RpcError(RPC_ERRORS.BAD_REQUEST, `no offer ${offerId} on a listing of ours`)
+    }
+    if (!LIVE_OFFER_STATUSES.includes(offer.status)) {
+      throw new RpcError(RPC_ERRORS.BAD_REQUEST, `offer ${offerId} is ${offer.status}`)
+    }
+    const entered = await this._enterDeal(offer)
+    if (!entered.ok) throw new RpcError(RPC_ERRORS.HANDLER_ERROR, `could not join ${entered.channel}`)
+    return {
+      channel: entered.channel,
+      invite: createInvite(entered.channel, offer.buyerKey, this.keyPair, DEAL_INVITE_TTL_MS),
+      sessionKey: boxFor(this.dealKeys.get(entered.channel), offer.buyerKey, this.keyPair)
+    }
+  }
+
+  /**
+   * Seal a deal event and send it on the offer's deal channel, joining it first.
+   * Fire-and-forget: the op behind it is already in Autobase.
+   */
+  async broadcastDeal (offer, event, fields) {
+    const entered = await this._enterDeal(offer)
+    if (entered.ok) this.sc.broadcast(entered.channel, this._sealDeal(entered.channel, event, fields))
+  }
+
+  /**
+   * Open a DEAL_SEALED message received on a deal channel we've joined.
+   * → the encoded inner event, or null if we hold no key for the channel or the
+   * message wasn't sealed with it.
+   */
+  unsealDeal (channel, sealed) {
+    const key = this.dealKeys.get(channel)
+    return key ? unseal(key, sealed) : null
+  }
+
+  // Join an offer's deal channel once per session. The seller designates itself as
+  // the channel's inviter; the buyer asks the seller for an invite over tracmarket and
+  // only accepts one signed by the listing's seller, together with a session key that
+  // the seller boxed for us. → { ok, channel, error? }
+  async _enterDeal (offer) {
+    const channel = dealChannel(offer.listingId, offer.id)
+    if (this.dealKeys.has(channel)) return { ok: true, channel }
+
+    let key
+    if (offer.seller === this.address) {
+      this.sc.setChannelInviter(channel, b4a.toString(this.keyPair.publicKey, 'hex'))
+      key = sessionKey(this.keyPair, channel)
+    } else {
+      let answer
+      try {
+        answer = await this.rpc.call('tracmarket', offer.seller, 'deal_invite', { listingId: offer.listingId, offerId: offer.id })
+      } catch (err) {
+        if (!(err instanceof RpcError)) throw err
+        return { ok: false, channel, error: err.code }
+      }
+      const inviter = answer?.invite?.payload?.inviterPubKey
+      if (answer.channel !== channel || typeof inviter !== 'string' || toAddress(inviter) !== offer.seller) {
+        return { ok: false, channel, error: 'BAD_INVITE' }
+      }
+      key = openBox(answer.sessionKey, inviter, this.keyPair)
+      if (!key) return { ok: false, channel, error: 'BAD_INVITE' }
+      this.sc.setChannelInviter(channel, inviter)
+      this.sc.acceptInvite(channel, answer.invite)
+    }
+
+    // The sidechannel refuses to join an invite-only channel without a valid invite.
+    if (!(await this.sc.addChannel(channel))) return { ok: false, channel, error: 'BAD_INVITE' }
+    this.dealKeys.set(channel, key)
+    return { ok: true, channel }
+  }
+
+  /**
+   * Wait for a record another peer has just appended to replicate to us: the buyer
+   * asks for an invite right after appending the offer, and gossip about a move can
+   * outrun the move itself.
+   * → the record once `accept(record)` holds, or null after `waitMs`.
+   */
+  async awaitRecord (key, accept = () => true, waitMs = DEAL_INVITE_WAIT_MS) {
+    const deadline = Date.now() + waitMs
+    while (true) {
+      const node = await this.view.get(key)
+      const record = node && JSON.parse(node.value)
+      if (record && accept(record)) return record
+      if (Date.now() >= deadline) return null
+      if (typeof this.base.update === 'function') await this.base.update()
+      await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS))
+    }
+  }
+
   // ── Helpers ───────────────────────────────────────────────────────────────
 
-  _ok (msg, data) {
+  // Stamp, sign and append an op. The signature is what apply() trusts for authorship;
+  // the nonce keeps two identical ops in the same millisecond from looking like a replay.
+  async _append (op) {
+    const signed = signOp({ ...op, ts: Date.now(), nonce: b4a.toString(crypto.randomBytes(8), 'hex') }, this.keyPair)
+    await this.base.append(JSON.stringify(signed))
+    return signed
+  }
+
+  // Wait until apply() has processed one of our own ops and return the record ID it
+  // left as the receipt (see `sig:` keys in contract.js); null on timeout, or when
+  // apply() processed the op but rejected it.
+  async _awaitReceipt (signed, timeoutMs = RECEIPT_TIMEOUT_MS) {
+    const key = `sig:${signed.sig}`
+    const deadline = Date.now() + timeoutMs
+    while (true) {
+      const node = await this.view.get(key)
+      if (node) return node.value === '1' ? null : node.value
+      if (Date.now() >= deadline) return null
+      if (typeof this.base.update === 'function') await this.base.update()
+      await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS))
+    }
+  }
+
+  // Walk an index range and yield the records its keys point at.
+  async * _records (scan) {
+    for await (const entry of this.view.createReadStream(scan)) {
+      const raw = await this.view.get(entry.value)
+      if (raw) yield { key: entry.key, record: JSON.parse(raw.value) }
+    }
+  }
+
+  // One page of an index scan. The cursor is an opaque token wrapping the last index
+  // key returned; it is bound to `tag` (list + sort) and must fall inside `scan`.
+  async _page (scan, { reverse = false, cursor, tag, limit, filter }) {
+    const size = Math.min(Math.max(1, parseInt(limit, 10) || 1), MAX_PAGE_SIZE)
+    const opts = { ...scan, reverse }
+    if (cursor) {
+      const after = decodeCursor(cursor, tag)
+      if (!after || after < scan.gte || after > scan.lte) return { error: 'Invalid or stale cursor' }
+      if (reverse) { delete opts.lte; opts.lt = after } else { delete opts.gte; opts.gt = after }
+    }
+
+    // Read one match past the page, so the last page comes back without a cursor.
+    const items = []
+    let lastKey = null
+    let more = false
+    for await (const { key, record } of this._records(opts)) {
+      if (filter && !filter(record)) continue
+      if (items.length >= size) { more = true; break }
+      items.push(record)
+      lastKey = key
+    }
+    return { items, cursor: more ? encodeCursor(tag, lastKey) : null }
+  }
+
+  // Deliver a negotiation event to the counterparty over RPC on the offer's deal
+  // channel so we learn whether it arrived. The op is in Autobase either way; an
+  // unacknowledged event only means the other side finds out when their view catches
+  // up. → { acked, error? }
+  async _notify (offer, event, fields) {
+    const entered = await this._enterDeal(offer)
+    if (!entered.ok) return { acked: false, error: entered.error }
+    const to = offer.seller === this.address ? offer.buyer : offer.seller
+    const message = JSON.parse(this._sealDeal(entered.channel, event, fields))
+    try {
+      await this.rpc.call(entered.channel, to, 'deal_event', message)
+      return { acked: true }
+    } catch (err) {
+      if (!(err instanceof RpcError)) throw err
+      return { acked: false, error: err.code }
+    }
+  }
+
+  // Encode a deal event and seal it for the channel → an encoded DEAL_SEALED.
+  _sealDeal (channel, event, fields) {
+    return encodeEvent('DEAL_SEALED', seal(this.dealKeys.get(channel), encodeEvent(event, fields)))
+  }
+
+  // Listing announcements are signed with this peer's sidechannel key so receivers can
+  // tell them apart from a peer claiming to be the seller. We only announce what apply()
+  // already took, so a sidechannel that can't sign costs the announcement, not the
+  // command. → null, or a warning for the command's result.
+  _announce (event, fields) {
+    try {
+      this.sc.broadcast('tracmarket', signAnnouncement(this.sc, 'tracmarket', event, fields))
+      return null
+    } catch (err) {
+      return `${event} not announced: ${err.message}`
+    }
+  }
+
+  // Text fields must fit the sidechannel event schema (events.js) or the op could be
+  // applied but never announced. Returns a reason or null.
+  _tooLong (fields) {
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue
+      if (typeof value !== 'string') return `${name} must be text`
+      if (value.length > LIMITS[name]) return `${name} must be at most ${LIMITS[name]} characters`
+    }
+    return null
+  }
+
+  // Seconds (as accepted on the command line) → ms for the contract. undefined when no
+  // TTL was given, false when the value is unusable.
+  _ttlMs (ttl) {
+    if (ttl === undefined || ttl === null) return undefined
+    if (typeof ttl !== 'number' || !(ttl > 0)) return false
+    return Math.round(ttl * 1000)
+  }
+
+  _ok (msg, data, extra) {
     const out = { ok: true }
     if (msg) out.message = msg
     if (data !== undefined) out.data = data
+    if (extra) Object.assign(out, extra)
     return out
   }
 
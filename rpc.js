@@ -0,0 +1,161 @@
+'use strict'
+
+/**
+ * TracMarket — Sidechannel RPC
+ *
+ * Request/response on top of fire-and-forget sidechannel broadcasts. A call is an
+ * RPC_REQUEST addressed (`to`) to one peer and carrying a correlation ID; that peer
+ * answers with an RPC_RESPONSE for the same ID. Unanswered requests are re-sent
+ * with the same ID, and the callee replays its cached answer instead of running the
+ * handler twice, so a retried call is never handled more than once.
+ *
+ * Failures reject with an RpcError whose `code` is one of RPC_ERRORS.
+ */
+
+const { EventEmitter } = require('events')
+const crypto = require('crypto')
+const { encodeEvent } = require('./events')
+
+const DEFAULT_TIMEOUT_MS = 3 * 1000 // per attempt
+const DEFAULT_RETRIES = 2
+const ANSWER_CACHE_SIZE = 500
+
+const RPC_ERRORS = {
+  TIMEOUT: 'TIMEOUT',               // no response after every attempt
+  SEND_FAILED: 'SEND_FAILED',       // the sidechannel refused the request
+  NO_HANDLER: 'NO_HANDLER',         // the callee doesn't serve this method
+  HANDLER_ERROR: 'HANDLER_ERROR',   // the callee's handler threw
+  BAD_REQUEST: 'BAD_REQUEST',       // the callee's handler rejected the params
+  CLOSED: 'CLOSED'                  // this side shut down while waiting
+}
+
+class RpcError extends Error {
+  constructor (code, message) {
+    super(message)
+    this.name = 'RpcError'
+    this.code = code
+  }
+}
+
+class SidechannelRpc extends EventEmitter {
+  /**
+   * @param {object} sidechannel  Intercom sidechannel (needs broadcast())
+   * @param {string} address      This peer's Trac address
+   * @param {object} [opts]       { timeoutMs, retries } defaults for call()
+   */
+  constructor (sidechannel, address, opts = {}) {
+    super()
+    this.sc = sidechannel
+    this.address = address
+    this.timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS
+    this.retries = opts.retries ?? DEFAULT_RETRIES
+
+    this.handlers = new Map() // method → async (params, { from, channel }) => result
+    this.pending = new Map()  // request id → { resolve, reject, to, timer }
+    this.answers = new Map()  // request id → encoded response (or in-flight promise), oldest first
+  }
+
+  /**
+   * Serve `method`. The handler's return value becomes the result; throwing an
+   * RpcError with code BAD_REQUEST reports bad params, anything else HANDLER_ERROR.
+   */
+  handle (method, fn) {
+    this.handlers.set(method, fn)
+  }
+
+  /**
+   * Call `method` on the peer at `to`, via `channel`. Resolves with the handler's
+   * result; rejects with an RpcError.
+   */
+  call (channel, to, method, params = {}, opts = {}) {
+    const id = crypto.randomBytes(12).toString('hex')
+    const timeoutMs = opts.timeoutMs || this.timeoutMs
+    const attempts = 1 + (opts.retries ?? this.retries)
+
+    return new Promise((resolve, reject) => {
+      const call = { resolve, reject, to, timer: null }
+      this.pending.set(id, call)
+
+      // Runs from a timer on retries, so a request that can't be encoded or sent must
+      // settle the call here rather than throw.
+      const send = attempt => {
+        let sent
+        try {
+          sent = this.sc.broadcast(channel, encodeEvent('RPC_REQUEST', {
+            id, method, from: this.address, to, params, attempt
+          }))
+        } catch (err) {
+          return this._settle(id, new RpcError(RPC_ERRORS.SEND_FAILED, `${method}: ${err.message}`))
+        }
+        if (sent === false && attempt === attempts) {
+          return this._settle(id, new RpcError(RPC_ERRORS.SEND_FAILED, `${method}: could not send on ${channel}`))
+        }
+        call.timer = setTimeout(() => {
+          if (attempt < attempts) send(attempt + 1)
+          else this._settle(id, new RpcError(RPC_ERRORS.TIMEOUT, `${method}: no response from ${to.slice(0, 12)}… after ${attempts} attempt${attempts === 1 ? '' : 's'}`))
+        }, timeoutMs)
+      }
+      send(1)
+    })
+  }
+
+  /**
+   * Feed an RPC_REQUEST or RPC_RESPONSE that arrived on `channel` (already decoded
+   * and validated by events.js). Messages addressed to other peers are ignored.
+   */
+  async receive (channel, msg) {
+    if (msg.to !== this.address) return
+    if (msg.event === 'RPC_RESPONSE') return this._onResponse(msg)
+    if (msg.event === 'RPC_REQUEST') return this._onRequest(channel, msg)
+  }
+
+  close () {
+    for (const id of [...this.pending.keys()]) {
+      this._settle(id, new RpcError(RPC_ERRORS.CLOSED, 'RPC layer closed'))
+    }
+  }
+
+  _onResponse (msg) {
+    const call = this.pending.get(msg.id)
+    if (!call || msg.from !== call.to) return
+    if (msg.ok) return this._settle(msg.id, null, msg.result)
+    const { code, message } = msg.error || {}
+    const known = Object.values(RPC_ERRORS).includes(code) ? code : RPC_ERRORS.HANDLER_ERROR
+    this._settle(msg.id, new RpcError(known, message || 'remote error'))
+  }
+
+  async _onRequest (channel, msg) {
+    const key = `${msg.from}:${msg.id}`
+    let answer = this.answers.get(key)
+    if (!answer) {
+      answer = this._answer(channel, msg)
+      this.answers.set(key, answer)
+      while (this.answers.size > ANSWER_CACHE_SIZE) this.answers.delete(this.answers.keys().next().value)
+    }
+    this.sc.broadcast(channel, await answer)
+  }
+
+  async _answer (channel, msg) {
+    const reply = fields => encodeEvent('RPC_RESPONSE', { id: msg.id, from: this.address, to: msg.from, ...fields })
+    const handler = this.handlers.get(msg.method)
+    if (!handler) return reply({ ok: false, error: { code: RPC_ERRORS.NO_HANDLER, message: `no handler for ${msg.method}` } })
+    try {
+      const result = await handler(msg.params || {}, { from: msg.from, channel })
+      return reply({ ok: true, result: result === undefined ? null : result })
+    } catch (err) {
+      const code = err instanceof RpcError ? err.code : RPC_ERRORS.HANDLER_ERROR
+      return reply({ ok: false, error: { code, message: String(err?.message ?? err).slice(0, 200) } })
+    }
+  }
+
+  _settle (id, err, result) {
+    const call = this.pending.get(id)
+    if (!call) return
+    this.pending.delete(id)
+    clearTimeout(call.timer)
+    if (err) call.reject(err)
+    else call.resolve(result)
+  }
+}
+
+module.exports = { SidechannelRpc, RpcError, RPC_ERRORS }
@@ -0,0 +1,101 @@
+'use strict'
+
+/**
+ * TracMarket — Deal Encryption
+ *
+ * Negotiation messages travel on deal channels as ciphertext, so relays and anyone
+ * else holding a copy of the payload learn nothing but the envelope. Each deal has a
+ * session key:
+ *
+ *   - The seller derives it from their own secret key and the channel name, so it
+ *     survives restarts without being stored.
+ *   - The seller hands it to the buyer in an authenticated box (X25519, converted
+ *     from both parties' Ed25519 signing keys). Only the buyer can open the box, and
+ *     opening it proves the seller sealed it.
+ *   - Every deal event is then sealed with the session key (XSalsa20-Poly1305) under
+ *     a fresh random nonce.
+ *
+ * Sealed values are { nonce: <hex>, box: <base64> }.
+ */
+
+const sodium = require('sodium-universal')
+const b4a = require('b4a')
+
+function curvePublicKey (edPublicKey) {
+  const out = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES)
+  sodium.crypto_sign_ed25519_pk_to_curve25519(out, toBuffer(edPublicKey))
+  return out
+}
+
+function curveSecretKey (edSecretKey) {
+  const out = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES)
+  sodium.crypto_sign_ed25519_sk_to_curve25519(out, toBuffer(edSecretKey))
+  return out
+}
+
+function toBuffer (key) {
+  return typeof key === 'string' ? b4a.from(key, 'hex') : key
+}
+
+function randomNonce (bytes) {
+  const nonce = b4a.alloc(bytes)
+  sodium.randombytes_buf(nonce)
+  return nonce
+}
+
+function unpack ({ nonce, box }, nonceBytes, macBytes) {
+  if (typeof nonce !== 'string' || typeof box !== 'string') return null
+  const n = b4a.from(nonce, 'hex')
+  const c = b4a.from(box, 'base64')
+  if (n.length !== nonceBytes || c.length < macBytes) return null
+  return { nonce: n, box: c }
+}
+
+// The seller's session key for a deal channel: a keyed hash of the channel name under
+// the seller's signing seed.
+function sessionKey (keyPair, channel) {
+  const key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES)
+  sodium.crypto_generichash(key, b4a.from(`tracmarket/deal-session/${channel}`), keyPair.secretKey.subarray(0, 32))
+  return key
+}
+
+// Authenticated box from `keyPair` to the holder of `recipientKey` (Ed25519 pubkey hex).
+function boxFor (plaintext, recipientKey, keyPair) {
+  const nonce = randomNonce(sodium.crypto_box_NONCEBYTES)
+  const box = b4a.alloc(plaintext.length + sodium.crypto_box_MACBYTES)
+  sodium.crypto_box_easy(box, plaintext, nonce, curvePublicKey(recipientKey), curveSecretKey(keyPair.secretKey))
+  return { nonce: b4a.toString(nonce, 'hex'), box: b4a.toString(box, 'base64') }
+}
+
+// Open a box sealed by `senderKey` (Ed25519 pubkey hex) for `keyPair`; null if it
+// doesn't authenticate.
+function openBox (sealed, senderKey, keyPair) {
+  const parts = unpack(sealed || {}, sodium.crypto_box_NONCEBYTES, sodium.crypto_box_MACBYTES)
+  if (!parts) return null
+  const plaintext = b4a.alloc(parts.box.length - sodium.crypto_box_MACBYTES)
+  try {
+    const ok = sodium.crypto_box_open_easy(plaintext, parts.box, parts.nonce, curvePublicKey(senderKey), curveSecretKey(keyPair.secretKey))
+    return ok ? plaintext : null
+  } catch {
+    return null // e.g. a sender key that isn't a valid curve point
+  }
+}
+
+function seal (key, text) {
+  const plaintext = b4a.from(text)
+  const nonce = randomNonce(sodium.crypto_secretbox_NONCEBYTES)
+  const box = b4a.alloc(plaintext.length + sodium.crypto_secretbox_MACBYTES)
+  sodium.crypto_secretbox_easy(box, plaintext, nonce, key)
+  return { nonce: b4a.toString(nonce, 'hex'), box: b4a.toString(box, 'base64') }
+}
+
+// → the sealed text, or null if it wasn't sealed with `key` or was altered.
+function unseal (key, sealed) {
+  const parts = unpack(sealed || {}, sodium.crypto_secretbox_NONCEBYTES, sodium.crypto_secretbox_MACBYTES)
+  if (!parts) return null
+  const plaintext = b4a.alloc(parts.box.length - sodium.crypto_secretbox_MACBYTES)
+  if (!sodium.crypto_secretbox_open_easy(plaintext, parts.box, parts.nonce, key)) return null
+  return b4a.toString(plaintext)
+}
+
+module.exports = { sessionKey, boxFor, openBox, seal, unseal }
@@ -0,0 +1,201 @@
+'use strict'
+
+/**
+ * TracMarket — Keyword Search
+ *
+ * An inverted index over listing `title`, `desc` and `tags`, maintained by apply()
+ * alongside the other secondary indexes:
+ *
+ *   ft:<term>:<listingId>     (active listings only; value is the listing ID)
+ *
+ * Queries support plain terms (all required), "exact phrases", prefix* terms and
+ * -negative terms. Results are ranked by field-weighted term frequency scaled by
+ * how rare each term is across the catalog.
+ */
+
+const { END } = require('./indexes')
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, desc: 1 }
+const MIN_TERM_LENGTH = 2
+const MAX_TERM_LENGTH = 32
+
+function tokenize (text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length >= MIN_TERM_LENGTH)
+    .map(t => t.slice(0, MAX_TERM_LENGTH))
+}
+
+function searchIndexKeys (listing) {
+  if (listing.status !== 'active') return []
+  const terms = new Set()
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    for (const term of tokenize(listing[field])) terms.add(term)
+  }
+  return [...terms].map(term => `ft:${term}:${listing.id}`)
+}
+
+/**
+ * Parse a query string:
+ *   keyboard mech*  "cherry mx"  -broken
+ * → { terms: [{ term, prefix }], phrases: [[word, …]], exclude: [{ term, prefix }] }
+ */
+function parseQuery (q) {
+  const query = { terms: [], phrases: [], exclude: [] }
+  const re = /(-?)"([^"]*)"|(-?)(\S+)/g
+  let m
+  while ((m = re.exec(String(q || ''))) !== null) {
+    if (m[2] !== undefined) {
+      const words = tokenize(m[2])
+      if (!words.length) continue
+      if (m[1]) query.exclude.push(...words.map(term => ({ term, prefix: false })))
+      else if (words.length === 1) query.terms.push({ term: words[0], prefix: false })
+      else query.phrases.push(words)
+      continue
+    }
+    const raw = m[4]
+    const prefix = raw.endsWith('*')
+    for (const term of tokenize(prefix ? raw.slice(0, -1) : raw)) {
+      (m[3] ? query.exclude : query.terms).push({ term, prefix })
+    }
+  }
+  return query
+}
+
+function postingRange ({ term, prefix }) {
+  return prefix
+    ? { gte: `ft:${term}`, lt: `ft:${term}${END}` }
+    : { gte: `ft:${term}:`, lt: `ft:${term}:${END}` }
+}
+
+// Listing IDs posted under a term (or every term sharing a prefix). Read in full:
+// a capped read would quietly drop matches from the intersection in search().
+async function postings (view, clause) {
+  const ids = new Set()
+  for await (const entry of view.createReadStream(postingRange(clause))) {
+    ids.add(entry.value)
+  }
+  return ids
+}
+
+function fieldTokens (listing) {
+  const out = {}
+  for (const field of Object.keys(FIELD_WEIGHTS)) out[field] = tokenize(listing[field])
+  return out
+}
+
+function matchesClause (tokens, { term, prefix }) {
+  return prefix ? tokens.some(t => t.startsWith(term)) : tokens.includes(term)
+}
+
+function containsPhrase (tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) return true
+  }
+  return false
+}
+
+// Field-weighted term frequency, each clause scaled by its idf, plus a bonus for
+// every phrase found in the title.
+function scoreTokens (tokens, clauses, phrases) {
+  let score = 0
+  for (const { clause, idf } of clauses) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const tf = tokens[field].filter(t => matchesClause([t], clause)).length
+      score += weight * tf * idf
+    }
+  }
+  for (const phrase of phrases) {
+    if (containsPhrase(tokens.title, phrase)) score += FIELD_WEIGHTS.title // exact title phrase bonus
+  }
+  return Math.round(score * 1000) / 1000
+}
+
+/**
+ * Run a parsed query against the view. `total` is the catalog size used to weigh
+ * rare terms above common ones. Returns [{ listing, score }] best first.
+ */
+async function search (view, query, { total = 1, filter } = {}) {
+  const required = [...query.terms, ...query.phrases.flat().map(term => ({ term, prefix: false }))]
+  if (!required.length) return []
+
+  // Intersect postings, smallest first, to get candidates that contain every term.
+  const lists = []
+  for (const clause of required) lists.push({ clause, ids: await postings(view, clause) })
+  lists.sort((a, b) => a.ids.size - b.ids.size)
+  let candidates = lists[0].ids
+  for (const { ids } of lists.slice(1)) candidates = new Set([...candidates].filter(id => ids.has(id)))
+
+  for (const clause of query.exclude) {
+    const excluded = await postings(view, clause)
+    candidates = new Set([...candidates].filter(id => !excluded.has(id)))
+  }
+
+  const results = []
+  for (const id of candidates) {
+    const raw = await view.get(id)
+    if (!raw) continue
+    const listing = JSON.parse(raw.value)
+    if (listing.status !== 'active') continue
+    if (filter && !filter(listing)) continue
+
+    const tokens = fieldTokens(listing)
+    const fields = Object.values(tokens)
+    if (!query.phrases.every(phrase => fields.some(field => containsPhrase(field, phrase)))) continue
+
+    const weighted = lists.map(({ clause, ids }) => ({ clause, idf: Math.log(1 + total / Math.max(1, ids.size)) }))
+    results.push({ listing, score: scoreTokens(tokens, weighted, query.phrases) })
+  }
+
+  results.sort((a, b) => b.score - a.score || b.listing.createdAt - a.listing.createdAt)
+  return results
+}
+
+/**
+ * Rank listings that are already in hand (e.g. merged from several peers) against a
+ * query string, using the same scoring as search() with term rarity measured within
+ * the set. Listings that don't match are dropped; without terms every listing
+ * matches with score 0. Returns [{ listing, score }] best first.
+ */
+function rank (listings, q) {
+  const query = parseQuery(q)
+  const required = [...query.terms, ...query.phrases.flat().map(term => ({ term, prefix: false }))]
+  const docs = listings.map(listing => ({ listing, tokens: fieldTokens(listing) }))
+  const has = (doc, clause) => Object.values(doc.tokens).some(field => matchesClause(field, clause))
+
+  const weighted = required.map(clause => {
+    const df = docs.filter(doc => has(doc, clause)).length
+    return { clause, idf: Math.log(1 + docs.length / Math.max(1, df)) }
+  })
+  const results = []
+  for (const doc of docs) {
+    if (!required.every(clause => has(doc, clause))) continue
+    if (query.exclude.some(clause => has(doc, clause))) continue
+    const fields = Object.values(doc.tokens)
+    if (!query.phrases.every(phrase => fields.some(field => containsPhrase(field, phrase)))) continue
+    results.push({ listing: doc.listing, score: scoreTokens(doc.tokens, weighted, query.phrases) })
+  }
+
+  results.sort((a, b) => b.score - a.score || b.listing.createdAt - a.listing.createdAt)
+  return results
+}
+
+// Every plain term of `keyword` appears somewhere in the listing's text fields.
+function matchesKeywords (listing, keyword) {
+  const words = tokenize(keyword)
+  const tokens = Object.values(fieldTokens(listing)).flat()
+  return words.every(word => tokens.includes(word))
+}
+
+// Does a listing satisfy a saved search (see `search_save`)? Unset criteria match anything.
+function matchesSavedSearch (saved, listing) {
+  if (saved.category && saved.category !== listing.category) return false
+  if (saved.minPrice !== null && saved.minPrice !== undefined && !(listing.price >= saved.minPrice)) return false
+  if (saved.maxPrice !== null && saved.maxPrice !== undefined && !(listing.price <= saved.maxPrice)) return false
+  return !saved.keywords || matchesKeywords(listing, saved.keywords)
+}
+
+module.exports = { tokenize, searchIndexKeys, parseQuery, search, rank, matchesKeywords, matchesSavedSearch }
@@ -0,0 +1,90 @@
+'use strict'
+
+/**
+ * TracMarket — Settlement
+ *
+ * apply() keeps the escrow ledger (holds per deal, balances per address; see the
+ * escrow ops in contract.js) but cannot move value itself: it must stay a pure
+ * function of the log. A settlement backend moves the value the ledger describes.
+ * TracMarketProtocol calls it around the escrow ops:
+ *
+ *   lock (ref, from, amount)    before `escrow_fund`: take `amount` from `from` and
+ *                               hold it under `ref` (the deal ID)
+ *   unlock (ref, from)          after apply() refused `escrow_fund`: give `from` back
+ *                               a hold nothing was paid out of
+ *   payout (ref, to, amount)    after a release, refund or ruling has applied: pay
+ *                               `to` a total of `amount` out of the hold
+ *   transfer (ref, from, to, amount)
+ *                               after `return_approve` has applied on a deal the
+ *                               escrow paid for: send the refund from the seller
+ *                               to the buyer
+ *   balanceOf (address)         spendable funds, for display
+ *
+ * The moving calls must be idempotent — a retry with the same arguments is a no-op —
+ * so a peer can safely re-run one after a crash or a timeout. They reject with an Error
+ * whose message says why (no funds, unknown hold, overdrawn hold).
+ *
+ * MemorySettlement is a stand-in that keeps wallets in memory. Share one instance
+ * between the peers of a local market to run escrow end to end without a chain.
+ */
+
+class MemorySettlement {
+  /**
+   * @param {object} [wallets] { <address>: <starting balance> }
+   */
+  constructor (wallets = {}) {
+    this.wallets = new Map(Object.entries(wallets))
+    this.holds = new Map() // ref → { from, amount, paid: Map<address, amount> }
+    this.transfers = new Map() // ref → { from, to, amount }
+  }
+
+  balanceOf (address) {
+    return this.wallets.get(address) || 0
+  }
+
+  async lock (ref, from, amount) {
+    const hold = this.holds.get(ref)
+    if (hold) {
+      if (hold.from === from && hold.amount === amount) return
+      throw new Error(`${ref} is already funded`)
+    }
+    if (this.balanceOf(from) < amount) throw new Error(`insufficient funds: ${this.balanceOf(from)} available, ${amount} needed`)
+    this.wallets.set(from, this.balanceOf(from) - amount)
+    this.holds.set(ref, { from, amount, paid: new Map() })
+  }
+
+  async unlock (ref, from) {
+    const hold = this.holds.get(ref)
+    if (!hold) return
+    if (hold.from !== from) throw new Error(`${ref} was funded by someone else`)
+    if (hold.paid.size) throw new Error(`${ref} has already paid out`)
+    this.holds.delete(ref)
+    this.wallets.set(from, this.balanceOf(from) + hold.amount)
+  }
+
+  async payout (ref, to, amount) {
+    const hold = this.holds.get(ref)
+    if (!hold) throw new Error(`no funds held for ${ref}`)
+    const already = hold.paid.get(to) || 0
+    if (amount <= already) return
+    let paid = 0
+    for (const value of hold.paid.values()) paid += value
+    if (paid + amount - already > hold.amount) throw new Error(`payout exceeds the ${hold.amount} held for ${ref}`)
+    hold.paid.set(to, amount)
+    this.wallets.set(to, this.balanceOf(to) + amount - already)
+  }
+
+  async transfer (ref, from, to, amount) {
+    const done = this.transfers.get(ref)
+    if (done) {
+      if (done.from === from && done.to === to && done.amount === amount) return
+      throw new Error(`${ref} was already transferred`)
+    }
+    if (this.balanceOf(from) < amount) throw new Error(`insufficient funds: ${this.balanceOf(from)} available, ${amount} needed`)
+    this.wallets.set(from, this.balanceOf(from) - amount)
+    this.wallets.set(to, this.balanceOf(to) + amount)
+    this.transfers.set(ref, { from, to, amount })
+  }
+}
+
+module.exports = { MemorySettlement }
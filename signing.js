@@ -0,0 +1,77 @@
+'use strict'
+
+/**
+ * TracMarket — Op Signing
+ *
+ * Every op TracMarketProtocol appends is signed by the authoring peer over a
+ * canonical encoding of its payload. apply() verifies the signature and derives
+ * the acting address from the signing key instead of trusting self-reported
+ * fields like `seller` or `owner`.
+ *
+ * Signed entry shape:  { ...payload, author: <pubkey hex>, sig: <ed25519 sig hex> }
+ *
+ * The same keys sign sidechannel invites (createInvite), which the sidechannel
+ * feature checks with `_verifyInviteForKey`.
+ */
+
+const crypto = require('hypercore-crypto')
+const b4a = require('b4a')
+
+// Key order must not matter: the signer and every verifier serialize the same way.
+function canonicalize (value) {
+  if (value === null || value === undefined) return 'null'
+  if (typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort()
+  return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`
+}
+
+// A Trac address is the first 40 hex chars of the peer's public key (see index.js).
+function toAddress (publicKey) {
+  const hex = typeof publicKey === 'string' ? publicKey : b4a.toString(publicKey, 'hex')
+  return hex.toLowerCase().slice(0, 40)
+}
+
+function signOp (payload, keyPair) {
+  const body = { ...payload, author: b4a.toString(keyPair.publicKey, 'hex') }
+  const sig = crypto.sign(b4a.from(canonicalize(body)), keyPair.secretKey)
+  return { ...body, sig: b4a.toString(sig, 'hex') }
+}
+
+/**
+ * Verify a signed entry. Returns the author's address, or null when the entry
+ * is unsigned, malformed or the signature does not match.
+ */
+function verifyOp (entry) {
+  if (!entry || typeof entry.author !== 'string' || typeof entry.sig !== 'string') return null
+  if (!/^[0-9a-f]{64}$/.test(entry.author) || !/^[0-9a-f]{128}$/.test(entry.sig)) return null
+  const { sig, ...body } = entry
+  try {
+    const ok = crypto.verify(b4a.from(canonicalize(body)), b4a.from(sig, 'hex'), b4a.from(entry.author, 'hex'))
+    return ok ? toAddress(entry.author) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * A signed sidechannel invite admitting `inviteeKey` (pubkey hex) to `channel` for
+ * `ttlMs` — the same shape `/sc_invite` prints: { payload, sig }.
+ */
+function createInvite (channel, inviteeKey, keyPair, ttlMs) {
+  const issuedAt = Date.now()
+  const payload = {
+    channel,
+    inviteePubKey: inviteeKey.toLowerCase(),
+    inviterPubKey: b4a.toString(keyPair.publicKey, 'hex'),
+    inviterAddress: toAddress(keyPair.publicKey),
+    issuedAt,
+    expiresAt: issuedAt + ttlMs,
+    nonce: b4a.toString(crypto.randomBytes(8), 'hex'),
+    version: 1
+  }
+  const sig = crypto.sign(b4a.from(canonicalize(payload)), keyPair.secretKey)
+  return { payload, sig: b4a.toString(sig, 'hex') }
+}
+
+module.exports = { canonicalize, toAddress, signOp, verifyOp, createInvite }
@@ -0,0 +1,80 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { signAnnouncement } = require('../events')
+const { createPeer, createMarket, createProtocol, createSidechannel, joinMarket } = require('./helpers')
+
+const announced = (protocol, event) => protocol.sc.sent.filter(({ msg }) => msg.event === event).map(({ msg }) => msg)
+
+test('announcements: a listing post must be signed by its seller', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const other = createPeer()
+  const protocol = createProtocol(market, seller)
+  const observer = joinMarket(market, createPeer())
+  t.after(() => observer.close())
+
+  assert.strictEqual((await protocol.handle({ op: 'listing_post', title: 'Lamp', price: 40 })).ok, true)
+  const [post] = announced(protocol, 'LISTING_POST')
+  assert.strictEqual(await observer._checkAnnouncement(post), null)
+
+  assert.strictEqual(await observer._checkAnnouncement({ ...post, price: 1 }), 'bad_signature')
+  const { v, event, auth, ...fields } = post
+  const forged = JSON.parse(signAnnouncement(createSidechannel(other.keyPair), 'tracmarket', 'LISTING_POST', fields))
+  assert.strictEqual(await observer._checkAnnouncement(forged), 'not_seller')
+})
+
+test('announcements: a replayed post or change cannot roll a listing back', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const protocol = createProtocol(market, seller)
+  const observer = joinMarket(market, createPeer())
+  t.after(() => observer.close())
+
+  const { data: { id } } = await protocol.handle({ op: 'listing_post', title: 'Lamp', price: 40 })
+  const [post] = announced(protocol, 'LISTING_POST')
+  await new Promise(resolve => setTimeout(resolve, 2))
+  await protocol.handle({ op: 'listing_update', id, price: 35 })
+  await new Promise(resolve => setTimeout(resolve, 2))
+  await protocol.handle({ op: 'listing_update', id, price: 30 })
+  const [first, second] = announced(protocol, 'LISTING_UPDATE')
+
+  assert.strictEqual(await observer._checkAnnouncement(post), 'stale', 'signed before the latest change in the view')
+  assert.strictEqual(await observer._checkAnnouncement(first), 'stale')
+  assert.strictEqual(await observer._checkAnnouncement(second), null)
+  observer._remember(post)
+  observer._remember(second)
+  assert.strictEqual(await observer._checkAnnouncement(first), 'stale', 'signed before the change we hold')
+
+  // A post the seller re-signs now still has to agree with the view.
+  const fresh = (fields) => JSON.parse(signAnnouncement(protocol.sc, 'tracmarket', 'LISTING_POST', fields))
+  const { v, event, auth, ...fields } = post
+  observer.announcements.get(id).change = null
+  const listing = (await protocol.handle({ op: 'listing_get', id })).data
+  assert.strictEqual(await observer._checkAnnouncement(fresh({ ...fields, price: 30, updatedAt: listing.updatedAt })), null)
+  assert.strictEqual(await observer._checkAnnouncement(fresh(fields)), 'contradicts_view', 'old price')
+
+  await protocol.handle({ op: 'listing_remove', id })
+  assert.strictEqual(await observer._checkAnnouncement(fresh({ ...fields, price: 30, updatedAt: listing.updatedAt })), 'contradicts_view', 'no longer active')
+})
+
+test('announcements: a sidechannel that cannot sign costs the announcement, not the command', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const protocol = createProtocol(market, seller)
+  protocol.sc.peer = {}
+
+  const res = await protocol.handle({ op: 'listing_post', title: 'Lamp', price: 40 })
+  assert.strictEqual(res.ok, true)
+  assert.match(res.warning, /LISTING_POST not announced: Sidechannel has no wallet/)
+  assert.strictEqual((await market.get(res.data.id)).status, 'active')
+  assert.deepStrictEqual(announced(protocol, 'LISTING_POST'), [])
+
+  const removed = await protocol.handle({ op: 'listing_remove', id: res.data.id })
+  assert.strictEqual(removed.ok, true)
+  assert.match(removed.warning, /LISTING_REMOVE not announced/)
+})
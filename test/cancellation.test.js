@@ -0,0 +1,82 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { CANCELLATION_STATUS, OFFER_STATUS } = require('../contract')
+const { createPeer, createMarket, createProtocol } = require('./helpers')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const lamp = { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' }
+
+async function sold (market, seller, buyer, listingId) {
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 40 })
+  return market.op(seller, { op: 'offer_accept', listingId, offerId })
+}
+
+test('cancellation: both parties call the deal off and the item is relisted', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer, rival] = [createPeer(), createPeer(), createPeer()]
+  const listingId = await market.op(seller, lamp)
+  const stale = await market.op(rival, { op: 'offer_send', listingId, amount: 30 })
+  const dealId = await sold(market, seller, buyer, listingId)
+
+  assert.strictEqual(await market.op(buyer, { op: 'deal_cancel_confirm', dealId }), null, 'nothing to confirm yet')
+  assert.strictEqual(await market.op(rival, { op: 'deal_cancel_request', dealId }), null, 'parties only')
+  assert.strictEqual(await market.op(buyer, { op: 'deal_cancel_request', dealId, reason: 'changed my mind' }), dealId)
+  assert.strictEqual(await market.op(buyer, { op: 'deal_cancel_confirm', dealId }), null, 'the other party confirms')
+  assert.strictEqual(await market.op(seller, { op: 'deal_cancel_confirm', dealId }), dealId)
+
+  const deal = await market.get(dealId)
+  assert.strictEqual(deal.cancellation.status, CANCELLATION_STATUS.CANCELLED)
+  assert.strictEqual(deal.cancellation.confirmedBy, seller.address)
+  const listing = await market.get(listingId)
+  assert.strictEqual(listing.status, 'active')
+  assert.strictEqual(listing.dealId, undefined)
+  assert.strictEqual(listing.relistedAt, deal.cancellation.cancelledAt)
+  assert.strictEqual((await market.get(`${listingId}:${stale}`)).status, OFFER_STATUS.EXPIRED, 'made against the sale that fell through')
+  assert.strictEqual(await market.op(buyer, { op: 'deal_ship', dealId }), null, 'a cancelled deal takes no deal ops')
+  assert.ok(await sold(market, seller, rival, listingId), 'the relisted item sells again')
+})
+
+test('cancellation: a relist whose deadline passed while sold gets a fresh TTL', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer] = [createPeer(), createPeer()]
+  const listingId = await market.op(seller, { ...lamp, ttlMs: 2 * DAY_MS })
+  const dealId = await sold(market, seller, buyer, listingId)
+
+  await market.tick(5 * DAY_MS)
+  await market.op(buyer, { op: 'deal_cancel_request', dealId })
+  await market.op(seller, { op: 'deal_cancel_confirm', dealId })
+  const now = await market.get('currentTime')
+  assert.strictEqual((await market.get(listingId)).expiresAt, now + 2 * DAY_MS)
+
+  await market.tick(DAY_MS)
+  assert.strictEqual((await market.get(listingId)).status, 'active')
+  await market.tick(2 * DAY_MS)
+  assert.strictEqual((await market.get(listingId)).status, 'expired')
+})
+
+test('cancellation: the market hears the item is available only when it was relisted', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer] = [createPeer(), createPeer()]
+  const protocol = createProtocol(market, seller)
+  Object.assign(protocol.rpc, { timeoutMs: 20, retries: 0 })
+  const cancelled = () => protocol.sc.sent.filter(({ msg }) => msg.event === 'DEAL_CANCELLED').map(({ msg }) => msg.dealId)
+
+  const relisted = await sold(market, seller, buyer, await market.op(seller, lamp))
+  await market.op(buyer, { op: 'deal_cancel_request', dealId: relisted })
+  assert.match((await protocol.handle({ op: 'deal_cancel_confirm', deal_id: relisted })).message, /back on the market/)
+  assert.deepStrictEqual(cancelled(), [relisted])
+
+  const listingId = await market.op(seller, lamp)
+  const removed = await sold(market, seller, buyer, listingId)
+  await market.op(seller, { op: 'listing_remove', id: listingId })
+  await market.op(buyer, { op: 'deal_cancel_request', dealId: removed })
+  const res = await protocol.handle({ op: 'deal_cancel_confirm', deal_id: removed })
+  assert.strictEqual(res.message, `${removed} cancelled`)
+  assert.strictEqual((await market.get(listingId)).status, 'removed')
+  assert.deepStrictEqual(cancelled(), [relisted])
+})
@@ -0,0 +1,42 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { encodeEvent } = require('../events')
+const { createPeer, createMarket, createProtocol, joinMarket } = require('./helpers')
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+test('catalog: deal notices move known listings only as far as the view agrees', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bus = new Set()
+  const protocol = createProtocol(market, seller, { bus })
+  const observer = joinMarket(market, createPeer(), { bus })
+  t.after(() => observer.close())
+  const notice = (event, fields) => observer._onSidechannelMessage('tracmarket', encodeEvent(event, fields), 'someone')
+
+  const { data: { id: listingId } } = await protocol.handle({ op: 'listing_post', title: 'Lamp', price: 40 })
+  await settle()
+  assert.strictEqual(observer.knownListings.get(listingId).status, 'active')
+  assert.ok((await observer._catalog()).has(listingId))
+
+  await notice('DEAL_CLOSED', { listingId })
+  assert.strictEqual(observer.knownListings.get(listingId).status, 'active', 'the view still has it for sale')
+
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 40 })
+  const dealId = await market.op(seller, { op: 'offer_accept', listingId, offerId })
+  assert.ok(!(await observer._catalog()).has(listingId), 'sold in the view, so not vouched for')
+  await notice('DEAL_CLOSED', { listingId })
+  assert.strictEqual(observer.knownListings.get(listingId).status, 'sold')
+
+  await notice('DEAL_CANCELLED', { listingId, dealId })
+  assert.strictEqual(observer.knownListings.get(listingId).status, 'sold', 'not relisted in the view')
+  await market.op(seller, { op: 'deal_cancel_request', dealId })
+  await market.op(buyer, { op: 'deal_cancel_confirm', dealId })
+  await notice('DEAL_CANCELLED', { listingId, dealId })
+  assert.strictEqual(observer.knownListings.get(listingId).status, 'active')
+  assert.ok((await observer._catalog()).has(listingId))
+})
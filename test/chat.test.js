@@ -0,0 +1,40 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { dealChannel } = require('../events')
+const { pad } = require('../indexes')
+const { sessionKey, seal } = require('../sealing')
+const { createPeer, createMarket, createProtocol } = require('./helpers')
+
+test('chat: threads are sealed, numbered per offer and listed most recent first', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, early, late, stranger] = [createPeer(), createPeer(), createPeer(), createPeer()]
+  const listingId = await market.op(seller, { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' })
+  const first = await market.op(early, { op: 'offer_send', listingId, amount: 30 })
+  const second = await market.op(late, { op: 'offer_send', listingId, amount: 35 })
+  const say = (peer, offerId, text) => market.op(peer, {
+    op: 'deal_message', listingId, offerId, sealed: seal(sessionKey(seller.keyPair, dealChannel(listingId, offerId)), text)
+  })
+  const protocol = createProtocol(market, seller)
+  const inbox = async (opts) => (await protocol.handle({ op: 'deal_inbox', ...opts })).data.map(thread => [thread.offerId, thread.unread])
+
+  assert.strictEqual(await say(stranger, first, 'hello?'), null, 'parties only')
+  assert.strictEqual(await market.op(early, { op: 'deal_message', listingId, offerId: first, sealed: { nonce: 'x', box: 'hi' } }), null)
+  assert.strictEqual(await say(early, first, 'Is it brass?'), 'MSG-001')
+  await say(late, second, 'Can you ship?')
+  assert.deepStrictEqual(await inbox(), [[second, 1], [first, 1]])
+
+  await say(seller, first, 'Yes, solid brass')
+  assert.deepStrictEqual(await inbox(), [[first, 0], [second, 1]], 'replying reads the thread')
+
+  const thread = await protocol.handle({ op: 'deal_thread', listing_id: listingId, offer_id: first })
+  assert.deepStrictEqual(thread.data.map(message => [message.seq, message.from, message.text]), [[1, early.address, 'Is it brass?'], [2, seller.address, 'Yes, solid brass']])
+  assert.strictEqual(thread.unread, 0)
+  assert.strictEqual((await market.get(`msg:${listingId}:${first}:${pad(1)}`)).sealed.box.includes('brass'), false)
+
+  await protocol.handle({ op: 'deal_read', listing_id: listingId, offer_id: second })
+  assert.deepStrictEqual(await inbox({ unread_only: true }), [])
+  assert.strictEqual((await protocol.handle({ op: 'deal_inbox' })).data.length, 2)
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('hypercore-crypto')
+const b4a = require('b4a')
+const { dealChannel } = require('../events')
+const { RPC_ERRORS } = require('../rpc')
+const { sessionKey, openBox } = require('../sealing')
+const { canonicalize } = require('../signing')
+const { createPeer, createMarket, joinMarket } = require('./helpers')
+
+const hex = key => b4a.toString(key, 'hex')
+
+test('deal channels: the seller invites only the key that signed the offer', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer, rival] = [createPeer(), createPeer(), createPeer()]
+  const bus = new Set()
+  const sellerSide = joinMarket(market, seller, { bus })
+  const buyerSide = joinMarket(market, buyer, { bus })
+  const rivalSide = joinMarket(market, rival, { bus })
+  t.after(() => { sellerSide.close(); buyerSide.close(); rivalSide.close() })
+  for (const side of [buyerSide, rivalSide]) Object.assign(side.protocol.rpc, { timeoutMs: 200, retries: 0 })
+
+  const listingId = await market.op(seller, { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' })
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 35 })
+  const channel = dealChannel(listingId, offerId)
+
+  const { invite, sessionKey: boxed, ...answer } = await sellerSide.protocol.inviteToDeal(listingId, offerId)
+  assert.strictEqual(answer.channel, channel)
+  assert.strictEqual(invite.payload.inviteePubKey, hex(buyer.keyPair.publicKey))
+  assert.strictEqual(invite.payload.inviterPubKey, hex(seller.keyPair.publicKey))
+  assert.ok(crypto.verify(b4a.from(canonicalize(invite.payload)), b4a.from(invite.sig, 'hex'), seller.keyPair.publicKey))
+  assert.ok(b4a.equals(openBox(boxed, invite.payload.inviterPubKey, buyer.keyPair), sessionKey(seller.keyPair, channel)))
+  assert.strictEqual(openBox(boxed, invite.payload.inviterPubKey, rival.keyPair), null, 'boxed to the buyer alone')
+
+  // Over RPC: the buyer gets in, a rival asking for the same offer can't open the key.
+  const offer = await market.get(`${listingId}:${offerId}`)
+  assert.deepStrictEqual(await buyerSide.protocol._enterDeal(offer), { ok: true, channel })
+  assert.ok(b4a.equals(buyerSide.protocol.dealKeys.get(channel), sellerSide.protocol.dealKeys.get(channel)))
+  assert.deepStrictEqual(await rivalSide.protocol._enterDeal(offer), { ok: false, channel, error: 'BAD_INVITE' })
+  assert.strictEqual(rivalSide.protocol.dealKeys.has(channel), false)
+
+  await market.op(seller, { op: 'offer_decline', listingId, offerId })
+  await assert.rejects(sellerSide.protocol.inviteToDeal(listingId, offerId), { code: RPC_ERRORS.BAD_REQUEST, message: /is declined/ })
+  await assert.rejects(buyerSide.protocol.inviteToDeal(listingId, offerId), { code: RPC_ERRORS.BAD_REQUEST, message: /no offer/ })
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { DISPUTE_STATUS, ESCROW_STATUS, ESCROW_RELEASE_MS, FULFILLMENT_STATUS } = require('../contract')
+const { MemorySettlement } = require('../settlement')
+const { encodeEvent } = require('../events')
+const { OTHER_WRITER, createPeer, createMarket, joinMarket, sell } = require('./helpers')
+
+test('disputes: the bootstrap writer names the arbitrators and its signer owns them', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const owner = createPeer()
+  const trader = createPeer()
+  const [a1, a2] = [createPeer(), createPeer()]
+
+  await market.op(trader, { op: 'arbitrators_set', arbitrators: [trader.address] }, { writer: OTHER_WRITER })
+  assert.strictEqual(await market.get('config:arbitrators'), null, 'first come is not first served')
+
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [a1.address] })
+  await market.op(trader, { op: 'arbitrators_set', arbitrators: [trader.address] })
+  assert.deepStrictEqual((await market.get('config:arbitrators')).arbitrators, [a1.address])
+
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [a1.address, a2.address, a2.address] }, { writer: OTHER_WRITER })
+  const config = await market.get('config:arbitrators')
+  assert.strictEqual(config.owner, owner.address)
+  assert.deepStrictEqual(config.arbitrators, [a1.address, a2.address])
+})
+
+test('disputes: an open case freezes the deal until the arbitrator splits the escrow', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [owner, seller, buyer, arbitrator] = [createPeer(), createPeer(), createPeer(), createPeer()]
+  const bank = new MemorySettlement({ [buyer.address]: 100 })
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [arbitrator.address, seller.address] })
+  const dealId = await sell(market, seller, buyer, { price: 100 })
+  await bank.lock(dealId, buyer.address, 100)
+  await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 })
+  await market.op(seller, { op: 'deal_ship', dealId })
+
+  assert.strictEqual(await market.op(owner, { op: 'dispute_open', dealId, reason: 'not mine' }), null, 'parties only')
+  assert.strictEqual(await market.op(buyer, { op: 'dispute_open', dealId, reason: 'arrived broken', evidence: 'photo' }), dealId)
+  assert.strictEqual(await market.op(seller, { op: 'dispute_open', dealId, reason: 'again' }), null, 'one case per deal')
+
+  const dispute = await market.get(`dispute:${dealId}`)
+  assert.strictEqual(dispute.arbitrator, arbitrator.address, 'never a party to the deal')
+  assert.strictEqual(dispute.status, DISPUTE_STATUS.OPEN)
+  await market.tick(ESCROW_RELEASE_MS + 1)
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId }), null)
+
+  assert.strictEqual(await market.op(seller, { op: 'dispute_rule', dealId, outcome: 'release' }), null, 'only the arbitrator rules')
+  assert.strictEqual(await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'split', buyerAmount: 100 }), null)
+  assert.strictEqual(await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'split', buyerAmount: 30, note: 'shared fault' }), dealId)
+  assert.strictEqual(await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'refund' }), null, 'ruled once')
+
+  const hold = await market.get(`hold:${dealId}`)
+  assert.strictEqual(hold.status, ESCROW_STATUS.SPLIT)
+  for (const [to, amount] of Object.entries(hold.payouts)) await bank.payout(dealId, to, amount)
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 0, received: 30 })
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 70 })
+  assert.strictEqual(bank.balanceOf(buyer.address), 30)
+  assert.strictEqual(bank.balanceOf(seller.address), 70)
+
+  const ruled = await market.get(`dispute:${dealId}`)
+  assert.strictEqual(ruled.ruling.settled, true)
+  assert.deepStrictEqual(
+    (await auditTrail(market, dealId)).map(step => [step.action, step.by]),
+    [['opened', buyer.address], ['evidence', buyer.address], ['ruled', arbitrator.address]]
+  )
+  for (const party of [buyer, seller]) {
+    assert.deepStrictEqual((await market.get(`rep:${party.address}`)).disputes, { won: 0, lost: 0, split: 1 })
+  }
+})
+
+test('disputes: a deal stays open to completion only after its case is ruled', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [owner, seller, buyer, arbitrator] = [createPeer(), createPeer(), createPeer(), createPeer()]
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [arbitrator.address] })
+  const dealId = await sell(market, seller, buyer, { price: 50 })
+  await market.op(buyer, { op: 'deal_confirm_received', dealId })
+  await market.op(buyer, { op: 'dispute_open', dealId, reason: 'missing parts' })
+
+  assert.strictEqual(await market.op(seller, { op: 'deal_complete', dealId }), null)
+  await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'release' })
+  assert.strictEqual(await market.op(seller, { op: 'deal_complete', dealId }), dealId)
+  assert.strictEqual((await market.get(dealId)).fulfillment.status, FULFILLMENT_STATUS.COMPLETED)
+})
+
+test('disputes: a ruling on an unfunded escrow moves nothing and leaves reputation alone', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [owner, seller, buyer, arbitrator] = [createPeer(), createPeer(), createPeer(), createPeer()]
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [arbitrator.address] })
+  const dealId = await sell(market, seller, buyer, { price: 50 })
+
+  await market.op(seller, { op: 'dispute_open', dealId, reason: 'buyer never paid' })
+  assert.strictEqual(await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'release' }), dealId)
+
+  const { ruling } = await market.get(`dispute:${dealId}`)
+  assert.strictEqual(ruling.settled, false)
+  assert.strictEqual((await auditTrail(market, dealId)).at(-1).settled, false)
+  assert.strictEqual((await market.get(dealId)).escrow.status, ESCROW_STATUS.UNFUNDED)
+  assert.strictEqual(await market.get(`hold:${dealId}`), null)
+  assert.strictEqual(await market.get(`rep:${seller.address}`), null)
+  assert.strictEqual(await market.get(`rep:${buyer.address}`), null)
+})
+
+async function auditTrail (market, dealId) {
+  const steps = []
+  for await (const node of market.view.createReadStream({ gt: `audit:${dealId}:`, lt: `audit:${dealId};` })) {
+    steps.push(JSON.parse(node.value))
+  }
+  return steps
+}
+
+test('disputes: a notice raises an alert only once the view holds the case it describes', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [owner, seller, buyer, arbitrator] = [createPeer(), createPeer(), createPeer(), createPeer()]
+  await market.op(owner, { op: 'arbitrators_set', arbitrators: [arbitrator.address] })
+  const dealId = await sell(market, seller, buyer)
+  const judge = joinMarket(market, arbitrator)
+  t.after(() => judge.close())
+  const alerts = []
+  judge.on('alert', alert => alerts.push(alert))
+  const notice = (event, fields) => judge._onSidechannelMessage('tracmarket', encodeEvent(event, { dealId, arbitrator: arbitrator.address, to: [arbitrator.address], ...fields }), 'someone')
+
+  await market.op(buyer, { op: 'dispute_open', dealId, reason: 'never arrived' })
+  await notice('DISPUTE_OPENED', { openedBy: buyer.address })
+  assert.deepStrictEqual(alerts.map(alert => alert.event), ['DISPUTE_OPENED'])
+
+  await Promise.all([
+    notice('DISPUTE_OPENED', { openedBy: seller.address }),
+    notice('DISPUTE_RULED', { outcome: 'refund' })
+  ])
+  assert.strictEqual(alerts.length, 1)
+  assert.strictEqual(judge.rejected.contradicts_view, 2)
+
+  await market.op(arbitrator, { op: 'dispute_rule', dealId, outcome: 'refund' })
+  await notice('DISPUTE_RULED', { outcome: 'refund' })
+  assert.deepStrictEqual(alerts.map(alert => [alert.event, alert.outcome]), [['DISPUTE_OPENED', undefined], ['DISPUTE_RULED', 'refund']])
+})
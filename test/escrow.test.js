@@ -0,0 +1,142 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { ESCROW_STATUS, ESCROW_RELEASE_MS } = require('../contract')
+const { MemorySettlement } = require('../settlement')
+const { OTHER_WRITER, createPeer, createMarket, createProtocol, sell } = require('./helpers')
+
+test('escrow: funding holds exactly the agreed price', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const dealId = await sell(market, seller, buyer, { price: 100 })
+
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_fund', dealId, amount: 90 }), null)
+  assert.strictEqual(await market.op(seller, { op: 'escrow_fund', dealId, amount: 100 }), null, 'only the buyer funds')
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 }), dealId)
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 }), null, 'funded once')
+
+  const deal = await market.get(dealId)
+  assert.strictEqual(deal.escrow.status, ESCROW_STATUS.FUNDED)
+  assert.strictEqual(deal.escrow.releaseAt - deal.escrow.fundedAt, ESCROW_RELEASE_MS)
+  assert.deepStrictEqual(await market.get(`hold:${dealId}`), {
+    dealId, buyer: buyer.address, seller: seller.address, amount: 100, status: ESCROW_STATUS.FUNDED, fundedAt: deal.escrow.fundedAt
+  })
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 100, received: 0 })
+})
+
+test('escrow: the buyer releases to the seller and the settlement pays it out', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 250 })
+  const dealId = await sell(market, seller, buyer, { price: 100 })
+
+  await bank.lock(dealId, buyer.address, 100)
+  await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 })
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_release', dealId }), dealId)
+
+  const hold = await market.get(`hold:${dealId}`)
+  assert.strictEqual(hold.status, ESCROW_STATUS.RELEASED)
+  assert.deepStrictEqual(hold.payouts, { [seller.address]: 100 })
+  for (const [to, amount] of Object.entries(hold.payouts)) await bank.payout(dealId, to, amount)
+  await bank.payout(dealId, seller.address, 100) // a retried payout is a no-op
+
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 0, received: 0 })
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 100 })
+  assert.strictEqual(bank.balanceOf(buyer.address), 150)
+  assert.strictEqual(bank.balanceOf(seller.address), 100)
+  await assert.rejects(bank.payout(dealId, buyer.address, 1), /exceeds the 100 held/)
+})
+
+test('escrow: the seller refunds, or collects only after the release timeout', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 200 })
+  const refunded = await sell(market, seller, buyer, { price: 60 })
+  const collected = await sell(market, seller, buyer, { price: 80 })
+  for (const [dealId, amount] of [[refunded, 60], [collected, 80]]) {
+    await bank.lock(dealId, buyer.address, amount)
+    await market.op(buyer, { op: 'escrow_fund', dealId, amount })
+  }
+
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_refund', dealId: refunded }), null, 'only the seller refunds')
+  assert.strictEqual(await market.op(seller, { op: 'escrow_refund', dealId: refunded }), refunded)
+  await bank.payout(refunded, buyer.address, 60)
+
+  await market.tick(60 * 1000)
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId: collected }), null, 'too early')
+  await market.tick(ESCROW_RELEASE_MS)
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId: collected }), collected)
+  await bank.payout(collected, seller.address, 80)
+
+  assert.strictEqual((await market.get(refunded)).escrow.status, ESCROW_STATUS.REFUNDED)
+  assert.strictEqual((await market.get(collected)).escrow.status, ESCROW_STATUS.RELEASED)
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 0, received: 60 })
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 80 })
+  assert.strictEqual(bank.balanceOf(buyer.address), 120)
+  assert.strictEqual(bank.balanceOf(seller.address), 80)
+})
+
+test('escrow: a forged tick does not time the escrow out for the seller', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const dealId = await sell(market, seller, buyer)
+  await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 })
+
+  const forged = { op: 'feature_entry', feature: 'timer_feature', key: 'currentTime', value: 9e15 }
+  await market.append(forged, { writer: OTHER_WRITER })
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId }), null)
+  await market.tick(0)
+  await market.append(forged, { writer: OTHER_WRITER })
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId }), null)
+  assert.strictEqual(await market.op(seller, { op: 'escrow_release', dealId }, { ts: 9e15 }), null, 'nor does a forged op stamp')
+
+  assert.strictEqual((await market.get(dealId)).escrow.status, ESCROW_STATUS.FUNDED)
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 100, received: 0 })
+})
+
+test('escrow: a settled hold takes no further moves', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const dealId = await sell(market, seller, buyer)
+  await market.op(buyer, { op: 'escrow_fund', dealId, amount: 100 })
+  await market.op(buyer, { op: 'escrow_release', dealId })
+
+  assert.strictEqual(await market.op(seller, { op: 'escrow_refund', dealId }), null)
+  assert.strictEqual(await market.op(buyer, { op: 'escrow_release', dealId }), null)
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 100 })
+})
+
+test('escrow: funding that apply() refuses gives the buyer back the locked funds', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 150 })
+  const dealId = await sell(market, seller, buyer, { price: 100 })
+  const protocol = createProtocol(market, buyer, { settlement: bank })
+
+  // The deal is cancelled between the buyer's checks and the funding op landing.
+  const append = protocol.base.append
+  protocol.base.append = async (data) => {
+    await market.op(seller, { op: 'deal_cancel_request', dealId })
+    await market.op(buyer, { op: 'deal_cancel_confirm', dealId })
+    return append(data)
+  }
+  const res = await protocol.handle({ op: 'escrow_fund', deal_id: dealId })
+  assert.strictEqual(res.ok, false)
+  assert.match(res.error, /refused — the funds were unlocked/)
+  assert.strictEqual(bank.balanceOf(buyer.address), 150)
+  assert.strictEqual(bank.holds.has(dealId), false)
+  assert.strictEqual(await market.get(`hold:${dealId}`), null)
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { VERSION, MAX_MESSAGE_BYTES, encodeEvent, decodeEvent, dealChannel, parseDealChannel } = require('../events')
+
+const address = 'ab'.repeat(20)
+const code = (data, scope = 'public') => decodeEvent(data, scope).code
+
+test('events: every message is versioned and checked against its event schema', () => {
+  const rating = { dealId: 'DEAL-001', ratedAddress: address, stars: 5, ratedBy: address }
+  const wire = encodeEvent('RATING_POSTED', rating)
+  assert.deepStrictEqual(JSON.parse(wire), { v: VERSION, event: 'RATING_POSTED', ...rating })
+  assert.deepStrictEqual(decodeEvent(wire, 'public'), { ok: true, msg: JSON.parse(wire) })
+
+  assert.throws(() => encodeEvent('RATING_POSTED', { ...rating, stars: 6 }), /stars must be at most 5/)
+  assert.throws(() => encodeEvent('LIST_POST', {}), /unknown event LIST_POST/)
+
+  const raw = fields => JSON.stringify({ v: VERSION, ...fields })
+  assert.strictEqual(code(Buffer.from(wire)), undefined, 'buffers decode too')
+  assert.strictEqual(code(42), 'malformed')
+  assert.strictEqual(code('{'), 'malformed')
+  assert.strictEqual(code('[1]'), 'malformed')
+  assert.strictEqual(code(JSON.stringify({ event: 'DEAL_CLOSED', listingId: 'LST-001' })), 'version')
+  assert.strictEqual(code(raw({ v: 2, event: 'DEAL_CLOSED', listingId: 'LST-001' })), 'version')
+  assert.strictEqual(code(raw({ event: 'toString' })), 'unknown_event')
+  assert.strictEqual(code(raw({ event: 'DEAL_CLOSED' })), 'invalid')
+  assert.strictEqual(code(raw({ ...rating, event: 'RATING_POSTED', ratedBy: 'someone' })), 'invalid')
+  assert.strictEqual(code(raw({ event: 'DEAL_CLOSED', listingId: 'x'.repeat(MAX_MESSAGE_BYTES) })), 'too_large')
+})
+
+test('events: negotiation events stay on deal channels', () => {
+  const accepted = encodeEvent('OFFER_ACCEPTED', { offerId: 'OFR-001', by: address })
+  assert.strictEqual(decodeEvent(accepted, 'deal').ok, true)
+  assert.strictEqual(code(accepted, 'public'), 'wrong_channel')
+  assert.strictEqual(code(encodeEvent('DEAL_CLOSED', { listingId: 'LST-001' }), 'deal'), 'wrong_channel')
+
+  assert.strictEqual(dealChannel('LST-001', 'OFR-002'), 'deal-LST-001-OFR-002')
+  assert.deepStrictEqual(parseDealChannel('deal-LST-001-OFR-002'), { listingId: 'LST-001', offerId: 'OFR-002' })
+  assert.strictEqual(parseDealChannel('tracmarket'), null)
+})
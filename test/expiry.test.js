@@ -0,0 +1,70 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { OFFER_STATUS } = require('../contract')
+const { OTHER_WRITER, createPeer, createMarket } = require('./helpers')
+
+const tickEntry = value => ({ op: 'feature_entry', feature: 'timer_feature', key: 'currentTime', value })
+
+async function openOffer (market, seller, buyer, ttlMs) {
+  const listingId = await market.op(seller, { op: 'listing_post', title: 'Road bike', price: 300, ttlMs: 30 * 24 * 60 * 60 * 1000 })
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 250, ttlMs })
+  return { listingId, offerId }
+}
+
+test('expiry: an open offer lapses on the replicated clock and is logged', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  await market.tick(0)
+  const { listingId, offerId } = await openOffer(market, seller, buyer, 60 * 1000)
+
+  await market.tick(30 * 1000)
+  assert.strictEqual((await market.get(`${listingId}:${offerId}`)).status, OFFER_STATUS.PENDING)
+  await market.tick(31 * 1000)
+  const offer = await market.get(`${listingId}:${offerId}`)
+  assert.strictEqual(offer.status, OFFER_STATUS.EXPIRED)
+  assert.strictEqual(offer.turn, null)
+  assert.strictEqual(await market.op(seller, { op: 'offer_accept', listingId, offerId }), null, 'a lapsed offer takes no moves')
+
+  const logged = []
+  for await (const node of market.view.createReadStream({ gt: 'expired:', lt: 'expired;' })) logged.push(JSON.parse(node.value))
+  assert.deepStrictEqual(logged, [{ listingId, offerId, buyer: buyer.address, seller: seller.address, expiredAt: offer.expiredAt }])
+})
+
+test('expiry: a counter with a ttl sets a fresh deadline', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  await market.tick(0)
+  const { listingId, offerId } = await openOffer(market, seller, buyer, 60 * 1000)
+
+  await market.tick(50 * 1000)
+  await market.op(seller, { op: 'offer_counter', listingId, offerId, amount: 280, ttlMs: 60 * 60 * 1000 })
+  await market.tick(60 * 1000)
+  assert.strictEqual((await market.get(`${listingId}:${offerId}`)).status, OFFER_STATUS.COUNTERED, 'the old deadline no longer applies')
+  await market.tick(60 * 60 * 1000)
+  assert.strictEqual((await market.get(`${listingId}:${offerId}`)).status, OFFER_STATUS.EXPIRED)
+})
+
+test('expiry: ticks from any writer but the bootstrap writer are ignored', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  await market.tick(0)
+  const clock = await market.get('currentTime')
+  const { listingId, offerId } = await openOffer(market, seller, buyer, 60 * 1000)
+
+  await market.append(tickEntry(9e15), { writer: OTHER_WRITER })
+  await market.append(tickEntry(9e15), { writer: null })
+  assert.strictEqual(await market.get('currentTime'), clock)
+  assert.strictEqual((await market.get(listingId)).status, 'active')
+  assert.strictEqual((await market.get(`${listingId}:${offerId}`)).status, OFFER_STATUS.PENDING)
+
+  await market.tick(61 * 1000)
+  assert.strictEqual((await market.get(`${listingId}:${offerId}`)).status, OFFER_STATUS.EXPIRED)
+})
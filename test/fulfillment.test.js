@@ -0,0 +1,59 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { FULFILLMENT_STATUS } = require('../contract')
+const { dealChannel } = require('../events')
+const { createPeer, createMarket, createProtocol, sell } = require('./helpers')
+
+test('fulfillment: the seller ships, the buyer confirms receipt, then either completes', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer, stranger] = [createPeer(), createPeer(), createPeer()]
+  const dealId = await sell(market, seller, buyer)
+  await market.tick(1000)
+  const clock = await market.get('currentTime')
+  const step = (peer, op, fields) => market.op(peer, { op, dealId, ...fields })
+
+  assert.strictEqual(await step(buyer, 'deal_complete'), null, 'not received yet')
+  assert.strictEqual(await step(buyer, 'deal_ship'), null, 'seller only')
+  assert.strictEqual(await step(seller, 'deal_ship', { tracking: 'x'.repeat(201) }), null)
+  assert.strictEqual(await step(seller, 'deal_ship', { tracking: 'TRK-1' }), dealId)
+  assert.strictEqual(await step(seller, 'deal_ship'), null, 'ships once')
+  assert.strictEqual(await step(seller, 'deal_confirm_received'), null, 'buyer only')
+  assert.strictEqual(await step(buyer, 'deal_confirm_received'), dealId)
+  assert.strictEqual(await step(stranger, 'deal_complete'), null)
+  assert.strictEqual(await step(seller, 'deal_complete'), dealId)
+  assert.strictEqual(await step(buyer, 'deal_complete'), null, 'already completed')
+
+  const { fulfillment } = await market.get(dealId)
+  assert.strictEqual(fulfillment.status, FULFILLMENT_STATUS.COMPLETED)
+  assert.deepStrictEqual(fulfillment.timeline, [
+    { status: 'shipped', by: seller.address, at: clock, tracking: 'TRK-1' },
+    { status: 'received', by: buyer.address, at: clock },
+    { status: 'completed', by: seller.address, at: clock }
+  ])
+
+  // A buyer who collected in person can confirm without a shipment.
+  const collected = await sell(market, seller, buyer)
+  assert.strictEqual(await market.op(buyer, { op: 'deal_confirm_received', dealId: collected }), collected)
+  assert.strictEqual(await market.op(seller, { op: 'deal_ship', dealId: collected }), null)
+})
+
+test('fulfillment: commands check the role and step before appending', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer] = [createPeer(), createPeer()]
+  const dealId = await sell(market, seller, buyer)
+  const sellerSide = createProtocol(market, seller)
+  const buyerSide = createProtocol(market, buyer)
+
+  assert.match((await buyerSide.handle({ op: 'deal_ship', deal_id: dealId })).error, /only the seller/)
+  assert.match((await sellerSide.handle({ op: 'deal_complete', deal_id: dealId })).error, /is pending/)
+  assert.match((await sellerSide.handle({ op: 'deal_ship', deal_id: 'DEAL-999' })).error, /not found/)
+  assert.match((await sellerSide.handle({ op: 'deal_ship', deal_id: dealId, tracking: 'TRK-1' })).message, /marked shipped \(TRK-1\)/)
+  const { listingId, offerId } = await market.get(dealId)
+  const [{ channel, msg }] = sellerSide.sc.sent
+  assert.deepStrictEqual([channel, msg.event], [dealChannel(listingId, offerId), 'DEAL_SEALED'], 'announced sealed to the buyer')
+  assert.match((await sellerSide.handle({ op: 'deal_ship', deal_id: dealId })).error, /is shipped/)
+})
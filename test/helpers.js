@@ -0,0 +1,123 @@
+'use strict'
+
+/**
+ * Test harness: apply() over a real Hyperbee on in-memory storage, fed with ops
+ * signed the way TracMarketProtocol signs them, and protocols appending straight
+ * into it over a stand-in sidechannel.
+ */
+
+const { EventEmitter } = require('events')
+const Hypercore = require('hypercore')
+const Hyperbee = require('hyperbee')
+const RAM = require('random-access-memory')
+const crypto = require('hypercore-crypto')
+const b4a = require('b4a')
+const { apply } = require('../contract')
+const { signOp, toAddress, canonicalize } = require('../signing')
+const TracMarketProtocol = require('../protocol')
+const Market = require('../market')
+
+const BOOTSTRAP = b4a.alloc(32, 1)     // writer key of the peer that created the market
+const OTHER_WRITER = b4a.alloc(32, 2)
+
+function createPeer () {
+  const keyPair = crypto.keyPair()
+  return { keyPair, address: toAddress(keyPair.publicKey) }
+}
+
+// A fresh market view. `op` signs and applies one op and returns its receipt (the
+// record ID) or null when apply() ignored it (`ts` overrides the op's own stamp, which
+// the signer controls); `tick` moves the replicated clock on;
+// `append` applies a raw entry as it stands, e.g. an unsigned or tampered one.
+async function createMarket () {
+  const view = new Hyperbee(new Hypercore(RAM), { keyEncoding: 'utf-8', valueEncoding: 'utf-8' })
+  await view.ready()
+  const host = { bootstrap: BOOTSTRAP }
+  let now = 1700000000000
+
+  const append = (entry, writer) => apply([{ value: b4a.from(JSON.stringify(entry)), from: { key: writer } }], view, host)
+
+  return {
+    view,
+    async op (peer, fields, { writer = BOOTSTRAP, ts = ++now } = {}) {
+      const signed = signOp({ ...fields, ts, nonce: b4a.toString(crypto.randomBytes(8), 'hex') }, peer.keyPair)
+      await append(signed, writer)
+      const receipt = await view.get(`sig:${signed.sig}`)
+      return receipt && receipt.value !== '1' ? receipt.value : null
+    },
+    append (entry, { writer = BOOTSTRAP } = {}) {
+      return append(entry, writer)
+    },
+    async tick (ms) {
+      now += ms
+      await append({ op: 'feature_entry', feature: 'timer_feature', key: 'currentTime', value: now }, BOOTSTRAP)
+    },
+    async get (key) {
+      const node = await view.get(key)
+      return node ? JSON.parse(node.value) : null
+    },
+    close: () => view.close()
+  }
+}
+
+// Post a listing, have `buyer` offer the asking price and `seller` accept. → the deal ID
+async function sell (market, seller, buyer, { price = 100, returnPolicy } = {}) {
+  const listingId = await market.op(seller, { op: 'listing_post', title: 'Desk lamp', price, currency: 'TNK', category: 'home', returnPolicy })
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: price })
+  return market.op(seller, { op: 'offer_accept', listingId, offerId })
+}
+
+// Stand-in for the Intercom sidechannel feature: signs and verifies messages the way
+// its `_attachSig` / `_verifySig` do, and delivers each broadcast to the other
+// sidechannels on the same `bus` as 'sc_message'. Every broadcast is kept in `sent`.
+function createSidechannel (keyPair, bus = new Set()) {
+  const sc = new EventEmitter()
+  const self = b4a.toString(keyPair.publicKey, 'hex')
+  const sigBase = p => b4a.from(canonicalize({
+    kind: 'sidechannel_message_v1', id: p.id, channel: p.channel, from: p.from, origin: p.origin, ts: p.ts, message: p.message
+  }))
+  sc.sent = []
+  sc.peer = { wallet: { publicKey: self } }
+  sc._attachSig = payload => {
+    payload.sig = b4a.toString(crypto.sign(sigBase(payload), keyPair.secretKey), 'hex')
+    return true
+  }
+  sc._verifySig = (payload, publicKey) => {
+    try {
+      return crypto.verify(sigBase(payload), b4a.from(payload.sig, 'hex'), b4a.from(publicKey, 'hex'))
+    } catch {
+      return false
+    }
+  }
+  sc.setChannelInviter = () => true
+  sc.acceptInvite = () => true
+  sc.addChannel = async () => true
+  sc.broadcast = (channel, data) => {
+    sc.sent.push({ channel, msg: JSON.parse(data) })
+    for (const other of bus) {
+      if (other !== sc) setImmediate(() => other.emit('sc_message', { channel, data, from: self }))
+    }
+    return true
+  }
+  bus.add(sc)
+  return sc
+}
+
+// A TracMarketProtocol for `peer` whose appends go straight into the market's
+// apply(), as the writer `writer`.
+function createProtocol (market, peer, { settlement = null, writer = BOOTSTRAP, bus } = {}) {
+  const base = {
+    bootstrap: BOOTSTRAP,
+    local: { key: writer },
+    append: data => market.append(JSON.parse(data), { writer })
+  }
+  return new TracMarketProtocol(base, market.view, peer.address, createSidechannel(peer.keyPair, bus), peer.keyPair, settlement)
+}
+
+// A Market peer on top of createProtocol: it receives what other sidechannels on the
+// same `bus` broadcast. Close it when done.
+function joinMarket (market, peer, opts) {
+  return new Market(createProtocol(market, peer, opts), peer.address)
+}
+
+module.exports = { BOOTSTRAP, OTHER_WRITER, createPeer, createMarket, sell, createSidechannel, createProtocol, joinMarket }
@@ -0,0 +1,49 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { pad, priceBucket, prefix, range } = require('../indexes')
+const { createPeer, createMarket } = require('./helpers')
+
+const lamp = { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' }
+
+async function keys (market, p) {
+  const found = []
+  for await (const { key, value } of market.view.createReadStream(range(p))) found.push([key.slice(p.length), value])
+  return found
+}
+
+test('indexes: keys sort numerically and keep free text to its own field', () => {
+  assert.ok(pad(9) < pad(10))
+  assert.ok(priceBucket(9.99) < priceBucket(10))
+  assert.strictEqual(prefix.category('a:b'), 'ix:lst:category:a%3Ab:')
+  assert.ok(range(prefix.category('a')).lte < prefix.category('b'))
+})
+
+test('indexes: apply() moves a record\'s index keys as it changes', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const id = await market.op(seller, lamp)
+  const { createdAt } = await market.get(id)
+
+  assert.deepStrictEqual(await keys(market, prefix.status('active')), [[`${pad(createdAt)}:${id}`, id]])
+  assert.deepStrictEqual(await keys(market, prefix.seller(seller.address)), [[`${pad(createdAt)}:${id}`, id]])
+  assert.deepStrictEqual(await keys(market, prefix.price()), [[`${priceBucket(40)}:${id}`, id]])
+
+  await market.op(seller, { op: 'listing_update', id, price: 35 })
+  const { updatedAt } = await market.get(id)
+  assert.deepStrictEqual(await keys(market, prefix.price()), [[`${priceBucket(35)}:${id}`, id]])
+  assert.deepStrictEqual(await keys(market, prefix.updated()), [[`${pad(updatedAt)}:${id}`, id]])
+
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId: id, amount: 35 })
+  const dealId = await market.op(seller, { op: 'offer_accept', listingId: id, offerId })
+  const { closedAt } = await market.get(dealId)
+  assert.deepStrictEqual(await keys(market, prefix.status('active')), [])
+  assert.deepStrictEqual(await keys(market, prefix.status('sold')), [[`${pad(createdAt)}:${id}`, id]])
+  assert.deepStrictEqual(await keys(market, prefix.dealCreated()), [[`${pad(closedAt)}:${dealId}`, dealId]])
+  for (const party of [seller, buyer]) {
+    assert.deepStrictEqual(await keys(market, prefix.dealParty(party.address)), [[`${pad(closedAt)}:${dealId}`, dealId]])
+  }
+})
@@ -0,0 +1,117 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const b4a = require('b4a')
+const { listingPostFields } = require('../events')
+const { signOp } = require('../signing')
+const { OTHER_WRITER, createPeer, createMarket, createProtocol, joinMarket } = require('./helpers')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const lamp = { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' }
+
+function signed (peer, fields, ts) {
+  return signOp({ ...fields, ts, nonce: b4a.toString(b4a.alloc(8, ts % 256), 'hex') }, peer.keyPair)
+}
+
+test('listings: IDs come from the log, so every peer derives the same ones and a replay makes none', async (t) => {
+  const [left, right] = [await createMarket(), await createMarket()]
+  t.after(() => Promise.all([left.close(), right.close()]))
+  const seller = createPeer()
+  const entries = [signed(seller, lamp, 1), signed(seller, { ...lamp, title: 'Chair' }, 2), signed(seller, { ...lamp, title: 'Rug' }, 3)]
+
+  for (const market of [left, right]) {
+    for (const entry of entries) await market.append(entry)
+  }
+  const ids = async market => Promise.all(entries.map(async entry => (await market.view.get(`sig:${entry.sig}`)).value))
+  assert.deepStrictEqual(await ids(left), ['LST-001', 'LST-002', 'LST-003'])
+  assert.deepStrictEqual(await ids(right), await ids(left))
+
+  // The same signed op re-appended, by its writer or another, is not applied again.
+  await left.append(entries[0])
+  await left.append(entries[1], { writer: OTHER_WRITER })
+  assert.strictEqual(await left.get('seq:LST'), 3)
+  assert.strictEqual(await left.op(seller, lamp), 'LST-004')
+})
+
+test('listings: a post must carry a title and a price within the announcement limits', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+
+  for (const bad of [
+    { title: undefined }, { title: '' }, { title: 42 }, { title: 'x'.repeat(201) },
+    { price: undefined }, { price: -1 }, { price: '40' }, { price: null },
+    { desc: 7 }, { desc: 'x'.repeat(4001) }, { tags: ['a'] }, { category: 'x'.repeat(65) }, { currency: 5 }
+  ]) {
+    assert.strictEqual(await market.op(seller, { ...lamp, ...bad }), null, JSON.stringify(bad).slice(0, 60))
+  }
+  const id = await market.op(seller, { ...lamp, desc: '', tags: '' })
+  const listing = await market.get(id)
+  assert.strictEqual(listing.title, 'Desk lamp')
+  assert.strictEqual(listing.price, 40)
+  assert.strictEqual(listing.status, 'active')
+})
+
+test('listings: a listing lapses on the clock, renews, and takes updates only until sold or removed', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const id = await market.op(seller, { ...lamp, ttlMs: 2 * DAY_MS })
+
+  await market.tick(DAY_MS)
+  assert.strictEqual((await market.get(id)).status, 'active')
+  await market.tick(2 * DAY_MS)
+  let listing = await market.get(id)
+  assert.strictEqual(listing.status, 'expired')
+  assert.strictEqual(await market.op(buyer, { op: 'offer_send', listingId: id, amount: 40 }), null, 'no offers on an expired listing')
+
+  assert.strictEqual(await market.op(seller, { op: 'listing_update', id, price: 35 }), id, 'an expired listing can be repriced')
+  assert.strictEqual(await market.op(buyer, { op: 'listing_update', id, price: 1 }), null, 'owner only')
+  assert.strictEqual(await market.op(seller, { op: 'listing_update', id, price: -5 }), null)
+  assert.strictEqual(await market.op(seller, { op: 'listing_update', id, desc: 9 }), null)
+  assert.strictEqual(await market.op(seller, { op: 'listing_renew', id, ttlMs: DAY_MS }), id)
+  listing = await market.get(id)
+  assert.strictEqual(listing.status, 'active')
+  assert.strictEqual(listing.price, 35)
+  assert.ok(listing.expiresAt > listing.renewedAt)
+
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId: id, amount: 35 })
+  await market.op(seller, { op: 'offer_accept', listingId: id, offerId })
+  assert.strictEqual(await market.op(seller, { op: 'listing_update', id, price: 1 }), null, 'sold stays as it was')
+  assert.strictEqual(await market.op(seller, { op: 'listing_renew', id }), null)
+  await market.tick(5 * DAY_MS)
+  listing = await market.get(id)
+  assert.strictEqual(listing.status, 'sold')
+  assert.strictEqual(listing.price, 35)
+
+  const removed = await market.op(seller, lamp)
+  await market.op(seller, { op: 'listing_remove', id: removed })
+  assert.strictEqual(await market.op(seller, { op: 'listing_update', id: removed, desc: 'back?' }), null)
+})
+
+test('listings: a post announces the listing as apply() recorded it', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const bus = new Set()
+  const protocol = createProtocol(market, seller, { bus })
+  const observer = joinMarket(market, createPeer(), { bus })
+  t.after(() => observer.close())
+
+  const res = await protocol.handle({
+    op: 'listing_post', title: 'Desk lamp', desc: 'Brass, 1970s', price: 40, category: 'home', tags: 'brass,vintage', ttl: 3600, return_policy: { window_days: 14 }
+  })
+  const listing = await market.get(res.data.id)
+  assert.deepStrictEqual(res.data, listing)
+  const [{ msg: post }] = protocol.sc.sent.filter(({ msg }) => msg.event === 'LISTING_POST')
+  const { v, event, auth, ...fields } = post
+  assert.deepStrictEqual(fields, JSON.parse(JSON.stringify(listingPostFields(listing))))
+  assert.deepStrictEqual(Object.keys(fields).sort(), ['category', 'createdAt', 'currency', 'desc', 'expiresAt', 'id', 'price', 'returnPolicy', 'seller', 'tags', 'title'])
+  assert.strictEqual(fields.currency, 'TNK')
+  assert.strictEqual(fields.expiresAt, listing.createdAt + 3600 * 1000)
+
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.deepStrictEqual(observer.knownListings.get(listing.id), { ...fields, status: 'active' })
+})
@@ -0,0 +1,75 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { OFFER_STATUS } = require('../contract')
+const { createPeer, createMarket, joinMarket } = require('./helpers')
+
+async function listed (market, seller, price = 100) {
+  return market.op(seller, { op: 'listing_post', title: 'Desk lamp', price, currency: 'TNK', category: 'home' })
+}
+
+test('offers: the parties take turns, and every move leaves a receipt', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const stranger = createPeer()
+  const listingId = await listed(market, seller)
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 60 })
+  const move = (peer, op, fields) => market.op(peer, { op, listingId, offerId, ...fields })
+
+  assert.strictEqual(await move(buyer, 'offer_counter', { amount: 70 }), null, 'not the buyer\'s turn')
+  assert.strictEqual(await move(buyer, 'offer_accept'), null)
+  assert.strictEqual(await move(stranger, 'offer_counter', { amount: 70 }), null)
+  assert.strictEqual(await move(seller, 'offer_counter', { amount: 0 }), null)
+  assert.strictEqual(await move(seller, 'offer_counter', { amount: 90 }), offerId)
+  assert.strictEqual(await move(seller, 'offer_counter', { amount: 85 }), null, 'one move at a time')
+  assert.strictEqual(await move(buyer, 'offer_counter', { amount: 75 }), offerId)
+
+  let offer = await market.get(`${listingId}:${offerId}`)
+  assert.strictEqual(offer.status, OFFER_STATUS.COUNTERED)
+  assert.strictEqual(offer.amount, 75)
+  assert.strictEqual(offer.turn, seller.address)
+  assert.deepStrictEqual(offer.history.map(step => [step.amount, step.by]), [[60, buyer.address], [90, seller.address], [75, buyer.address]])
+
+  assert.strictEqual(await move(seller, 'offer_withdraw'), null, 'only the last mover withdraws')
+  assert.strictEqual(await move(buyer, 'offer_withdraw'), offerId)
+  assert.strictEqual(await move(seller, 'offer_accept'), null, 'nothing left to accept')
+  offer = await market.get(`${listingId}:${offerId}`)
+  assert.strictEqual(offer.status, OFFER_STATUS.WITHDRAWN)
+  assert.strictEqual(offer.turn, null)
+
+  const second = await market.op(buyer, { op: 'offer_send', listingId, amount: 50 })
+  assert.strictEqual(await market.op(buyer, { op: 'offer_decline', listingId, offerId: second }), null, 'declining answers the other side')
+  assert.strictEqual(await market.op(seller, { op: 'offer_decline', listingId, offerId: second }), second)
+  assert.strictEqual((await market.get(`${listingId}:${second}`)).status, OFFER_STATUS.DECLINED)
+})
+
+test('offers: agent rules act on the amount in the view, not the one gossiped', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const agent = joinMarket(market, seller)
+  t.after(() => agent.close())
+  Object.assign(agent.protocol.rpc, { timeoutMs: 20, retries: 0 }) // nobody answers the notices
+  const listingId = await listed(market, seller)
+
+  await agent.protocol.handle({ op: 'rule_set', listing_id: listingId, auto_accept_above: 90 })
+  const low = await market.op(buyer, { op: 'offer_send', listingId, amount: 50 })
+  await agent._evalAcceptRules(listingId, { offerId: low, amount: 95 })
+  assert.strictEqual((await market.get(`${listingId}:${low}`)).status, OFFER_STATUS.PENDING)
+
+  const [rule] = (await agent.protocol.handle({ op: 'rule_list' })).data
+  await agent.protocol.handle({ op: 'rule_delete', rule_id: rule.id })
+  await agent.protocol.handle({ op: 'rule_set', listing_id: listingId, auto_counter_ratio: 0.9 })
+  await agent._evalAcceptRules(listingId, { offerId: low, amount: 95 })
+  const countered = await market.get(`${listingId}:${low}`)
+  assert.strictEqual(countered.status, OFFER_STATUS.COUNTERED)
+  assert.strictEqual(countered.amount, 90)
+
+  // Now it is the buyer's move: a replayed OFFER_SENT finds nothing to answer.
+  await agent._evalAcceptRules(listingId, { offerId: low, amount: 95 })
+  assert.strictEqual((await market.get(`${listingId}:${low}`)).history.length, 2)
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { createPeer, createMarket, createProtocol, sell } = require('./helpers')
+
+async function pages (protocol, cmd) {
+  const seen = []
+  let cursor
+  do {
+    const res = await protocol.handle({ ...cmd, cursor })
+    assert.strictEqual(res.ok, true, res.error)
+    seen.push(res.data.map(item => item.id))
+    cursor = res.cursor
+  } while (cursor)
+  return seen
+}
+
+test('pagination: listing_list walks each sort order in pages, with cursors tied to the sort', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const other = createPeer()
+  const ids = []
+  for (const [title, price] of [['Lamp', 40], ['Chair', 15], ['Rug', 90], ['Vase', 25], ['Desk', 60]]) {
+    ids.push(await market.op(title === 'Vase' ? other : seller, { op: 'listing_post', title, price, currency: 'TNK', category: 'home' }))
+  }
+  await market.op(seller, { op: 'listing_remove', id: ids[2] })
+  await market.op(seller, { op: 'listing_update', id: ids[0], price: 45 })
+  const protocol = createProtocol(market, seller)
+
+  assert.deepStrictEqual(await pages(protocol, { op: 'listing_list', limit: 2 }), [['LST-005', 'LST-004'], ['LST-002', 'LST-001']])
+  assert.deepStrictEqual((await pages(protocol, { op: 'listing_list', limit: 3, sort: 'oldest' })).flat(), ['LST-001', 'LST-002', 'LST-004', 'LST-005'])
+  assert.deepStrictEqual((await pages(protocol, { op: 'listing_list', limit: 3, sort: 'price_asc' })).flat(), ['LST-002', 'LST-004', 'LST-001', 'LST-005'])
+  assert.deepStrictEqual((await pages(protocol, { op: 'listing_list', limit: 3, sort: 'price_desc', max_price: 50 })).flat(), ['LST-001', 'LST-004', 'LST-002'])
+  assert.deepStrictEqual((await pages(protocol, { op: 'listing_list', limit: 1, sort: 'updated' }))[0], ['LST-001'])
+  assert.deepStrictEqual((await pages(protocol, { op: 'listing_list', limit: 10, mine: true })).flat(), ['LST-005', 'LST-002', 'LST-001'])
+
+  const { cursor } = await protocol.handle({ op: 'listing_list', limit: 2 })
+  assert.match((await protocol.handle({ op: 'listing_list', limit: 2, sort: 'oldest', cursor })).error, /Invalid or stale cursor/)
+  assert.match((await protocol.handle({ op: 'listing_list', cursor: 'not a cursor' })).error, /Invalid or stale cursor/)
+  assert.match((await protocol.handle({ op: 'listing_list', sort: 'random' })).error, /sort must be one of/)
+  assert.strictEqual((await protocol.handle({ op: 'listing_list', limit: 1000 })).data.length, 4, 'limit is capped, not refused')
+})
+
+test('pagination: deal_list pages through all deals or just ours', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer, other] = [createPeer(), createPeer(), createPeer()]
+  const first = await sell(market, seller, buyer)
+  const second = await sell(market, other, seller)
+  const third = await sell(market, other, buyer)
+  const protocol = createProtocol(market, seller)
+
+  assert.deepStrictEqual(await pages(protocol, { op: 'deal_list', limit: 2 }), [[third, second], [first]])
+  assert.deepStrictEqual((await pages(protocol, { op: 'deal_list', limit: 1, sort: 'oldest' })).flat(), [first, second, third])
+  assert.deepStrictEqual((await pages(protocol, { op: 'deal_list', limit: 1, mine: true })).flat(), [second, first])
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { createPeer, createMarket, createProtocol, sell } = require('./helpers')
+
+test('ratings: each party rates the other once per deal, and reputation adds up', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer, stranger] = [createPeer(), createPeer(), createPeer()]
+  const first = await sell(market, seller, buyer)
+  const second = await sell(market, seller, buyer)
+  const rate = (peer, dealId, stars, comment) => market.op(peer, { op: 'rating_submit', dealId, stars, comment })
+
+  assert.strictEqual(await rate(stranger, first, 5), null, 'parties only')
+  for (const stars of [0, 6, 4.5, '5']) assert.strictEqual(await rate(buyer, first, stars), null, String(stars))
+  assert.strictEqual(await rate(buyer, first, 5, 'x'.repeat(1001)), null)
+  assert.strictEqual(await rate(buyer, 'LST-001', 5), null)
+
+  assert.strictEqual(await rate(buyer, first, 5, 'as described'), `rating:${first}:${buyer.address}`)
+  assert.strictEqual(await rate(buyer, first, 1), null, 'once per deal')
+  await rate(buyer, second, 2)
+  await rate(seller, first, 4)
+
+  const rep = await market.get(`rep:${seller.address}`)
+  assert.deepStrictEqual([rep.totalStars, rep.ratingCount, rep.avgStars], [7, 2, 3.5])
+  assert.strictEqual((await market.get(`rep:${buyer.address}`)).avgStars, 4)
+
+  const protocol = createProtocol(market, buyer)
+  const ratings = (await protocol.handle({ op: 'rating_get', deal_id: first })).data
+  assert.deepStrictEqual(ratings.map(rating => [rating.rater, rating.ratedAddress, rating.stars]).sort(), [
+    [buyer.address, seller.address, 5], [seller.address, buyer.address, 4]
+  ].sort())
+  assert.match((await protocol.handle({ op: 'rating_submit', deal_id: first, stars: 3 })).error, /already rated/)
+  assert.strictEqual((await protocol.handle({ op: 'reputation_get', address: stranger.address })).data.ratingCount, 0)
+})
+
+test('ratings: a cancelled deal was never a trade', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const [seller, buyer] = [createPeer(), createPeer()]
+  const dealId = await sell(market, seller, buyer)
+  await market.op(buyer, { op: 'deal_cancel_request', dealId })
+  await market.op(seller, { op: 'deal_cancel_confirm', dealId })
+
+  assert.strictEqual(await market.op(buyer, { op: 'rating_submit', dealId, stars: 1 }), null)
+  assert.match((await createProtocol(market, buyer).handle({ op: 'rating_submit', deal_id: dealId, stars: 1 })).error, /was cancelled/)
+})
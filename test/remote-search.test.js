@@ -0,0 +1,60 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { encodeEvent, signAnnouncement, listingPostFields } = require('../events')
+const { createPeer, createMarket, createSidechannel, joinMarket } = require('./helpers')
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+test('remote search: peers vouch for listings our view does not hold yet', async (t) => {
+  // Two views that haven't synced: the seller's side and the searcher's.
+  const [theirs, ours] = [await createMarket(), await createMarket()]
+  t.after(() => Promise.all([theirs.close(), ours.close()]))
+  const bus = new Set()
+  const seller = createPeer()
+  const sellerSide = joinMarket(theirs, seller, { bus })
+  const neighbour = joinMarket(theirs, createPeer(), { bus })
+  t.after(() => { sellerSide.close(); neighbour.close() })
+
+  const post = (title, price, category = 'home') => sellerSide.protocol.handle({ op: 'listing_post', title, price, category })
+  const { data: bell } = await post('Brass bell', 10)
+  await post('Brass lamp', 40)
+  await post('Oak chair', 20)
+  await post('Brass kettle', 15, 'kitchen')
+  await settle()
+  const searcher = joinMarket(ours, createPeer(), { bus }) // joins after the posts went out
+  t.after(() => searcher.close())
+
+  const { items, peers } = await searcher.remoteSearch({ category: 'home', keywords: 'brass', maxPrice: 30 }, 50)
+  assert.strictEqual(peers, 2)
+  assert.deepStrictEqual(items.map(item => [item.id, item.title, item.price]), [[bell.id, 'Brass bell', 10]])
+  assert.deepStrictEqual(items[0].source.sort(), [seller.address, neighbour.address].sort(), 'one result, vouched for twice')
+  assert.strictEqual(await ours.get(bell.id), null)
+})
+
+test('remote search: answers are checked like live announcements', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const bus = new Set()
+  const searcher = joinMarket(market, createPeer(), { bus })
+  t.after(() => searcher.close())
+  const impostor = createPeer()
+  const sc = createSidechannel(impostor.keyPair, bus)
+  sc.on('sc_message', ({ data }) => {
+    const msg = JSON.parse(data)
+    if (msg.event !== 'SEARCH_QUERY') return
+    // Claims another peer's listing, and a change with no post behind it.
+    const fake = listingPostFields({ id: 'LST-900', title: 'Brass lamp', price: 1, currency: 'TNK', category: 'home', seller: createPeer().address, createdAt: Date.now() })
+    const items = [
+      JSON.parse(signAnnouncement(sc, 'tracmarket', 'LISTING_POST', fake)),
+      JSON.parse(signAnnouncement(sc, 'tracmarket', 'LISTING_UPDATE', { id: 'LST-901', price: 1, updatedAt: Date.now() }))
+    ]
+    sc.broadcast('tracmarket', encodeEvent('SEARCH_RESULTS', { requestId: msg.requestId, from: impostor.address, to: msg.from, items }))
+  })
+
+  const { items, peers } = await searcher.remoteSearch({ keywords: 'brass' }, 50)
+  assert.deepStrictEqual(items, [])
+  assert.strictEqual(peers, 0)
+  assert.strictEqual(searcher.rejected.not_seller, 2)
+})
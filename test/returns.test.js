@@ -0,0 +1,148 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { RETURN_STATUS, FULFILLMENT_STATUS, returnDeadline } = require('../contract')
+const { MemorySettlement } = require('../settlement')
+const { createPeer, createMarket, createProtocol, sell } = require('./helpers')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// A deal that went all the way: funded, received (which releases the escrow), completed.
+async function completedDeal (market, seller, buyer, bank, opts) {
+  const dealId = await sell(market, seller, buyer, opts)
+  const price = opts.price
+  await bank.lock(dealId, buyer.address, price)
+  await market.op(buyer, { op: 'escrow_fund', dealId, amount: price })
+  await market.op(buyer, { op: 'deal_confirm_received', dealId })
+  await bank.payout(dealId, seller.address, price)
+  assert.strictEqual(await market.op(seller, { op: 'deal_complete', dealId }), dealId)
+  return dealId
+}
+
+test('returns: a partial refund inside the window moves value back through the ledger', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 100 })
+  const dealId = await completedDeal(market, seller, buyer, bank, { price: 100, returnPolicy: { windowDays: 7, conditions: 'unused' } })
+
+  const deal = await market.get(dealId)
+  assert.strictEqual(deal.fulfillment.status, FULFILLMENT_STATUS.COMPLETED)
+  assert.deepStrictEqual(deal.returnPolicy, { windowDays: 7, conditions: 'unused' })
+  const completedAt = deal.fulfillment.timeline.find(step => step.status === FULFILLMENT_STATUS.COMPLETED).at
+  assert.strictEqual(returnDeadline(deal), completedAt + 7 * DAY_MS)
+
+  assert.strictEqual(await market.op(seller, { op: 'return_request', dealId, reason: 'wrong colour' }), null, 'only the buyer asks')
+  await market.tick(6 * DAY_MS)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId, reason: 'wrong colour' }), dealId)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId, reason: 'again' }), null, 'one request per deal')
+
+  assert.strictEqual(await market.op(seller, { op: 'return_approve', dealId, refundAmount: 101 }), null, 'not above the price')
+  assert.strictEqual(await market.op(buyer, { op: 'return_approve', dealId, refundAmount: 40 }), null, 'only the seller decides')
+  await bank.transfer(dealId, seller.address, buyer.address, 40)
+  assert.strictEqual(await market.op(seller, { op: 'return_approve', dealId, refundAmount: 40, note: 'keep the box' }), dealId)
+
+  const returned = (await market.get(dealId)).return
+  assert.strictEqual(returned.status, RETURN_STATUS.APPROVED)
+  assert.strictEqual(returned.refundAmount, 40)
+  assert.strictEqual(returned.viaEscrow, true)
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 60 })
+  assert.deepStrictEqual(await market.get(`bal:${buyer.address}`), { address: buyer.address, held: 0, received: 40 })
+  assert.strictEqual(bank.balanceOf(seller.address), 60)
+  assert.strictEqual(bank.balanceOf(buyer.address), 40)
+})
+
+test('returns: refused after the window, without a policy, and before completion', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 300 })
+
+  const late = await completedDeal(market, seller, buyer, bank, { price: 100, returnPolicy: { windowDays: 3 } })
+  const noReturns = await completedDeal(market, seller, buyer, bank, { price: 100 })
+  const open = await sell(market, seller, buyer, { price: 100, returnPolicy: { windowDays: 3 } })
+
+  await market.tick(4 * DAY_MS)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId: late, reason: 'changed my mind' }), null)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId: noReturns, reason: 'changed my mind' }), null)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId: open, reason: 'changed my mind' }), null)
+  for (const dealId of [late, noReturns, open]) assert.strictEqual((await market.get(dealId)).return, undefined)
+})
+
+test('returns: the window runs on the replicated clock, not on the completing op\'s own stamp', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const dealId = await sell(market, seller, buyer, { price: 100, returnPolicy: { windowDays: 7 } })
+  await market.tick(0)
+  const clock = await market.get('currentTime')
+  await market.op(buyer, { op: 'deal_confirm_received', dealId })
+  assert.strictEqual(await market.op(buyer, { op: 'deal_complete', dealId }, { ts: clock + 10 * 365 * DAY_MS }), dealId)
+
+  const deal = await market.get(dealId)
+  assert.deepStrictEqual(deal.fulfillment.timeline.map(step => step.at), [clock, clock])
+  assert.strictEqual(returnDeadline(deal), clock + 7 * DAY_MS)
+  await market.tick(400 * DAY_MS)
+  assert.strictEqual(await market.op(buyer, { op: 'return_request', dealId, reason: 'changed my mind' }), null)
+})
+
+test('returns: a denial closes the request and leaves the ledger alone', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 100 })
+  const dealId = await completedDeal(market, seller, buyer, bank, { price: 100, returnPolicy: { windowDays: 7 } })
+
+  await market.op(buyer, { op: 'return_request', dealId, reason: 'scratched' })
+  assert.strictEqual(await market.op(seller, { op: 'return_deny', dealId, note: 'sold as seen' }), dealId)
+  assert.strictEqual(await market.op(seller, { op: 'return_approve', dealId, refundAmount: 10 }), null)
+
+  assert.strictEqual((await market.get(dealId)).return.status, RETURN_STATUS.DENIED)
+  assert.deepStrictEqual(await market.get(`bal:${seller.address}`), { address: seller.address, held: 0, received: 100 })
+})
+
+test('returns: the refund is sent only once return_approve has applied', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const bank = new MemorySettlement({ [buyer.address]: 200 })
+  const policy = { price: 100, returnPolicy: { windowDays: 7 } }
+  const protocol = createProtocol(market, seller, { settlement: bank })
+
+  // A denial from another of the seller's peers lands first: no refund goes out.
+  const denied = await completedDeal(market, seller, buyer, bank, policy)
+  await market.op(buyer, { op: 'return_request', dealId: denied, reason: 'broken' })
+  const append = protocol.base.append
+  protocol.base.append = async (data) => {
+    await market.op(seller, { op: 'return_deny', dealId: denied })
+    return append(data)
+  }
+  const res = await protocol.handle({ op: 'return_approve', deal_id: denied, refund_amount: 100 })
+  assert.strictEqual(res.ok, false)
+  assert.strictEqual((await market.get(denied)).return.status, RETURN_STATUS.DENIED)
+  assert.strictEqual(bank.transfers.size, 0)
+  assert.strictEqual(bank.balanceOf(seller.address), 100)
+  assert.strictEqual(bank.balanceOf(buyer.address), 100)
+  protocol.base.append = append
+
+  const approved = await completedDeal(market, seller, buyer, bank, policy)
+  await market.op(buyer, { op: 'return_request', dealId: approved, reason: 'broken' })
+  assert.strictEqual((await protocol.handle({ op: 'return_approve', deal_id: approved, refund_amount: 150 })).ok, false)
+  bank.wallets.set(seller.address, 0) // the seller has spent the proceeds
+  assert.match((await protocol.handle({ op: 'return_approve', deal_id: approved, refund_amount: 60 })).error, /refund failed: insufficient funds/)
+  assert.strictEqual((await market.get(approved)).return.status, RETURN_STATUS.APPROVED)
+
+  // Once the seller has the funds, re-running the command retries the refund.
+  bank.wallets.set(seller.address, 100)
+  assert.strictEqual((await protocol.handle({ op: 'return_approve', deal_id: approved })).ok, true)
+  assert.strictEqual(bank.balanceOf(buyer.address), 60)
+  assert.strictEqual(bank.balanceOf(seller.address), 40)
+  assert.strictEqual((await protocol.handle({ op: 'return_approve', deal_id: approved })).ok, true, 'a retry after success is a no-op')
+  assert.strictEqual(bank.balanceOf(buyer.address), 60)
+})
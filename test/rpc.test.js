@@ -0,0 +1,81 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { decodeEvent } = require('../events')
+const { SidechannelRpc, RpcError, RPC_ERRORS } = require('../rpc')
+
+const CALLER = 'aa'.repeat(20)
+const CALLEE = 'bb'.repeat(20)
+
+// Two RPC peers joined by a sidechannel that loses whichever messages `drop` picks.
+function pair ({ drop = () => false } = {}) {
+  const peers = {}
+  const log = []
+  const link = () => ({
+    broadcast (channel, data) {
+      const msg = decodeEvent(data, 'public').msg
+      log.push(msg)
+      if (drop(msg)) return true
+      for (const peer of Object.values(peers)) setImmediate(() => peer.receive(channel, msg))
+      return true
+    }
+  })
+  peers.caller = new SidechannelRpc(link(), CALLER, { timeoutMs: 20, retries: 2 })
+  peers.callee = new SidechannelRpc(link(), CALLEE)
+  return { ...peers, log }
+}
+
+const code = promise => promise.then(() => null, err => {
+  assert.ok(err instanceof RpcError)
+  return err.code
+})
+
+test('rpc: a call resolves with the handler\'s result, and errors come back by code', async () => {
+  const { caller, callee } = pair()
+  callee.handle('echo', async (params, { from, channel }) => ({ ...params, from, channel }))
+  callee.handle('picky', () => { throw new RpcError(RPC_ERRORS.BAD_REQUEST, 'no') })
+  callee.handle('broken', () => { throw new Error('boom') })
+
+  assert.deepStrictEqual(await caller.call('tracmarket', CALLEE, 'echo', { n: 1 }), { n: 1, from: CALLER, channel: 'tracmarket' })
+  assert.strictEqual(await code(caller.call('tracmarket', CALLEE, 'missing')), RPC_ERRORS.NO_HANDLER)
+  assert.strictEqual(await code(caller.call('tracmarket', CALLEE, 'picky')), RPC_ERRORS.BAD_REQUEST)
+  assert.strictEqual(await code(caller.call('tracmarket', CALLEE, 'broken')), RPC_ERRORS.HANDLER_ERROR)
+})
+
+test('rpc: lost messages are retried under the same ID and handled once', async () => {
+  let lost = 0
+  const { caller, callee, log } = pair({ drop: msg => msg.event === 'RPC_RESPONSE' && lost++ < 1 })
+  let runs = 0
+  callee.handle('count', async () => ++runs)
+
+  assert.strictEqual(await caller.call('tracmarket', CALLEE, 'count'), 1)
+  assert.strictEqual(runs, 1)
+  const requests = log.filter(msg => msg.event === 'RPC_REQUEST')
+  assert.deepStrictEqual(requests.map(msg => msg.attempt), [1, 2])
+  assert.strictEqual(new Set(requests.map(msg => msg.id)).size, 1)
+})
+
+test('rpc: a call with no answer times out after every attempt', async () => {
+  const { caller, log } = pair({ drop: () => true })
+  const started = Date.now()
+  assert.strictEqual(await code(caller.call('tracmarket', CALLEE, 'anything')), RPC_ERRORS.TIMEOUT)
+  assert.strictEqual(log.length, 3)
+  assert.ok(Date.now() - started >= 60)
+  assert.strictEqual(await code(caller.call('tracmarket', CALLEE, 'anything', {}, { retries: 0, timeoutMs: 5 })), RPC_ERRORS.TIMEOUT)
+  assert.strictEqual(log.length, 4)
+})
+
+test('rpc: only the callee can answer, and closing settles what is pending', async () => {
+  const { caller, log } = pair({ drop: () => true })
+  const pending = caller.call('tracmarket', CALLEE, 'slow')
+  await new Promise(resolve => setImmediate(resolve))
+  const { id } = log[0]
+  caller.receive('tracmarket', { event: 'RPC_RESPONSE', id, from: 'cc'.repeat(20), to: CALLER, ok: true, result: 'forged' })
+  assert.strictEqual(caller.pending.size, 1)
+  caller.close()
+  assert.strictEqual(await code(pending), RPC_ERRORS.CLOSED)
+
+  const refusing = new SidechannelRpc({ broadcast () { throw new Error('not joined') } }, CALLER)
+  assert.strictEqual(await code(refusing.call('tracmarket', CALLEE, 'x')), RPC_ERRORS.SEND_FAILED)
+})
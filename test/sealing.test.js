@@ -0,0 +1,62 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const b4a = require('b4a')
+const { encodeEvent, dealChannel } = require('../events')
+const { sessionKey, boxFor, openBox, seal, unseal } = require('../sealing')
+const { createPeer, createMarket, joinMarket } = require('./helpers')
+
+const hex = key => b4a.toString(key, 'hex')
+
+test('sealing: session keys are per seller and channel, and sealed text only opens with its key', () => {
+  const seller = createPeer()
+  const key = sessionKey(seller.keyPair, 'deal-LST-001-OFR-001')
+  assert.ok(b4a.equals(key, sessionKey(seller.keyPair, 'deal-LST-001-OFR-001')), 'survives restarts')
+  assert.ok(!b4a.equals(key, sessionKey(seller.keyPair, 'deal-LST-001-OFR-002')))
+  assert.ok(!b4a.equals(key, sessionKey(createPeer().keyPair, 'deal-LST-001-OFR-001')))
+
+  const sealed = seal(key, 'meet at 6?')
+  assert.strictEqual(unseal(key, sealed), 'meet at 6?')
+  assert.notStrictEqual(seal(key, 'meet at 6?').nonce, sealed.nonce, 'fresh nonce every time')
+  assert.strictEqual(unseal(sessionKey(seller.keyPair, 'other'), sealed), null)
+  const box = b4a.from(sealed.box, 'base64')
+  box[0] ^= 1
+  assert.strictEqual(unseal(key, { ...sealed, box: b4a.toString(box, 'base64') }), null, 'altered')
+  assert.strictEqual(unseal(key, { nonce: 'zz', box: sealed.box }), null)
+  assert.strictEqual(unseal(key, null), null)
+})
+
+test('sealing: a boxed key opens only for its recipient, and only from its sender', () => {
+  const [seller, buyer, other] = [createPeer(), createPeer(), createPeer()]
+  const key = sessionKey(seller.keyPair, 'deal-LST-001-OFR-001')
+  const boxed = boxFor(key, hex(buyer.keyPair.publicKey), seller.keyPair)
+
+  assert.ok(b4a.equals(openBox(boxed, hex(seller.keyPair.publicKey), buyer.keyPair), key))
+  assert.strictEqual(openBox(boxed, hex(seller.keyPair.publicKey), other.keyPair), null)
+  assert.strictEqual(openBox(boxed, hex(other.keyPair.publicKey), buyer.keyPair), null, 'not sealed by that sender')
+  assert.strictEqual(openBox(boxed, '00'.repeat(32), buyer.keyPair), null)
+  assert.strictEqual(openBox(undefined, hex(seller.keyPair.publicKey), buyer.keyPair), null)
+})
+
+test('sealing: deal channels take only events sealed with the deal\'s key, for that offer', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const peer = joinMarket(market, seller)
+  t.after(() => peer.close())
+  const channel = dealChannel('LST-001', 'OFR-001')
+  const key = sessionKey(seller.keyPair, channel)
+  peer.protocol.dealKeys.set(channel, key)
+  const deal = { listingId: 'LST-001', offerId: 'OFR-001' }
+  const wrap = (sealKey, event, fields) => JSON.parse(encodeEvent('DEAL_SEALED', seal(sealKey, encodeEvent(event, fields))))
+  const by = seller.address
+
+  const opened = peer._unseal(channel, deal, wrap(key, 'OFFER_ACCEPTED', { offerId: 'OFR-001', by }))
+  assert.deepStrictEqual([opened.ok, opened.msg.event], [true, 'OFFER_ACCEPTED'])
+  assert.strictEqual(peer._unseal(channel, deal, JSON.parse(encodeEvent('OFFER_ACCEPTED', { offerId: 'OFR-001', by }))).code, 'not_sealed')
+  assert.strictEqual(peer._unseal(channel, deal, wrap(sessionKey(seller.keyPair, 'other'), 'OFFER_ACCEPTED', { offerId: 'OFR-001', by })).code, 'bad_seal')
+  assert.strictEqual(peer._unseal(channel, deal, wrap(key, 'DEAL_SEALED', seal(key, 'x'))).code, 'bad_seal', 'no nesting')
+  assert.strictEqual(peer._unseal(channel, deal, wrap(key, 'OFFER_ACCEPTED', { offerId: 'OFR-002', by })).code, 'wrong_channel')
+  assert.strictEqual(peer._unseal(channel, deal, wrap(key, 'DEAL_CLOSED', { listingId: 'LST-001' })).code, 'wrong_channel', 'public events stay public')
+})
@@ -0,0 +1,46 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const search = require('../search')
+const { createPeer, createMarket, createProtocol } = require('./helpers')
+
+test('search: queries split into required terms, phrases, prefixes and exclusions', () => {
+  assert.deepStrictEqual(search.tokenize('Café CHAIRS, a 2-seat'), ['cafe', 'chairs', 'seat'])
+  assert.deepStrictEqual(search.parseQuery('oak mech* "cherry mx" -broken -"water damage"'), {
+    terms: [{ term: 'oak', prefix: false }, { term: 'mech', prefix: true }],
+    phrases: [['cherry', 'mx']],
+    exclude: [{ term: 'broken', prefix: false }, { term: 'water', prefix: false }, { term: 'damage', prefix: false }]
+  })
+  assert.ok(search.matchesKeywords({ title: 'Brass desk lamp' }, 'lamp BRASS'))
+  assert.ok(!search.matchesKeywords({ title: 'Brass desk lamp' }, 'lamp oak'))
+})
+
+test('search: listing_search ranks active listings that match every term', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const post = (title, desc, price = 50, tags) => market.op(seller, { op: 'listing_post', title, desc, tags, price, currency: 'TNK', category: 'office' })
+  const keyboard = await post('Mechanical keyboard', 'Cherry MX brown switches')
+  const mentions = await post('Desk mat', 'fits a mechanical keyboard', 20)
+  const broken = await post('Mechanical keyboard, broken', 'Cherry MX red, spares only', 10)
+  const sold = await post('Mechanical keyboard', 'Cherry MX blue')
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId: sold, amount: 50 })
+  await market.op(seller, { op: 'offer_accept', listingId: sold, offerId })
+
+  const protocol = createProtocol(market, buyer)
+  const ids = async cmd => (await protocol.handle({ op: 'listing_search', ...cmd })).data.map(listing => listing.id)
+
+  assert.deepStrictEqual(await ids({ q: 'mechanical keyboard' }), [broken, keyboard, mentions], 'title matches first, sold listings dropped')
+  assert.deepStrictEqual(await ids({ q: 'keyboard -broken' }), [keyboard, mentions])
+  assert.deepStrictEqual(await ids({ q: 'mech* "cherry mx"' }), [broken, keyboard])
+  assert.deepStrictEqual(await ids({ q: '"mx cherry"' }), [])
+  assert.deepStrictEqual(await ids({ q: 'keyboard', max_price: 30 }), [broken, mentions])
+  assert.deepStrictEqual(await ids({ q: 'keyboard', limit: 1 }), [broken])
+  assert.strictEqual((await protocol.handle({ op: 'listing_search', q: 'keyboard', limit: 1 })).total, 3)
+  assert.match((await protocol.handle({ op: 'listing_search', q: '-broken' })).error, /at least one term/)
+
+  await market.op(seller, { op: 'listing_update', id: keyboard, desc: 'Gateron switches' })
+  assert.deepStrictEqual(await ids({ q: 'cherry' }), [broken], 'updates reindex the text')
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { createPeer, createMarket, createProtocol, joinMarket } = require('./helpers')
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+test('searches: a saved search needs a filter and text fields within the limits', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const shopper = createPeer()
+  const saved = async () => {
+    const found = []
+    for await (const { value } of market.view.createReadStream({ gte: `search:${shopper.address}:`, lt: `search:${shopper.address};` })) found.push(JSON.parse(value))
+    return found
+  }
+
+  for (const bad of [
+    {}, { name: 'nothing to match' }, { category: 'home', name: 7 }, { category: 'home', name: 'x'.repeat(101) },
+    { keywords: true }, { keywords: 'x'.repeat(201) }, { category: ['home'] }, { minPrice: '5' }, { minPrice: 10, maxPrice: 5 }
+  ]) {
+    await market.op(shopper, { op: 'search_save', ...bad })
+  }
+  assert.deepStrictEqual(await saved(), [])
+
+  await market.op(shopper, { op: 'search_save', name: 'lamps', category: 'home', maxPrice: 50, keywords: 'brass lamp' })
+  const [{ createdAt, ...search }] = await saved()
+  assert.deepStrictEqual(search, {
+    id: 'SRCH-001', owner: shopper.address, name: 'lamps', category: 'home', minPrice: null, maxPrice: 50, keywords: 'brass lamp'
+  })
+
+  const protocol = createProtocol(market, shopper)
+  assert.match((await protocol.handle({ op: 'search_save', keywords: true })).error, /keywords must be text/)
+  assert.match((await protocol.handle({ op: 'search_save', category: 'home', name: 'x'.repeat(101) })).error, /name must be at most 100/)
+})
+
+test('searches: a new listing that matches raises an alert', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const bus = new Set()
+  const sellerSide = createProtocol(market, seller, { bus })
+  const shopper = joinMarket(market, createPeer(), { bus })
+  t.after(() => shopper.close())
+  const alerts = []
+  shopper.on('alert', alert => alerts.push(alert))
+
+  await shopper.protocol.handle({ op: 'search_save', name: 'lamps', max_price: 50, keywords: 'lamp' })
+  await sellerSide.handle({ op: 'listing_post', title: 'Brass lamp', price: 40 })
+  await sellerSide.handle({ op: 'listing_post', title: 'Brass lamp', price: 90 })
+  await sellerSide.handle({ op: 'listing_post', title: 'Oak chair', price: 20 })
+  await settle()
+  assert.deepStrictEqual(alerts.map(alert => [alert.kind, alert.trigger, alert.listing.title, alert.listing.price]), [['saved_search', 'LISTING_POST', 'Brass lamp', 40]])
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const b4a = require('b4a')
+const { canonicalize, toAddress, signOp, verifyOp } = require('../signing')
+const { OTHER_WRITER, createPeer, createMarket } = require('./helpers')
+
+const lamp = { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' }
+
+function signed (peer, fields, ts = 1) {
+  return signOp({ ...fields, ts, nonce: b4a.toString(b4a.alloc(8, ts % 256), 'hex') }, peer.keyPair)
+}
+
+test('signing: the signature covers every field, in any key order, and names its author', () => {
+  const peer = createPeer()
+  const other = createPeer()
+  assert.strictEqual(canonicalize({ b: 1, a: [2, { d: undefined, c: 3 }] }), canonicalize({ a: [2, { c: 3 }], b: 1 }))
+  assert.strictEqual(toAddress(peer.keyPair.publicKey), peer.address)
+
+  const entry = signed(peer, lamp)
+  assert.strictEqual(verifyOp(entry), peer.address)
+  assert.strictEqual(verifyOp(JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(entry).reverse())))), peer.address)
+  assert.strictEqual(verifyOp({ ...entry, price: 1 }), null, 'tampered')
+  assert.strictEqual(verifyOp({ ...entry, author: b4a.toString(other.keyPair.publicKey, 'hex') }), null, 'claimed by another key')
+  assert.strictEqual(verifyOp({ ...entry, sig: undefined }), null)
+  assert.strictEqual(verifyOp({ ...entry, sig: 'zz'.repeat(64) }), null)
+  assert.strictEqual(verifyOp(null), null)
+})
+
+test('signing: apply() acts as the signer, skips forgeries and applies each signature once', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+
+  await market.append({ ...lamp, ts: 1, nonce: '00' })
+  await market.append({ ...signed(seller, lamp), title: 'Swapped after signing' })
+  await market.append({ ...signed(buyer, lamp, 2), author: b4a.toString(seller.keyPair.publicKey, 'hex') })
+  assert.strictEqual(await market.get('seq:LST'), null, 'unsigned and forged ops create nothing')
+
+  const listingId = await market.op(seller, { ...lamp, seller: buyer.address, owner: buyer.address })
+  assert.strictEqual((await market.get(listingId)).seller, seller.address, 'payload claims are ignored')
+  await market.op(buyer, { op: 'listing_remove', id: listingId })
+  assert.strictEqual((await market.get(listingId)).status, 'active', 'only the signer\'s own listings')
+
+  // An offer replayed by another writer is not a second offer.
+  const offer = signed(buyer, { op: 'offer_send', listingId, amount: 30 }, 3)
+  await market.append(offer)
+  await market.append(offer, { writer: OTHER_WRITER })
+  assert.strictEqual(await market.get('seq:OFR'), 1)
+  assert.strictEqual((await market.view.get(`sig:${offer.sig}`)).value, 'OFR-001')
+})
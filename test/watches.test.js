@@ -0,0 +1,69 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { signAnnouncement } = require('../events')
+const { createPeer, createMarket, createProtocol, createSidechannel, joinMarket } = require('./helpers')
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+test('watches: only listings can be watched', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const watcher = createPeer()
+  const listingId = await market.op(seller, { op: 'listing_post', title: 'Desk lamp', price: 40, currency: 'TNK', category: 'home' })
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 30 })
+
+  for (const key of [`${listingId}:${offerId}`, 'seq:LST', 'LST-999', 'config:arbitrators']) {
+    await market.op(watcher, { op: 'watch_add', listingId: key })
+    assert.strictEqual(await market.get(`watch:${key}:${watcher.address}`), null, key)
+  }
+  await market.op(watcher, { op: 'watch_add', listingId })
+  assert.strictEqual((await market.get(`watchby:${watcher.address}:${listingId}`)).listingId, listingId)
+
+  const protocol = createProtocol(market, watcher)
+  assert.match((await protocol.handle({ op: 'watch_add', listing_id: `${listingId}:${offerId}` })).error, /not found/)
+  assert.strictEqual((await protocol.handle({ op: 'watch_list' })).data.length, 1)
+})
+
+test('watches: alerts are signed by the seller or a deal party and checked against our own watches', async (t) => {
+  const market = await createMarket()
+  t.after(() => market.close())
+  const seller = createPeer()
+  const buyer = createPeer()
+  const watcher = createPeer()
+  const bus = new Set()
+  const sellerSide = createProtocol(market, seller, { bus })
+  const buyerSide = createProtocol(market, buyer, { bus })
+  Object.assign(buyerSide.rpc, { timeoutMs: 20, retries: 0 }) // nobody serves deal invites here
+  const watching = joinMarket(market, watcher, { bus })
+  const bystander = joinMarket(market, createPeer(), { bus })
+  t.after(() => { watching.close(); bystander.close() })
+  const alerts = []
+  watching.on('alert', alert => alerts.push(alert))
+  bystander.on('alert', alert => alerts.push({ ...alert, bystander: true }))
+
+  const { data: { id: listingId } } = await sellerSide.handle({ op: 'listing_post', title: 'Lamp', price: 40 })
+  await market.op(watcher, { op: 'watch_add', listingId })
+  await sellerSide.handle({ op: 'listing_update', id: listingId, price: 35 })
+  await settle()
+  assert.deepStrictEqual(alerts.map(alert => [alert.change, alert.detail.price]), [['price_drop', { from: 40, to: 35 }]])
+  assert.strictEqual(sellerSide.sc.sent.find(({ msg }) => msg.event === 'WATCH_ALERT').msg.to, undefined)
+
+  // Anyone else claiming a change is dropped.
+  const forger = createSidechannel(createPeer().keyPair, bus)
+  forger.broadcast('tracmarket', signAnnouncement(forger, 'tracmarket', 'WATCH_ALERT', { listingId, change: 'sold', detail: {} }))
+  await settle()
+  assert.strictEqual(alerts.length, 1)
+  assert.strictEqual(watching.rejected.not_seller, 1)
+
+  // The buyer accepting the seller's counter alerts as a party to the deal.
+  const offerId = await market.op(buyer, { op: 'offer_send', listingId, amount: 30 })
+  await market.op(seller, { op: 'offer_counter', listingId, offerId, amount: 33 })
+  assert.strictEqual((await buyerSide.handle({ op: 'offer_accept', listing_id: listingId, offer_id: offerId })).ok, true)
+  await settle()
+  assert.deepStrictEqual(alerts.map(alert => alert.change), ['price_drop', 'sold'])
+  assert.strictEqual(alerts[1].detail.finalPrice, 33)
+})